@@ -10,9 +10,12 @@ const connectDB = require('./src/config/db');
 const errorHandler = require('./src/middlewares/error');
 const config = require('./src/config');
 const apiRoutes = require('./src/routes/index');
+const wellKnownRoutes = require('./src/routes/wellKnown');
 const setupLogger = require('./src/middlewares/logger');
 const swaggerDocs = require('./src/config/swagger');
 const initializeSocket = require('./src/services/socketService');
+const { startPurgeJob } = require('./src/services/accountDeletionService');
+const { startExportJob } = require('./src/services/dataExportService');
 const redisPool = require('./src/utils/redisPool');
 const initEnhancedQueryMonitor = require('./src/middlewares/enhancedQueryMonitor');
 
@@ -110,6 +113,7 @@ app.use('/public', staticAssets);
 
 // Mount routes
 app.use('/api', apiRoutes);
+app.use('/.well-known', wellKnownRoutes);
 
 // Add a root route
 app.get('/', (req, res) => {
@@ -132,6 +136,12 @@ app.use(errorHandler);
 // Initialize Socket.IO
 initializeSocket(io);
 
+// 定期清除寬限期已過的已刪除帳號
+startPurgeJob();
+
+// 處理個人資料匯出並刪除過期的壓縮檔
+startExportJob();
+
 // Start server
 const PORT = config.port;
 
@@ -8,7 +8,85 @@ module.exports = {
   env: process.env.NODE_ENV || 'development',
   mongoURI: process.env.MONGODB_URI,
   redisURL: process.env.REDIS_URL, // Redis 連接 URL
+  // 對外的網址，用於信件中的連結；不可從請求的 Host 標頭取得，否則可被偽造
+  appUrl: (process.env.APP_URL || `http://localhost:${process.env.PORT || 3000}`).replace(
+    /\/$/,
+    ''
+  ),
   jwtSecret: process.env.JWT_SECRET,
-  jwtExpire: process.env.JWT_EXPIRE || '30d',
+  jwtAlgorithm: process.env.JWT_ALGORITHM || 'HS256', // HS256 | RS256 | ES256
+  jwtKeysDir: process.env.JWT_KEYS_DIR || 'keys', // RS256 / ES256 私鑰目錄
+  jwtActiveKid: process.env.JWT_ACTIVE_KID, // 用於簽章的金鑰，未設定時使用最新的金鑰
+  jwtExpire: process.env.JWT_EXPIRE || '15m', // Access token 保持短效期
+  refreshTokenExpireDays: parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS, 10) || 30,
   logLevel: process.env.LOG_LEVEL || 'debug',
+  passwordPolicy: {
+    minLength: parseInt(process.env.PASSWORD_MIN_LENGTH, 10) || 8,
+    maxLength: 72, // bcrypt 只會使用前 72 個位元組
+    requireLowercase: process.env.PASSWORD_REQUIRE_LOWERCASE === 'true',
+    requireUppercase: process.env.PASSWORD_REQUIRE_UPPERCASE === 'true',
+    requireNumber: process.env.PASSWORD_REQUIRE_NUMBER !== 'false',
+    requireSymbol: process.env.PASSWORD_REQUIRE_SYMBOL === 'true',
+  },
+  // 啟用後未驗證電子郵件的帳號無法使用聊天與檔案上傳
+  requireEmailVerification: process.env.REQUIRE_EMAIL_VERIFICATION === 'true',
+  emailVerificationExpire: process.env.EMAIL_VERIFICATION_EXPIRE || '24h',
+  // 刪除帳號後保留的天數，期間可登入還原，之後由背景工作永久清除
+  accountDeletion: {
+    graceDays: parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10) || 14,
+    purgeIntervalMinutes: parseInt(process.env.ACCOUNT_PURGE_INTERVAL_MINUTES, 10) || 60,
+  },
+  // 個人資料匯出：壓縮檔存放目錄、下載期限與背景工作間隔
+  dataExport: {
+    dir: process.env.DATA_EXPORT_DIR || 'exports',
+    expireHours: parseInt(process.env.DATA_EXPORT_EXPIRE_HOURS, 10) || 24,
+    jobIntervalMinutes: 5,
+  },
+  // 專案邀請的有效天數
+  projectInvitationExpireDays: parseInt(process.env.PROJECT_INVITATION_EXPIRE_DAYS, 10) || 7,
+  // 變更電子郵件：新信箱的確認連結與寄到舊信箱的還原連結有效期限
+  emailChange: {
+    confirmExpire: process.env.EMAIL_CHANGE_EXPIRE || '1h',
+    revertExpire: process.env.EMAIL_CHANGE_REVERT_EXPIRE || '7d',
+  },
+  twoFactor: {
+    issuer: process.env.TWO_FACTOR_ISSUER || 'NTUT-MADD',
+    challengeExpire: process.env.TWO_FACTOR_CHALLENGE_EXPIRE || '5m',
+    recoveryCodeCount: 10,
+  },
+  // 以帳號為單位的登入失敗保護：達到 backoffThreshold 後逐次加倍等待時間，達到 maxAttempts 後暫時鎖定
+  loginLockout: {
+    backoffThreshold: parseInt(process.env.LOGIN_BACKOFF_THRESHOLD, 10) || 3,
+    maxAttempts: parseInt(process.env.LOGIN_MAX_ATTEMPTS, 10) || 10,
+    baseDelaySeconds: 1,
+    maxDelaySeconds: 60,
+    windowMinutes: parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES, 10) || 15,
+    lockoutMinutes: parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15,
+  },
+  loginHistoryRetentionDays: parseInt(process.env.LOGIN_HISTORY_RETENTION_DAYS, 10) || 90,
+  // OpenID Connect 登入，未設定 client ID 的提供者不會啟用
+  oidc: {
+    redirectBaseUrl: process.env.OIDC_REDIRECT_BASE_URL, // 例如 https://api.example.com/api/auth/oidc
+    stateExpireSeconds: 600,
+    providers: {
+      google: {
+        issuer: 'https://accounts.google.com',
+        clientId: process.env.GOOGLE_CLIENT_ID,
+        clientSecret: process.env.GOOGLE_CLIENT_SECRET,
+        scope: 'openid email profile',
+      },
+      oidc: {
+        issuer: process.env.OIDC_ISSUER,
+        clientId: process.env.OIDC_CLIENT_ID,
+        clientSecret: process.env.OIDC_CLIENT_SECRET,
+        scope: process.env.OIDC_SCOPE || 'openid email profile',
+      },
+    },
+  },
+  resetPasswordExpireMinutes: parseInt(process.env.RESET_PASSWORD_EXPIRE_MINUTES, 10) || 10,
+  mail: {
+    transport: process.env.MAIL_TRANSPORT || 'console', // console | file | memory | 自訂傳輸層
+    from: process.env.MAIL_FROM || 'NTUT-MADD <no-reply@example.com>',
+    fileDir: process.env.MAIL_FILE_DIR || 'logs/mail',
+  },
 };
@@ -0,0 +1,32 @@
+/**
+ * 角色與權限定義
+ * 權限名稱格式為 <resource>.<action>.<scope>，scope 為 any 表示可操作其他用戶的資源。
+ * 資源擁有者本身不需要額外權限，由 policyService 判斷。
+ */
+
+const PERMISSIONS = [
+  'task.read.any',
+  'task.update.any',
+  'task.delete.any',
+  'file.read.any',
+  'file.delete.any',
+  'user.role.update',
+];
+
+// 角色由低到高排列，用於判斷是升級還是降級
+const ROLES = ['user', 'support', 'moderator', 'admin'];
+
+const support = ['task.read.any', 'file.read.any'];
+const moderator = [...support, 'task.update.any', 'task.delete.any', 'file.delete.any'];
+
+const ROLE_PERMISSIONS = {
+  user: [],
+  support, // 客服：可檢視用戶的任務與檔案以協助排除問題
+  moderator, // 版主：可修改或刪除不當內容
+  admin: PERMISSIONS,
+};
+
+// 專案成員角色由低到高排列：viewer 可檢視，editor 可新增與修改任務，owner 可管理專案與成員
+const PROJECT_ROLES = ['viewer', 'editor', 'owner'];
+
+module.exports = { PERMISSIONS, ROLES, ROLE_PERMISSIONS, PROJECT_ROLES };
@@ -31,6 +31,46 @@ const swaggerOptions = {
           scheme: 'bearer',
           bearerFormat: 'JWT',
         },
+        apiKeyAuth: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-API-Key',
+          description: '個人 API key，僅能存取標示此認證方式且符合權限範圍的路由',
+        },
+      },
+      // 游標分頁共用的參數與回應格式
+      parameters: {
+        CursorAfter: {
+          in: 'query',
+          name: 'after',
+          schema: { type: 'string' },
+          description: '取得此游標之後的資料，值為上一頁的 pagination.nextCursor',
+        },
+        CursorBefore: {
+          in: 'query',
+          name: 'before',
+          schema: { type: 'string' },
+          description: '取得此游標之前的資料，值為目前頁面的 pagination.prevCursor',
+        },
+      },
+      schemas: {
+        CursorPagination: {
+          type: 'object',
+          properties: {
+            limit: { type: 'integer' },
+            hasNextPage: { type: 'boolean' },
+            hasPrevPage: { type: 'boolean' },
+            nextCursor: { type: 'string', nullable: true },
+            prevCursor: { type: 'string', nullable: true },
+          },
+        },
+        CursorLinks: {
+          type: 'object',
+          properties: {
+            next: { type: 'string', nullable: true, example: '/api/upload?limit=25&after=WzE3...' },
+            prev: { type: 'string', nullable: true },
+          },
+        },
       },
     },
   },
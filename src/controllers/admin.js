@@ -0,0 +1,21 @@
+const ErrorResponse = require('../utils/errorResponse');
+const asyncHandler = require('../utils/asyncHandler');
+const roleService = require('../services/roleService');
+
+// @desc    Promote or demote a user
+// @route   PUT /api/admin/users/:id/role
+// @access  Private (user.role.update)
+exports.updateUserRole = asyncHandler(async (req, res, next) => {
+  const { role } = req.body;
+
+  if (!role) {
+    return next(new ErrorResponse('Please provide a role', 400));
+  }
+
+  const user = await roleService.changeUserRole(req.params.id, role, req.user, {
+    ip: req.ip,
+    userAgent: req.get('user-agent'),
+  });
+
+  res.status(200).json({ success: true, data: user });
+});
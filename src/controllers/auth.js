@@ -2,22 +2,54 @@ const ErrorResponse = require('../utils/errorResponse');
 const asyncHandler = require('../utils/asyncHandler');
 const User = require('../models/User');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 const config = require('../config');
+const tokenService = require('../services/tokenService');
+const twoFactorService = require('../services/twoFactorService');
 const { withCache, deleteCache, setCache, getCache } = require('../utils/cacheUtils');
-const { findOne } = require('../utils/dbUtils');
+const { blacklistToken, isTokenBlacklisted } = require('../utils/jwtUtils');
+const { disconnectUser, disconnectSession } = require('../services/socketService');
+const { sendMail } = require('../services/mailService');
+const { validatePassword } = require('../utils/passwordPolicy');
+const {
+  loginKey,
+  getCachedLogin,
+  cacheLogin,
+  invalidateLogin,
+} = require('../services/loginCacheService');
+const loginProtection = require('../services/loginProtectionService');
+const sessionService = require('../services/sessionService');
+const oidcService = require('../services/oidcService');
+const apiKeyService = require('../services/apiKeyService');
+const { clearUserCache } = require('../services/userService');
+const emailChangeService = require('../services/emailChangeService');
+const accountDeletionService = require('../services/accountDeletionService');
+const userDirectoryService = require('../services/userDirectoryService');
 const { applyNoStore } = require('../middlewares/cacheHeaders');
 
 // @desc    Register user
 // @route   POST /api/auth/register
 // @access  Public
 exports.register = asyncHandler(async (req, res, next) => {
-  const { name, email, password, role } = req.body;
+  // 公開註冊一律建立一般用戶，忽略請求中的 role，角色只能由管理員變更
+  const { name, email, password } = req.body;
+
+  const passwordErrors = validatePassword(password);
+  if (passwordErrors.length > 0) {
+    return next(new ErrorResponse(passwordErrors.join(', '), 400));
+  }
 
   // Create user
-  const user = await User.create({ name, email, password, role });
+  const user = await User.create({ name, email, password });
+
+  // 寄送驗證信失敗不影響註冊，用戶可稍後重新寄送
+  try {
+    await sendVerificationEmail(user, req);
+  } catch (err) {
+    console.error('Verification mail error:', err);
+  }
 
-  sendTokenResponse(user, 201, res);
+  await sendTokenResponse(user, 201, req, res);
 });
 
 // @desc    Login user
@@ -31,17 +63,24 @@ exports.login = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('Please provide an email and password', 400));
   }
 
-  // 快取鍵使用郵箱和密碼的哈希組合，避免直接使用明文密碼
-  const passwordHash = require('crypto')
-    .createHash('sha256')
-    .update(password)
-    .digest('hex')
-    .substring(0, 10);
-  const loginCacheKey = `auth:login:${email}:${passwordHash}`;
+  const clientMeta = getClientMeta(req);
 
   try {
-    // Import JWT utilities
-    const { generateOptimizedToken } = require('../utils/jwtUtils');
+    // 帳號處於退避或鎖定期間時，不論密碼是否正確都拒絕登入
+    const retryAfter = await loginProtection.getLockout(email);
+
+    if (retryAfter > 0) {
+      await loginProtection.recordAttempt({ email, outcome: 'locked' }, clientMeta);
+      res.set('Retry-After', String(retryAfter));
+      return next(
+        new ErrorResponse(
+          `Too many failed login attempts, please try again in ${retryAfter} seconds`,
+          429
+        )
+      );
+    }
+
+    // Import adaptive cache utilities
     const {
       getOptimalTTL,
       recordCacheHit,
@@ -49,96 +88,720 @@ exports.login = asyncHandler(async (req, res, next) => {
       recordCacheSet,
     } = require('../utils/adaptiveCache');
 
-    // 首先檢查登入快取
-    const cachedLoginResult = await getCache(loginCacheKey);
+    // 快取只保存用戶資料，且僅在憑證版本一致時有效；密碼雜湊不寫入快取
+    const cachedLogin = await getCachedLogin(email);
+
+    let userData;
+    let passwordHash;
+    let credentialVersion;
 
-    if (cachedLoginResult) {
+    if (cachedLogin) {
       // Record cache hit for analytics
-      recordCacheHit(loginCacheKey);
+      recordCacheHit(loginKey(email));
 
-      // 命中快取，直接返回快取結果，不需要查詢數據庫
-      // Set cache headers for sensitive data
-      applyNoStore(req, res);
-      return res.status(200).json(cachedLoginResult);
-    }
+      userData = cachedLogin.user;
+
+      // 比對密碼時一律從數據庫讀取目前的密碼雜湊
+      const credentials = await User.findById(userData._id).select('+password').lean();
 
-    // Record cache miss
-    recordCacheMiss(loginCacheKey);
-
-    // 使用 index 加速查詢，只獲取必要字段
-    // 使用 dbUtils 中的 findOne 函數代替 Mongoose 直接查詢
-    const user = await findOne(
-      User,
-      { email },
-      {
-        select: '+password name email role createdAt updatedAt',
-        lean: true,
+      if (!credentials) {
+        await handleFailedLogin(email, null, 'failure', clientMeta, res);
+        return next(new ErrorResponse('Invalid credentials', 401));
       }
-    );
 
-    if (!user) {
-      return next(new ErrorResponse('Invalid credentials', 401));
+      passwordHash = credentials.password;
+    } else {
+      // Record cache miss
+      recordCacheMiss(loginKey(email));
+
+      // 直接查詢數據庫，不經過 dbUtils 的查詢快取，避免讀到變更前的密碼雜湊
+      const user = await User.findOne({ email })
+        .select(
+          '+password name email role emailVerified twoFactorEnabled tokenVersion credentialVersion deletedAt createdAt updatedAt'
+        )
+        .lean();
+
+      if (!user) {
+        await handleFailedLogin(email, null, 'failure', clientMeta, res);
+        return next(new ErrorResponse('Invalid credentials', 401));
+      }
+
+      // 創建不包含密碼的用戶數據
+      userData = {
+        _id: user._id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        emailVerified: user.emailVerified,
+        twoFactorEnabled: user.twoFactorEnabled,
+        tokenVersion: user.tokenVersion,
+        deletedAt: user.deletedAt,
+        createdAt: user.createdAt,
+        updatedAt: user.updatedAt,
+      };
+      passwordHash = user.password;
+      credentialVersion = user.credentialVersion || 0;
     }
 
-    // 使用非同步的 bcrypt 比較，避免阻塞主線程
-    const isMatch = await bcrypt.compare(password, user.password);
+    // 無論是否命中快取，每次登入都必須通過 bcrypt 驗證
+    const isMatch = await bcrypt.compare(password, passwordHash);
 
     if (!isMatch) {
+      await handleFailedLogin(email, userData._id, 'failure', clientMeta, res);
       return next(new ErrorResponse('Invalid credentials', 401));
     }
 
-    // 使用優化的 JWT token 生成函數
-    const token = generateOptimizedToken({ id: user._id }, config.jwtSecret);
-
-    // 創建不包含密碼的用戶數據
-    const userData = {
-      _id: user._id,
-      name: user.name,
-      email: user.email,
-      role: user.role,
-      createdAt: user.createdAt,
-      updatedAt: user.updatedAt,
-    };
-
-    // 構建完整的響應對象
-    const responseData = {
-      success: true,
-      token,
-      data: userData,
-    };
-
-    // 獲取自適應的緩存過期時間
-    const loginTTL = await getOptimalTTL('auth:login', loginCacheKey);
-    const userTTL = await getOptimalTTL('user:profile', `user:${user._id}:profile`);
-    const tokenTTL = await getOptimalTTL('auth:token', `auth:verify:${token}`);
-
-    // 使用 Promise.all 並行設置多個緩存，提高性能
-    await Promise.all([
-      // 1. 用戶資料 - 使用自適應 TTL
-      setCache(`user:${user._id}:profile`, userData, userTTL),
-
-      // 2. 登入結果 - 使用自適應 TTL
-      setCache(loginCacheKey, responseData, loginTTL),
-
-      // 3. Token 驗證快取 - 使用自適應 TTL
-      setCache(`auth:verify:${token}`, { id: user._id }, tokenTTL),
-    ]);
-
-    // Record cache sets
-    recordCacheSet(loginCacheKey);
-    recordCacheSet(`user:${user._id}:profile`);
-    recordCacheSet(`auth:verify:${token}`);
-
-    // 直接返回響應
-    // Set cache headers for sensitive data
-    applyNoStore(req, res);
-    return res.status(200).json(responseData);
+    // 密碼正確才透露帳號已刪除，寬限期內可透過 /restore 還原
+    if (userData.deletedAt) {
+      return next(
+        new ErrorResponse(
+          'This account is scheduled for deletion. Use /api/auth/restore to restore it.',
+          403
+        )
+      );
+    }
+
+    if (!cachedLogin) {
+      // 獲取自適應的緩存過期時間
+      const loginTTL = await getOptimalTTL('auth:login', loginKey(email));
+      await cacheLogin(userData, credentialVersion, loginTTL);
+      recordCacheSet(loginKey(email));
+    }
+
+    // 啟用兩步驟驗證時只發放短效的 challenge token，需再通過 /login/2fa 才取得正式 token
+    // 失敗次數在完成第二步驟後才重設，避免藉由重新登入規避驗證碼的嘗試次數限制
+    if (userData.twoFactorEnabled) {
+      return await sendTwoFactorChallenge(userData, clientMeta, req, res);
+    }
+
+    await loginProtection.clearFailures(email);
+    await loginProtection.recordAttempt(
+      { email, user: userData._id, outcome: 'success' },
+      clientMeta
+    );
+
+    return await sendTokenResponse(userData, 200, req, res);
   } catch (err) {
     console.error('Login error:', err);
     return next(new ErrorResponse('Login failed', 500));
   }
 });
 
+// @desc    Restore an account scheduled for deletion and log in
+// @route   POST /api/auth/restore
+// @access  Public
+exports.restoreAccount = asyncHandler(async (req, res, next) => {
+  const { email, password } = req.body;
+
+  if (!email || !password) {
+    return next(new ErrorResponse('Please provide an email and password', 400));
+  }
+
+  const clientMeta = getClientMeta(req);
+
+  // 與登入共用失敗次數與鎖定
+  const retryAfter = await loginProtection.getLockout(email);
+
+  if (retryAfter > 0) {
+    await loginProtection.recordAttempt({ email, outcome: 'locked' }, clientMeta);
+    res.set('Retry-After', String(retryAfter));
+    return next(
+      new ErrorResponse(
+        `Too many failed login attempts, please try again in ${retryAfter} seconds`,
+        429
+      )
+    );
+  }
+
+  const user = await User.findOne({ email }).select('+password');
+
+  if (!user || !(await user.matchPassword(password))) {
+    await handleFailedLogin(email, user ? user._id : null, 'failure', clientMeta, res);
+    return next(new ErrorResponse('Invalid credentials', 401));
+  }
+
+  // 啟用兩步驟驗證時，通過 /login/2fa 後才還原帳號
+  if (user.twoFactorEnabled) {
+    return await sendTwoFactorChallenge(user, clientMeta, req, res, { restore: true });
+  }
+
+  await accountDeletionService.restoreAccount(user._id, clientMeta);
+  user.deletedAt = undefined;
+  user.purgeAt = undefined;
+
+  await loginProtection.clearFailures(email);
+  await loginProtection.recordAttempt({ email, user: user._id, outcome: 'success' }, clientMeta);
+
+  await sendTokenResponse(user, 200, req, res);
+});
+
+// @desc    List available external login providers
+// @route   GET /api/auth/oidc/providers
+// @access  Public
+exports.getOidcProviders = asyncHandler(async (req, res, next) => {
+  const providers = oidcService.getProviderNames();
+
+  res.status(200).json({ success: true, count: providers.length, data: providers });
+});
+
+// @desc    Start login with an external provider
+// @route   GET /api/auth/oidc/:provider
+// @access  Public
+exports.startOidcLogin = asyncHandler(async (req, res, next) => {
+  const redirectUri = oidcService.getRedirectUri(req.params.provider);
+  const url = await oidcService.createAuthorizationUrl(req.params.provider, redirectUri);
+
+  applyNoStore(req, res);
+  res.redirect(url);
+});
+
+// @desc    Complete login with an external provider
+// @route   GET /api/auth/oidc/:provider/callback
+// @access  Public
+exports.oidcCallback = asyncHandler(async (req, res, next) => {
+  if (req.query.error) {
+    return next(new ErrorResponse(`External login failed: ${req.query.error}`, 400));
+  }
+
+  const claims = await oidcService.handleCallback(req.params.provider, req.query);
+  const user = await oidcService.findOrLinkUser(req.params.provider, claims);
+  const clientMeta = getClientMeta(req);
+
+  // 外部登入同樣需要通過本服務的兩步驟驗證
+  if (user.twoFactorEnabled) {
+    return sendTwoFactorChallenge(user, clientMeta, req, res);
+  }
+
+  await loginProtection.recordAttempt(
+    { email: user.email, user: user._id, outcome: 'success' },
+    clientMeta
+  );
+
+  await sendTokenResponse(user, 200, req, res);
+});
+
+// @desc    Complete login with a second factor
+// @route   POST /api/auth/login/2fa
+// @access  Public
+exports.loginTwoFactor = asyncHandler(async (req, res, next) => {
+  const { challengeToken, code, recoveryCode } = req.body;
+
+  if (!challengeToken || (!code && !recoveryCode)) {
+    return next(
+      new ErrorResponse('Please provide the challenge token and a code or recovery code', 400)
+    );
+  }
+
+  const decoded = tokenService.verifyPurposeToken(challengeToken, '2fa-challenge');
+
+  if (!decoded || !decoded.email || (await isTokenBlacklisted(challengeToken))) {
+    return next(new ErrorResponse('Invalid or expired login challenge', 401));
+  }
+
+  // 驗證碼錯誤與密碼錯誤共用同一個帳號失敗計數
+  const clientMeta = getClientMeta(req);
+  const retryAfter = await loginProtection.getLockout(decoded.email);
+
+  if (retryAfter > 0) {
+    await loginProtection.recordAttempt(
+      { email: decoded.email, user: decoded.id, outcome: 'locked' },
+      clientMeta
+    );
+    res.set('Retry-After', String(retryAfter));
+    return next(
+      new ErrorResponse(
+        `Too many failed login attempts, please try again in ${retryAfter} seconds`,
+        429
+      )
+    );
+  }
+
+  let user;
+  try {
+    user = await twoFactorService.verifyLogin(decoded.id, { code, recoveryCode });
+  } catch (err) {
+    if (err.statusCode === 401) {
+      await handleFailedLogin(decoded.email, decoded.id, '2fa-failure', clientMeta, res);
+    }
+    throw err;
+  }
+
+  // challenge token 只能使用一次
+  await blacklistToken(challengeToken);
+
+  // 由 /restore 發出的 challenge 在通過第二步驟後才還原帳號
+  if (decoded.restore) {
+    await accountDeletionService.restoreAccount(user._id, clientMeta);
+    user.deletedAt = undefined;
+    user.purgeAt = undefined;
+  }
+
+  await loginProtection.clearFailures(decoded.email);
+  await loginProtection.recordAttempt(
+    { email: decoded.email, user: user._id, outcome: 'success' },
+    clientMeta
+  );
+
+  await sendTokenResponse(user, 200, req, res);
+});
+
+// @desc    Start two-factor enrolment
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+exports.setupTwoFactor = asyncHandler(async (req, res, next) => {
+  const { currentPassword } = req.body;
+
+  if (!currentPassword) {
+    return next(new ErrorResponse('Please provide your current password', 400));
+  }
+
+  const data = await twoFactorService.startEnrolment(req.user.id, currentPassword);
+
+  applyNoStore(req, res);
+  res.status(200).json({ success: true, data });
+});
+
+// @desc    Confirm two-factor enrolment
+// @route   POST /api/auth/2fa/confirm
+// @access  Private
+exports.confirmTwoFactor = asyncHandler(async (req, res, next) => {
+  const { currentPassword, code } = req.body;
+
+  if (!currentPassword || !code) {
+    return next(
+      new ErrorResponse('Please provide your current password and a verification code', 400)
+    );
+  }
+
+  const recoveryCodes = await twoFactorService.confirmEnrolment(req.user.id, currentPassword, code);
+
+  applyNoStore(req, res);
+  res.status(200).json({ success: true, data: { recoveryCodes } });
+});
+
+// @desc    Disable two-factor authentication
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+exports.disableTwoFactor = asyncHandler(async (req, res, next) => {
+  const { password, code, recoveryCode } = req.body;
+
+  if (!password || (!code && !recoveryCode)) {
+    return next(new ErrorResponse('Please provide your password and a code or recovery code', 400));
+  }
+
+  await twoFactorService.disable(req.user.id, password, { code, recoveryCode });
+
+  res.status(200).json({ success: true, data: {} });
+});
+
+// @desc    Exchange a refresh token for a new token pair
+// @route   POST /api/auth/refresh
+// @access  Public
+exports.refreshToken = asyncHandler(async (req, res, next) => {
+  const { refreshToken } = req.body;
+
+  if (!refreshToken) {
+    return next(new ErrorResponse('Please provide a refresh token', 400));
+  }
+
+  const result = await tokenService.rotateRefreshToken(refreshToken, getClientMeta(req));
+
+  applyNoStore(req, res);
+  res.status(200).json({
+    success: true,
+    token: result.token,
+    refreshToken: result.refreshToken,
+    data: result.user,
+  });
+});
+
+// @desc    Log out the current session
+// @route   POST /api/auth/logout
+// @access  Private
+exports.logout = asyncHandler(async (req, res, next) => {
+  const { refreshToken } = req.body;
+
+  // 將目前的 access token 加入黑名單，並一併清除其驗證快取
+  await blacklistToken(req.token);
+
+  // 撤銷目前的登入階段及其 refresh token
+  if (req.sessionId) {
+    await tokenService.revokeTokenFamily(req.sessionId, 'logout');
+    disconnectSession(req.sessionId);
+  } else if (refreshToken) {
+    await tokenService.revokeRefreshToken(refreshToken, req.user.id);
+  }
+
+  await invalidateLogin(req.user);
+
+  applyNoStore(req, res);
+  res.status(200).json({ success: true, data: {} });
+});
+
+// @desc    Log out from every device
+// @route   POST /api/auth/logout-all
+// @access  Private
+exports.logoutAll = asyncHandler(async (req, res, next) => {
+  await tokenService.revokeAllTokens(req.user.id);
+  await blacklistToken(req.token);
+
+  // 中斷該用戶所有即時連線
+  disconnectUser(req.user.id);
+
+  applyNoStore(req, res);
+  res.status(200).json({ success: true, data: {} });
+});
+
+// @desc    List active sessions of current user
+// @route   GET /api/auth/sessions
+// @access  Private
+exports.getSessions = asyncHandler(async (req, res, next) => {
+  const sessions = await sessionService.getUserSessions(req.user.id);
+
+  res.status(200).json({
+    success: true,
+    count: sessions.length,
+    data: sessions.map((session) => ({
+      ...session,
+      current: session._id.toString() === req.sessionId,
+    })),
+  });
+});
+
+// @desc    Revoke a session
+// @route   DELETE /api/auth/sessions/:id
+// @access  Private
+exports.revokeSession = asyncHandler(async (req, res, next) => {
+  const session = await sessionService.getUserSession(req.params.id, req.user.id);
+  const sessionId = session._id.toString();
+
+  // 撤銷後該登入階段的 access token、refresh token 與即時連線立即失效
+  await tokenService.revokeTokenFamily(sessionId, 'session-revoked');
+  disconnectSession(sessionId);
+
+  res.status(200).json({ success: true, data: {} });
+});
+
+// @desc    List API keys of current user
+// @route   GET /api/auth/api-keys
+// @access  Private
+exports.getApiKeys = asyncHandler(async (req, res, next) => {
+  const apiKeys = await apiKeyService.getUserApiKeys(req.user.id);
+
+  res.status(200).json({ success: true, count: apiKeys.length, data: apiKeys });
+});
+
+// @desc    Create an API key
+// @route   POST /api/auth/api-keys
+// @access  Private
+exports.createApiKey = asyncHandler(async (req, res, next) => {
+  const { name, scopes, expiresInDays } = req.body;
+
+  const { apiKey, key } = await apiKeyService.createApiKey(req.user.id, {
+    name,
+    scopes,
+    expiresInDays,
+  });
+
+  // 完整的 key 只會在建立時回傳這一次
+  applyNoStore(req, res);
+  res.status(201).json({ success: true, data: { ...apiKey, key } });
+});
+
+// @desc    Revoke an API key
+// @route   DELETE /api/auth/api-keys/:id
+// @access  Private
+exports.revokeApiKey = asyncHandler(async (req, res, next) => {
+  await apiKeyService.revokeApiKey(req.user.id, req.params.id);
+
+  res.status(200).json({ success: true, data: {} });
+});
+
+// @desc    Verify email address
+// @route   GET /api/auth/verifyemail/:token
+// @access  Public
+exports.verifyEmail = asyncHandler(async (req, res, next) => {
+  const decoded = tokenService.verifyPurposeToken(req.params.token, 'email-verify');
+
+  if (!decoded) {
+    return next(new ErrorResponse('Invalid or expired verification link', 400));
+  }
+
+  const user = await User.findById(decoded.id);
+
+  // 連結只對發送當下的電子郵件有效
+  if (!user || user.email !== decoded.email) {
+    return next(new ErrorResponse('Invalid or expired verification link', 400));
+  }
+
+  if (!user.emailVerified) {
+    user.emailVerified = true;
+    user.emailVerifiedAt = Date.now();
+    await user.save({ validateBeforeSave: false });
+
+    await clearUserCache(user._id);
+    await invalidateLogin(user);
+  }
+
+  res.status(200).json({ success: true, data: 'Email verified' });
+});
+
+// @desc    Resend email verification link
+// @route   POST /api/auth/verifyemail/resend
+// @access  Private
+exports.resendVerification = asyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user.id);
+
+  if (!user) {
+    return next(new ErrorResponse('User not found', 404));
+  }
+
+  if (user.emailVerified) {
+    return next(new ErrorResponse('Email is already verified', 400));
+  }
+
+  try {
+    await sendVerificationEmail(user, req);
+  } catch (err) {
+    console.error('Verification mail error:', err);
+    return next(new ErrorResponse('Email could not be sent', 500));
+  }
+
+  res.status(200).json({ success: true, data: 'Verification email sent' });
+});
+
+// @desc    Request an email change
+// @route   POST /api/auth/email/change
+// @access  Private
+exports.requestEmailChange = asyncHandler(async (req, res, next) => {
+  const { newEmail, password } = req.body;
+
+  const {
+    user,
+    newEmail: email,
+    token,
+  } = await emailChangeService.requestChange(req.user.id, newEmail, password);
+  const confirmUrl = buildAppUrl(`/api/auth/email/confirm/${token}`);
+
+  try {
+    await sendMail({
+      to: email,
+      subject: 'Confirm your new email address',
+      text:
+        `Hi ${user.name},\n\n` +
+        `Please confirm that you want to use this address for your account by opening the link below:\n${confirmUrl}\n\n` +
+        `This link expires in ${config.emailChange.confirmExpire}. ` +
+        `Your email stays ${user.email} until the change is confirmed.`,
+    });
+  } catch (err) {
+    console.error('Email change mail error:', err);
+    return next(new ErrorResponse('Email could not be sent', 500));
+  }
+
+  res.status(200).json({ success: true, data: 'Confirmation email sent to the new address' });
+});
+
+// @desc    Confirm an email change from the new address
+// @route   GET /api/auth/email/confirm/:token
+// @access  Public
+exports.confirmEmailChange = asyncHandler(async (req, res, next) => {
+  const { user, previousEmail, revertToken } = await emailChangeService.confirmChange(
+    req.params.token,
+    getClientMeta(req)
+  );
+  const revertUrl = buildAppUrl(`/api/auth/email/revert/${revertToken}`);
+
+  // 變更已生效，通知信寄送失敗不影響結果
+  try {
+    await sendMail({
+      to: previousEmail,
+      subject: 'Your email address was changed',
+      text:
+        `Hi ${user.name},\n\n` +
+        `The email address of your account was changed from ${previousEmail} to ${user.email}.\n\n` +
+        `If you did not make this change, open the link below to restore your previous address ` +
+        `and sign out all devices:\n${revertUrl}\n\n` +
+        `This link expires in ${config.emailChange.revertExpire}.`,
+    });
+  } catch (err) {
+    console.error('Email change notification error:', err);
+  }
+
+  res.status(200).json({ success: true, data: 'Email changed' });
+});
+
+// @desc    Revert an email change from the previous address
+// @route   GET /api/auth/email/revert/:token
+// @access  Public
+exports.revertEmailChange = asyncHandler(async (req, res, next) => {
+  const user = await emailChangeService.revertChange(req.params.token, getClientMeta(req));
+
+  // 所有 token 已撤銷，同時中斷即時連線
+  disconnectUser(user._id.toString());
+
+  res.status(200).json({
+    success: true,
+    data: 'Email change reverted and all devices signed out. Please reset your password if you did not request the change.',
+  });
+});
+
+// @desc    Forgot password
+// @route   POST /api/auth/forgotpassword
+// @access  Public
+exports.forgotPassword = asyncHandler(async (req, res, next) => {
+  const { email } = req.body;
+
+  if (!email) {
+    return next(new ErrorResponse('Please provide an email', 400));
+  }
+
+  const user = await User.findOne({ email });
+
+  // 無論帳號是否存在都回傳相同訊息，避免被用來探測已註冊的電子郵件
+  const response = {
+    success: true,
+    data: 'If an account exists for this email, a reset link has been sent',
+  };
+
+  if (!user) {
+    return res.status(200).json(response);
+  }
+
+  // Get reset token
+  const resetToken = user.getResetPasswordToken();
+  await user.save({ validateBeforeSave: false });
+
+  const resetUrl = buildAppUrl(`/api/auth/resetpassword/${resetToken}`);
+
+  try {
+    await sendMail({
+      to: user.email,
+      subject: 'Password reset',
+      text:
+        `You are receiving this email because a password reset was requested for your account.\n\n` +
+        `Make a PUT request with your new password to:\n${resetUrl}\n\n` +
+        `This link expires in ${config.resetPasswordExpireMinutes} minutes and can only be used once.`,
+    });
+  } catch (err) {
+    console.error('Reset password mail error:', err);
+
+    user.resetPasswordToken = undefined;
+    user.resetPasswordExpire = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    return next(new ErrorResponse('Email could not be sent', 500));
+  }
+
+  res.status(200).json(response);
+});
+
+// @desc    Reset password
+// @route   PUT /api/auth/resetpassword/:resettoken
+// @access  Public
+exports.resetPassword = asyncHandler(async (req, res, next) => {
+  const { password } = req.body;
+
+  if (!password) {
+    return next(new ErrorResponse('Please provide a new password', 400));
+  }
+
+  const passwordErrors = validatePassword(password);
+  if (passwordErrors.length > 0) {
+    return next(new ErrorResponse(passwordErrors.join(', '), 400));
+  }
+
+  // Get hashed token
+  const resetPasswordToken = crypto
+    .createHash('sha256')
+    .update(req.params.resettoken)
+    .digest('hex');
+
+  const user = await User.findOne({
+    resetPasswordToken,
+    resetPasswordExpire: { $gt: Date.now() },
+  });
+
+  if (!user) {
+    return next(new ErrorResponse('Invalid or expired reset token', 400));
+  }
+
+  // Set new password, token 只能使用一次
+  user.password = password;
+  user.resetPasswordToken = undefined;
+  user.resetPasswordExpire = undefined;
+  await user.save();
+
+  // 撤銷重設前發放的所有 token，並中斷所有即時連線
+  user.tokenVersion = await tokenService.revokeAllTokens(user._id, 'password-reset');
+  disconnectUser(user._id.toString());
+
+  // 啟用兩步驟驗證的帳號不能僅憑重設連結登入，需重新走完登入流程
+  if (user.twoFactorEnabled) {
+    return res.status(200).json({ success: true, data: 'Password reset, please log in' });
+  }
+
+  await sendTokenResponse(user, 200, req, res);
+});
+
+// @desc    Update password
+// @route   PUT /api/auth/updatepassword
+// @access  Private
+exports.updatePassword = asyncHandler(async (req, res, next) => {
+  const { currentPassword, newPassword } = req.body;
+
+  if (!currentPassword || !newPassword) {
+    return next(new ErrorResponse('Please provide your current and new password', 400));
+  }
+
+  const user = await User.findById(req.user.id).select('+password');
+
+  if (!user) {
+    return next(new ErrorResponse('User not found', 404));
+  }
+
+  // Check current password
+  if (!(await user.matchPassword(currentPassword))) {
+    return next(new ErrorResponse('Password is incorrect', 401));
+  }
+
+  if (currentPassword === newPassword) {
+    return next(new ErrorResponse('New password must be different from the current one', 400));
+  }
+
+  const passwordErrors = validatePassword(newPassword);
+  if (passwordErrors.length > 0) {
+    return next(new ErrorResponse(passwordErrors.join(', '), 400));
+  }
+
+  // pre('save') hook 會重新雜湊密碼
+  user.password = newPassword;
+  await user.save();
+
+  // 使舊的 token 與登入快取失效，其他裝置需以新密碼重新登入
+  await deleteCache(`user:${user._id}:profile`);
+  user.tokenVersion = await tokenService.revokeAllTokens(user._id, 'password-change');
+  disconnectUser(user._id.toString());
+
+  await sendTokenResponse(user, 200, req, res);
+});
+
+// @desc    Get login history of current user
+// @route   GET /api/auth/login-history
+// @access  Private
+exports.getLoginHistory = asyncHandler(async (req, res, next) => {
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+  const result = await loginProtection.getLoginHistory(req.user.id, { page, limit });
+
+  res.status(200).json({
+    success: true,
+    count: result.attempts.length,
+    pagination: result.pagination,
+    data: result.attempts,
+  });
+});
+
 // @desc    Get current logged in user
 // @route   GET /api/auth/me
 // @access  Private
@@ -159,7 +822,10 @@ exports.getMe = asyncHandler(async (req, res, next) => {
       recordCacheMiss(cacheKey);
 
       // 使用 lean() 提高查詢性能，並只投影必要字段
-      return await User.findById(req.user.id, 'name email role createdAt updatedAt').lean();
+      return await User.findById(
+        req.user.id,
+        'name email role emailVerified createdAt updatedAt'
+      ).lean();
     },
     cacheTTL // 使用自適應緩存時間
   );
@@ -174,7 +840,7 @@ exports.getMe = asyncHandler(async (req, res, next) => {
   res.status(200).json({ success: true, data: userData });
 });
 
-// @desc    搜索用戶通過電子郵件
+// @desc    搜索用戶通過電子郵件 (完全符合，建議改用 /api/users/search)
 // @route   GET /api/auth/search
 // @access  Private
 exports.searchUserByEmail = asyncHandler(async (req, res, next) => {
@@ -184,12 +850,8 @@ exports.searchUserByEmail = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse('請提供電子郵件進行搜索', 400));
   }
 
-  // 查找用戶但不返回密碼，使用正則表達式使搜索更有彈性
-  // 使用 lean() 提高查詢性能，並只投影必要字段
-  const user = await User.findOne(
-    { email: new RegExp(email, 'i') },
-    'name email role createdAt'
-  ).lean();
+  // 只接受完整的電子郵件，並遵守對方的搜尋設定
+  const user = await userDirectoryService.findByEmail(req.user.id, email);
 
   if (!user) {
     return next(new ErrorResponse('找不到用戶', 404));
@@ -198,16 +860,74 @@ exports.searchUserByEmail = asyncHandler(async (req, res, next) => {
   res.status(200).json({ success: true, data: user });
 });
 
-// Get token from model, create and send response
-const sendTokenResponse = (user, statusCode, res) => {
-  // 直接生成 JWT Token，避免調用 mongoose 方法以提高性能
-  const token = jwt.sign({ id: user._id }, config.jwtSecret, {
-    expiresIn: config.jwtExpire,
+// Send a signed email verification link to the user
+const sendVerificationEmail = async (user, req) => {
+  const token = tokenService.signPurposeToken(
+    { id: user._id, email: user.email },
+    'email-verify',
+    config.emailVerificationExpire
+  );
+  const verifyUrl = buildAppUrl(`/api/auth/verifyemail/${token}`);
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text:
+      `Welcome, ${user.name}!\n\n` +
+      `Please confirm your email address by opening the link below:\n${verifyUrl}\n\n` +
+      `This link expires in ${config.emailVerificationExpire}.`,
   });
+};
 
-  // 將 token 存入 Redis 緩存以加快後續驗證
-  const tokenCacheKey = `auth:token:${user._id}`;
-  setCache(tokenCacheKey, { token, userId: user._id }, parseInt(config.jwtExpire) || 24 * 60 * 60); // 預設 24 小時
+// Issue a short-lived challenge for the second login step
+// restore 表示此 challenge 由 /restore 發出，完成第二步驟時需還原帳號
+const sendTwoFactorChallenge = async (user, clientMeta, req, res, { restore = false } = {}) => {
+  const challengeToken = tokenService.signPurposeToken(
+    { id: user._id, email: user.email, restore },
+    '2fa-challenge',
+    config.twoFactor.challengeExpire
+  );
+
+  await loginProtection.recordAttempt(
+    { email: user.email, user: user._id, outcome: '2fa-required' },
+    clientMeta
+  );
+
+  applyNoStore(req, res);
+  res.status(200).json({ success: true, twoFactorRequired: true, challengeToken });
+};
+
+// Record a failed login step and apply per-account backoff
+const handleFailedLogin = async (email, userId, outcome, clientMeta, res) => {
+  await loginProtection.recordAttempt({ email, user: userId, outcome }, clientMeta);
+  const retryAfter = await loginProtection.registerFailure(email);
+
+  if (retryAfter > 0) {
+    res.set('Retry-After', String(retryAfter));
+  }
+};
+
+// 以設定的對外網址產生連結，不使用可被偽造的 Host 標頭
+const buildAppUrl = (path) => `${config.appUrl}${path}`;
+
+// 取得用於記錄 token 來源的客戶端資訊
+const getClientMeta = (req) => ({
+  ip: req.ip,
+  userAgent: req.get('user-agent'),
+  deviceName: req.get('x-device-name') || (req.body && req.body.deviceName),
+});
+
+// Issue an access/refresh token pair and send response
+const sendTokenResponse = async (user, statusCode, req, res) => {
+  // 已刪除 (寬限期中) 的帳號只能透過 /restore 重新登入
+  if (user.deletedAt) {
+    throw new ErrorResponse(
+      'This account is scheduled for deletion. Use /api/auth/restore to restore it.',
+      403
+    );
+  }
+
+  const { token, refreshToken } = await tokenService.issueTokens(user, getClientMeta(req));
 
   // Create a user object without the password
   const userData = {
@@ -215,17 +935,21 @@ const sendTokenResponse = (user, statusCode, res) => {
     name: user.name,
     email: user.email,
     role: user.role,
+    emailVerified: user.emailVerified,
+    twoFactorEnabled: user.twoFactorEnabled,
     createdAt: user.createdAt,
     updatedAt: user.updatedAt,
   };
 
   // 同時緩存用戶基本信息，避免後續重複查詢
   const userCacheKey = `user:${user._id}:profile`;
-  setCache(userCacheKey, userData, 1800); // 30分鐘緩存
+  await setCache(userCacheKey, userData, 1800); // 30分鐘緩存
 
+  applyNoStore(req, res);
   res.status(statusCode).json({
     success: true,
     token,
+    refreshToken,
     data: userData,
   });
 };
@@ -3,7 +3,22 @@ const ErrorResponse = require('../utils/errorResponse');
 const Conversation = require('../models/Conversation');
 const Message = require('../models/Message');
 const User = require('../models/User');
-const { formatConversation, formatMessage } = require('../utils/chatUtils');
+const {
+  formatConversation,
+  formatMessage,
+  getRecipientIds,
+  USER_SUMMARY_FIELDS,
+} = require('../utils/chatUtils');
+const { assertCanMessage, getBlockedIds } = require('../services/contactService');
+const { cursorPaginate } = require('../utils/dbUtils');
+const { parseCursorQuery, buildCursorLinks } = require('../utils/cursorUtils');
+
+// 取得 lastMessage 發送者的 ID (已 populate 或未 populate)
+const lastMessageSenderId = (conversation) => {
+  const sender = conversation.lastMessage && conversation.lastMessage.sender;
+  if (!sender) return '';
+  return (sender._id || sender).toString();
+};
 
 /**
  * @desc    Get all conversations for the current user
@@ -16,22 +31,31 @@ exports.getConversations = asyncHandler(async (req, res) => {
   })
     .populate({
       path: 'participants',
-      select: 'name email',
+      select: USER_SUMMARY_FIELDS,
     })
     .populate({
       path: 'lastMessage',
       select: 'content readBy createdAt sender',
       populate: {
         path: 'sender',
-        select: 'name email',
+        select: USER_SUMMARY_FIELDS,
       },
     })
     .sort({ updatedAt: -1 });
 
-  // Format conversations for response
-  const formattedConversations = conversations.map((conversation) =>
-    formatConversation(conversation, req.user.id)
-  );
+  const blockedIds = new Set(await getBlockedIds(req.user.id));
+
+  // Format conversations for response，隱藏已封鎖用戶的最後一則訊息
+  const formattedConversations = conversations.map((conversation) => {
+    const formatted = formatConversation(conversation, req.user.id);
+
+    if (blockedIds.has(lastMessageSenderId(conversation))) {
+      formatted.lastMessage = null;
+      formatted.unreadCount = 0;
+    }
+
+    return formatted;
+  });
 
   res.status(200).json({
     success: true,
@@ -48,7 +72,7 @@ exports.getConversations = asyncHandler(async (req, res) => {
 exports.getConversation = asyncHandler(async (req, res, next) => {
   const conversation = await Conversation.findById(req.params.id).populate({
     path: 'participants',
-    select: 'name email',
+    select: USER_SUMMARY_FIELDS,
   });
 
   if (!conversation) {
@@ -87,7 +111,7 @@ exports.createConversation = asyncHandler(async (req, res, next) => {
   }
 
   // Check if user exists
-  const receiver = await User.findById(userId);
+  const receiver = await User.findOne({ _id: userId, deletedAt: null });
   if (!receiver) {
     return next(new ErrorResponse(`用戶不存在`, 404));
   }
@@ -98,7 +122,7 @@ exports.createConversation = asyncHandler(async (req, res, next) => {
     participants: { $all: [req.user.id, userId] },
   }).populate({
     path: 'participants',
-    select: 'name email',
+    select: USER_SUMMARY_FIELDS,
   });
 
   // If the conversation exists, return it
@@ -109,6 +133,9 @@ exports.createConversation = asyncHandler(async (req, res, next) => {
     });
   }
 
+  // 檢查封鎖與對方的訊息設定
+  await assertCanMessage(req.user.id, userId);
+
   // Create new conversation
   conversation = await Conversation.create({
     participants: [req.user.id, userId],
@@ -117,7 +144,7 @@ exports.createConversation = asyncHandler(async (req, res, next) => {
   // Populate participants information
   conversation = await Conversation.findById(conversation._id).populate({
     path: 'participants',
-    select: 'name email',
+    select: USER_SUMMARY_FIELDS,
   });
 
   res.status(201).json({
@@ -128,6 +155,7 @@ exports.createConversation = asyncHandler(async (req, res, next) => {
 
 /**
  * @desc    Get messages for a conversation
+ *          由舊到新排列，預設回傳最新的一頁，before 游標載入更早的訊息
  * @route   GET /api/chat/conversations/:id/messages
  * @access  Private
  */
@@ -147,13 +175,29 @@ exports.getMessages = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse(`不允許訪問此對話`, 403));
   }
 
-  // Get messages
-  const messages = await Message.find({ conversation: req.params.id })
-    .populate({
-      path: 'sender',
-      select: 'name email',
-    })
-    .sort({ createdAt: 1 });
+  const { after, before, limit } = parseCursorQuery(req.query, { defaultLimit: 50, maxLimit: 100 });
+
+  // Get messages，不顯示已封鎖用戶的訊息
+  const blockedIds = await getBlockedIds(req.user.id);
+  const { data: messages, pagination } = await cursorPaginate(
+    Message,
+    {
+      conversation: req.params.id,
+      sender: { $nin: blockedIds },
+    },
+    {
+      after,
+      before,
+      limit,
+      order: 1,
+      fromEnd: true,
+      populate: {
+        path: 'sender',
+        select: USER_SUMMARY_FIELDS,
+      },
+      lean: false,
+    }
+  );
 
   // Mark messages as read (those not sent by the current user)
   await Message.updateMany(
@@ -173,6 +217,8 @@ exports.getMessages = asyncHandler(async (req, res, next) => {
   res.status(200).json({
     success: true,
     count: messages.length,
+    pagination,
+    links: buildCursorLinks(req, pagination),
     data: formattedMessages,
   });
 });
@@ -204,6 +250,11 @@ exports.sendMessage = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse(`不允許在此對話中發送訊息`, 403));
   }
 
+  // 檢查封鎖與對方的訊息設定
+  for (const recipientId of getRecipientIds(conversation, req.user.id)) {
+    await assertCanMessage(req.user.id, recipientId);
+  }
+
   // Create message
   const message = await Message.create({
     sender: req.user.id,
@@ -220,7 +271,7 @@ exports.sendMessage = asyncHandler(async (req, res, next) => {
   // Populate sender information
   const populatedMessage = await Message.findById(message._id).populate({
     path: 'sender',
-    select: 'name email',
+    select: USER_SUMMARY_FIELDS,
   });
 
   // Format message for response
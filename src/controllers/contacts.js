@@ -0,0 +1,126 @@
+const asyncHandler = require('../utils/asyncHandler');
+const contactService = require('../services/contactService');
+
+// @desc    Get accepted contacts
+// @route   GET /api/contacts
+// @access  Private
+exports.getContacts = asyncHandler(async (req, res, next) => {
+  const contacts = await contactService.listContacts(req.user.id);
+
+  res.status(200).json({
+    success: true,
+    count: contacts.length,
+    data: contacts,
+  });
+});
+
+// @desc    Remove a contact
+// @route   DELETE /api/contacts/:userId
+// @access  Private
+exports.removeContact = asyncHandler(async (req, res, next) => {
+  await contactService.removeContact(req.user.id, req.params.userId);
+
+  res.status(200).json({
+    success: true,
+    data: {},
+  });
+});
+
+// @desc    Get pending contact requests
+// @route   GET /api/contacts/requests
+// @access  Private
+exports.getRequests = asyncHandler(async (req, res, next) => {
+  const requests = await contactService.listRequests(req.user.id, req.query.direction);
+
+  res.status(200).json({
+    success: true,
+    count: requests.length,
+    data: requests,
+  });
+});
+
+// @desc    Send a contact request
+// @route   POST /api/contacts/requests
+// @access  Private
+exports.sendRequest = asyncHandler(async (req, res, next) => {
+  const request = await contactService.sendRequest(req.user.id, req.body.userId);
+
+  // 對方已先發出邀請時直接成為聯絡人
+  res.status(request.status === 'accepted' ? 200 : 201).json({
+    success: true,
+    data: request,
+  });
+});
+
+// @desc    Accept a contact request
+// @route   PUT /api/contacts/requests/:id/accept
+// @access  Private
+exports.acceptRequest = asyncHandler(async (req, res, next) => {
+  const contact = await contactService.respondToRequest(req.user.id, req.params.id, true);
+
+  res.status(200).json({
+    success: true,
+    data: contact,
+  });
+});
+
+// @desc    Decline a contact request
+// @route   PUT /api/contacts/requests/:id/decline
+// @access  Private
+exports.declineRequest = asyncHandler(async (req, res, next) => {
+  await contactService.respondToRequest(req.user.id, req.params.id, false);
+
+  res.status(200).json({
+    success: true,
+    data: {},
+  });
+});
+
+// @desc    Cancel an outgoing contact request
+// @route   DELETE /api/contacts/requests/:id
+// @access  Private
+exports.cancelRequest = asyncHandler(async (req, res, next) => {
+  await contactService.cancelRequest(req.user.id, req.params.id);
+
+  res.status(200).json({
+    success: true,
+    data: {},
+  });
+});
+
+// @desc    Get blocked users
+// @route   GET /api/contacts/blocked
+// @access  Private
+exports.getBlocked = asyncHandler(async (req, res, next) => {
+  const blocked = await contactService.listBlocked(req.user.id);
+
+  res.status(200).json({
+    success: true,
+    count: blocked.length,
+    data: blocked,
+  });
+});
+
+// @desc    Block a user
+// @route   POST /api/contacts/blocked
+// @access  Private
+exports.blockUser = asyncHandler(async (req, res, next) => {
+  await contactService.blockUser(req.user.id, req.body.userId);
+
+  res.status(200).json({
+    success: true,
+    data: {},
+  });
+});
+
+// @desc    Unblock a user
+// @route   DELETE /api/contacts/blocked/:userId
+// @access  Private
+exports.unblockUser = asyncHandler(async (req, res, next) => {
+  await contactService.unblockUser(req.user.id, req.params.userId);
+
+  res.status(200).json({
+    success: true,
+    data: {},
+  });
+});
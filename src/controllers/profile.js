@@ -1,6 +1,10 @@
 const ErrorResponse = require('../utils/errorResponse');
 const asyncHandler = require('../utils/asyncHandler');
 const userService = require('../services/userService');
+const accountDeletionService = require('../services/accountDeletionService');
+const dataExportService = require('../services/dataExportService');
+const policyService = require('../services/policyService');
+const { applyNoStore } = require('../middlewares/cacheHeaders');
 
 // @desc    Get user profile
 // @route   GET /api/profile/me
@@ -25,16 +29,88 @@ exports.updateProfile = asyncHandler(async (req, res, next) => {
     );
   }
 
+  // 電子郵件需經過新信箱確認才能變更
+  if (req.body.email !== undefined) {
+    return next(
+      new ErrorResponse(
+        'This route is not for email changes. Please use /api/auth/email/change.',
+        400
+      )
+    );
+  }
+
   const user = await userService.updateUser(req.user.id, req.body);
 
   res.status(200).json({ success: true, data: user });
 });
 
+// @desc    Upload avatar
+// @route   PUT /api/profile/me/avatar
+// @access  Private
+exports.uploadAvatar = asyncHandler(async (req, res, next) => {
+  if (!req.file) {
+    return next(new ErrorResponse('請選擇要上傳的圖片', 400));
+  }
+
+  const user = await userService.setAvatar(req.user.id, req.file);
+
+  res.status(200).json({ success: true, data: user });
+});
+
+// @desc    Remove avatar
+// @route   DELETE /api/profile/me/avatar
+// @access  Private
+exports.removeAvatar = asyncHandler(async (req, res, next) => {
+  const user = await userService.removeAvatar(req.user.id);
+
+  res.status(200).json({ success: true, data: user });
+});
+
+// @desc    Request a personal data export
+// @route   POST /api/profile/export
+// @access  Private
+exports.requestExport = asyncHandler(async (req, res, next) => {
+  const dataExport = await dataExportService.requestExport(req.user.id);
+
+  res.status(202).json({ success: true, data: dataExport });
+});
+
+// @desc    Get the status of a data export
+// @route   GET /api/profile/export/:id
+// @access  Private
+exports.getExport = asyncHandler(async (req, res, next) => {
+  const dataExport = await dataExportService.getExport(req.user.id, req.params.id);
+
+  applyNoStore(req, res);
+  res.status(200).json({ success: true, data: dataExport });
+});
+
+// @desc    Download a data export
+// @route   GET /api/profile/export/:id/download
+// @access  Private
+exports.downloadExport = asyncHandler(async (req, res, next) => {
+  const dataExport = await dataExportService.getDownload(req.params.id);
+
+  // 與 getFile 相同的存取檢查：擁有者或具備 file.read.any 權限
+  if (!policyService.can(req.user, 'file.read', dataExport.user)) {
+    return next(new ErrorResponse('無權訪問此檔案', 401));
+  }
+
+  const date = dataExport.completedAt.toISOString().slice(0, 10);
+
+  applyNoStore(req, res);
+  res.download(dataExport.filePath, `data-export-${date}.zip`);
+});
+
 // @desc    Delete user account
 // @route   DELETE /api/profile/me
 // @access  Private
 exports.deleteAccount = asyncHandler(async (req, res, next) => {
-  await userService.deleteUser(req.user.id);
+  // 帳號在寬限期內可透過 POST /api/auth/restore 還原
+  const { purgeAt } = await accountDeletionService.scheduleDeletion(req.user.id, {
+    ip: req.ip,
+    userAgent: req.get('user-agent'),
+  });
 
-  res.status(200).json({ success: true, data: {} });
+  res.status(200).json({ success: true, data: { purgeAt } });
 });
@@ -0,0 +1,165 @@
+const asyncHandler = require('../utils/asyncHandler');
+const projectService = require('../services/projectService');
+const { buildCursorLinks } = require('../utils/cursorUtils');
+
+// @desc    Get projects of the current user
+// @route   GET /api/projects
+// @access  Private
+exports.getProjects = asyncHandler(async (req, res, next) => {
+  const projects = await projectService.getProjects(req.user.id);
+
+  res.status(200).json({
+    success: true,
+    count: projects.length,
+    data: projects,
+  });
+});
+
+// @desc    Get single project
+// @route   GET /api/projects/:id
+// @access  Private (members)
+exports.getProject = asyncHandler(async (req, res, next) => {
+  const project = await projectService.getProject(req.params.id, req.user.id);
+
+  res.status(200).json({ success: true, data: project });
+});
+
+// @desc    Create new project
+// @route   POST /api/projects
+// @access  Private
+exports.createProject = asyncHandler(async (req, res, next) => {
+  const project = await projectService.createProject(req.body, req.user.id);
+
+  res.status(201).json({ success: true, data: project });
+});
+
+// @desc    Update project
+// @route   PUT /api/projects/:id
+// @access  Private (owners)
+exports.updateProject = asyncHandler(async (req, res, next) => {
+  const project = await projectService.updateProject(req.params.id, req.body, req.user.id);
+
+  res.status(200).json({ success: true, data: project });
+});
+
+// @desc    Delete project
+// @route   DELETE /api/projects/:id
+// @access  Private (owners)
+exports.deleteProject = asyncHandler(async (req, res, next) => {
+  await projectService.deleteProject(req.params.id, req.user.id);
+
+  res.status(200).json({ success: true, data: {} });
+});
+
+// @desc    Get tasks of a project
+// @route   GET /api/projects/:id/tasks
+// @access  Private (members)
+exports.getProjectTasks = asyncHandler(async (req, res, next) => {
+  const result = await projectService.getProjectTasks(req.params.id, req.query, req.user.id);
+
+  res.status(200).json({
+    success: true,
+    count: result.count,
+    pagination: result.pagination,
+    links: buildCursorLinks(req, result.pagination),
+    data: result.tasks,
+  });
+});
+
+// @desc    Get project members
+// @route   GET /api/projects/:id/members
+// @access  Private (members)
+exports.getMembers = asyncHandler(async (req, res, next) => {
+  const members = await projectService.getMembers(req.params.id, req.user.id);
+
+  res.status(200).json({
+    success: true,
+    count: members.length,
+    data: members,
+  });
+});
+
+// @desc    Change the role of a project member
+// @route   PUT /api/projects/:id/members/:userId
+// @access  Private (owners)
+exports.updateMemberRole = asyncHandler(async (req, res, next) => {
+  const member = await projectService.updateMemberRole(
+    req.params.id,
+    req.params.userId,
+    req.body.role,
+    req.user.id
+  );
+
+  res.status(200).json({ success: true, data: member });
+});
+
+// @desc    Remove a project member or leave the project
+// @route   DELETE /api/projects/:id/members/:userId
+// @access  Private (owners, or the member themselves)
+exports.removeMember = asyncHandler(async (req, res, next) => {
+  await projectService.removeMember(req.params.id, req.params.userId, req.user.id);
+
+  res.status(200).json({ success: true, data: {} });
+});
+
+// @desc    Get pending invitations of a project
+// @route   GET /api/projects/:id/invitations
+// @access  Private (owners)
+exports.getProjectInvitations = asyncHandler(async (req, res, next) => {
+  const invitations = await projectService.getProjectInvitations(req.params.id, req.user.id);
+
+  res.status(200).json({
+    success: true,
+    count: invitations.length,
+    data: invitations,
+  });
+});
+
+// @desc    Invite a user to a project
+// @route   POST /api/projects/:id/invitations
+// @access  Private (owners)
+exports.inviteMember = asyncHandler(async (req, res, next) => {
+  const invitation = await projectService.inviteMember(req.params.id, req.body, req.user.id);
+
+  res.status(201).json({ success: true, data: invitation });
+});
+
+// @desc    Revoke a project invitation
+// @route   DELETE /api/projects/:id/invitations/:invitationId
+// @access  Private (owners)
+exports.revokeInvitation = asyncHandler(async (req, res, next) => {
+  await projectService.revokeInvitation(req.params.id, req.params.invitationId, req.user.id);
+
+  res.status(200).json({ success: true, data: {} });
+});
+
+// @desc    Get project invitations of the current user
+// @route   GET /api/projects/invitations
+// @access  Private
+exports.getMyInvitations = asyncHandler(async (req, res, next) => {
+  const invitations = await projectService.getMyInvitations(req.user.id);
+
+  res.status(200).json({
+    success: true,
+    count: invitations.length,
+    data: invitations,
+  });
+});
+
+// @desc    Accept a project invitation
+// @route   PUT /api/projects/invitations/:id/accept
+// @access  Private
+exports.acceptInvitation = asyncHandler(async (req, res, next) => {
+  const project = await projectService.respondToInvitation(req.user.id, req.params.id, true);
+
+  res.status(200).json({ success: true, data: project });
+});
+
+// @desc    Decline a project invitation
+// @route   PUT /api/projects/invitations/:id/decline
+// @access  Private
+exports.declineInvitation = asyncHandler(async (req, res, next) => {
+  await projectService.respondToInvitation(req.user.id, req.params.id, false);
+
+  res.status(200).json({ success: true, data: {} });
+});
@@ -1,6 +1,7 @@
 const ErrorResponse = require('../utils/errorResponse');
 const asyncHandler = require('../utils/asyncHandler');
 const taskService = require('../services/taskService');
+const { buildCursorLinks } = require('../utils/cursorUtils');
 
 // @desc    Get all tasks
 // @route   GET /api/tasks
@@ -13,6 +14,7 @@ exports.getTasks = asyncHandler(async (req, res, next) => {
     success: true,
     count: result.count,
     pagination: result.pagination,
+    links: buildCursorLinks(req, result.pagination),
     data: result.tasks,
   });
 });
@@ -21,7 +23,9 @@ exports.getTasks = asyncHandler(async (req, res, next) => {
 // @route   GET /api/tasks/:id
 // @access  Private
 exports.getTask = asyncHandler(async (req, res, next) => {
-  const task = await taskService.getTaskById(req.params.id, req.user.id);
+  const task = await taskService.getTaskById(req.params.id, req.user, {
+    include: req.query.include,
+  });
 
   res.status(200).json({ success: true, data: task });
 });
@@ -30,7 +34,7 @@ exports.getTask = asyncHandler(async (req, res, next) => {
 // @route   POST /api/tasks
 // @access  Private
 exports.createTask = asyncHandler(async (req, res, next) => {
-  const task = await taskService.createTask(req.body, req.user.id);
+  const task = await taskService.createTask(req.body, req.user);
 
   res.status(201).json({ success: true, data: task });
 });
@@ -39,7 +43,7 @@ exports.createTask = asyncHandler(async (req, res, next) => {
 // @route   PUT /api/tasks/:id
 // @access  Private
 exports.updateTask = asyncHandler(async (req, res, next) => {
-  const task = await taskService.updateTask(req.params.id, req.body, req.user.id, req.user.role);
+  const task = await taskService.updateTask(req.params.id, req.body, req.user);
 
   res.status(200).json({ success: true, data: task });
 });
@@ -48,7 +52,88 @@ exports.updateTask = asyncHandler(async (req, res, next) => {
 // @route   DELETE /api/tasks/:id
 // @access  Private
 exports.deleteTask = asyncHandler(async (req, res, next) => {
-  await taskService.deleteTask(req.params.id, req.user.id, req.user.role);
+  await taskService.deleteTask(req.params.id, req.user);
 
   res.status(200).json({ success: true, data: {} });
 });
+
+// @desc    Assign a user to a task
+// @route   POST /api/tasks/:id/assignees
+// @access  Private
+exports.addAssignee = asyncHandler(async (req, res, next) => {
+  if (!req.body.userId) {
+    return next(new ErrorResponse('Please provide a user ID', 400));
+  }
+
+  const task = await taskService.addAssignee(req.params.id, req.body.userId, req.user);
+
+  res.status(200).json({ success: true, data: task });
+});
+
+// @desc    Remove an assignee from a task
+// @route   DELETE /api/tasks/:id/assignees/:userId
+// @access  Private
+exports.removeAssignee = asyncHandler(async (req, res, next) => {
+  const task = await taskService.removeAssignee(req.params.id, req.params.userId, req.user);
+
+  res.status(200).json({ success: true, data: task });
+});
+
+// @desc    Watch a task (yourself, or another user when managing the task)
+// @route   POST /api/tasks/:id/watchers
+// @access  Private
+exports.addWatcher = asyncHandler(async (req, res, next) => {
+  const task = await taskService.addWatcher(req.params.id, req.body.userId, req.user);
+
+  res.status(200).json({ success: true, data: task });
+});
+
+// @desc    Stop watching a task
+// @route   DELETE /api/tasks/:id/watchers/:userId
+// @access  Private
+exports.removeWatcher = asyncHandler(async (req, res, next) => {
+  const task = await taskService.removeWatcher(req.params.id, req.params.userId, req.user);
+
+  res.status(200).json({ success: true, data: task });
+});
+
+// @desc    Add a checklist item
+// @route   POST /api/tasks/:id/checklist
+// @access  Private
+exports.addChecklistItem = asyncHandler(async (req, res, next) => {
+  const task = await taskService.addChecklistItem(req.params.id, req.body, req.user);
+
+  res.status(201).json({ success: true, data: task });
+});
+
+// @desc    Reorder checklist items
+// @route   PUT /api/tasks/:id/checklist/order
+// @access  Private
+exports.reorderChecklist = asyncHandler(async (req, res, next) => {
+  const task = await taskService.reorderChecklist(req.params.id, req.body.itemIds, req.user);
+
+  res.status(200).json({ success: true, data: task });
+});
+
+// @desc    Update a checklist item (assignees may only check or uncheck it)
+// @route   PUT /api/tasks/:id/checklist/:itemId
+// @access  Private
+exports.updateChecklistItem = asyncHandler(async (req, res, next) => {
+  const task = await taskService.updateChecklistItem(
+    req.params.id,
+    req.params.itemId,
+    req.body,
+    req.user
+  );
+
+  res.status(200).json({ success: true, data: task });
+});
+
+// @desc    Remove a checklist item
+// @route   DELETE /api/tasks/:id/checklist/:itemId
+// @access  Private
+exports.removeChecklistItem = asyncHandler(async (req, res, next) => {
+  const task = await taskService.removeChecklistItem(req.params.id, req.params.itemId, req.user);
+
+  res.status(200).json({ success: true, data: task });
+});
@@ -3,6 +3,9 @@ const fs = require('fs');
 const ErrorResponse = require('../utils/errorResponse');
 const asyncHandler = require('../utils/asyncHandler');
 const File = require('../models/File');
+const policyService = require('../services/policyService');
+const { cursorPaginate } = require('../utils/dbUtils');
+const { parseCursorQuery, buildCursorLinks } = require('../utils/cursorUtils');
 
 // @desc    Upload a file
 // @route   POST /api/upload
@@ -30,9 +33,22 @@ exports.uploadFile = asyncHandler(async (req, res, next) => {
 // @route   GET /api/upload
 // @access  Private
 exports.getAllFiles = asyncHandler(async (req, res, next) => {
-  const files = await File.find({ user: req.user.id });
-
-  res.status(200).json({ success: true, count: files.length, data: files });
+  // 游標分頁，由新到舊
+  const { after, before, limit } = parseCursorQuery(req.query, { defaultLimit: 25, maxLimit: 100 });
+
+  const { data: files, pagination } = await cursorPaginate(
+    File,
+    { user: req.user.id },
+    { after, before, limit, order: -1, lean: false }
+  );
+
+  res.status(200).json({
+    success: true,
+    count: files.length,
+    pagination,
+    links: buildCursorLinks(req, pagination),
+    data: files,
+  });
 });
 
 // @desc    Get a single file
@@ -45,11 +61,9 @@ exports.getFile = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse(`找不到ID為 ${req.params.id} 的檔案`, 404));
   }
 
-  // If file is not public and:
-  // - user is not logged in, or
-  // - user is logged in but doesn't own the file
-  // Then deny access
-  if (!file.isPublic && (!req.user || (req.user && file.user.toString() !== req.user.id))) {
+  // If file is not public and the user is neither its owner nor holds
+  // file.read.any, deny access
+  if (!file.isPublic && !policyService.can(req.user, 'file.read', file.user)) {
     return next(new ErrorResponse('無權訪問此檔案', 401));
   }
   // Check if file exists
@@ -72,12 +86,12 @@ exports.deleteFile = asyncHandler(async (req, res, next) => {
     return next(new ErrorResponse(`找不到ID為 ${req.params.id} 的檔案`, 404));
   }
 
-  // Make sure user owns file
-  if (file.user.toString() !== req.user.id && req.user.role !== 'admin') {
+  // Make sure user owns file or has file.delete.any
+  if (!policyService.can(req.user, 'file.delete', file.user)) {
     return next(new ErrorResponse('無權刪除此檔案', 401));
   }
 
-  const filePath = path.join(__dirname, '..', '..', file.filePath);
+  const filePath = path.resolve(file.filePath);
 
   // Delete file from database
   await File.deleteOne({ _id: req.params.id });
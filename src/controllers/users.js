@@ -0,0 +1,23 @@
+const asyncHandler = require('../utils/asyncHandler');
+const userDirectoryService = require('../services/userDirectoryService');
+
+// @desc    Search users by name or email
+// @route   GET /api/users/search
+// @access  Private
+exports.searchUsers = asyncHandler(async (req, res, next) => {
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 50);
+
+  const result = await userDirectoryService.searchUsers(req.user.id, {
+    q: req.query.q,
+    page,
+    limit,
+  });
+
+  res.status(200).json({
+    success: true,
+    count: result.users.length,
+    pagination: result.pagination,
+    data: result.users,
+  });
+});
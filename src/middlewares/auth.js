@@ -1,9 +1,10 @@
-const jwt = require('jsonwebtoken');
 const ErrorResponse = require('../utils/errorResponse');
 const User = require('../models/User');
 const config = require('../config');
 const { getCache, setCache } = require('../utils/cacheUtils');
-const { verifyTokenWithCache, isTokenBlacklisted } = require('../utils/jwtUtils');
+const { verifyAccessToken } = require('../services/tokenService');
+const apiKeyService = require('../services/apiKeyService');
+const policyService = require('../services/policyService');
 const { getOptimalTTL, recordCacheHit, recordCacheMiss } = require('../utils/adaptiveCache');
 
 // Protect routes
@@ -19,54 +20,34 @@ exports.protect = async (req, res, next) => {
     //   token = req.cookies.token;
     // }
 
+    // 沒有 Bearer token 時改用 X-API-Key 認證
+    if (!token && req.headers['x-api-key']) {
+      return await authenticateApiKey(req, next);
+    }
+
     // Make sure token exists
     if (!token) {
       return next(new ErrorResponse('Not authorized to access this route', 401));
     }
 
-    // Check if token is blacklisted
-    if (await isTokenBlacklisted(token)) {
-      return next(new ErrorResponse('Invalid or expired token', 401));
-    }
-
-    // Use optimized token verification with caching
-    const decoded = await verifyTokenWithCache(token);
+    // 檢查黑名單、簽章以及用戶目前的 token 版本
+    const decoded = await verifyAccessToken(token);
 
     if (!decoded) {
       return next(new ErrorResponse('Invalid or expired token', 401));
     }
 
-    // 使用單一的用戶緩存鍵來獲取用戶資料
-    const userCacheKey = `user:${decoded.id}:profile`;
-
-    // Get optimal TTL for user profile
-    const cacheTTL = await getOptimalTTL('user:profile', userCacheKey);
-
-    // Try to get user from cache
-    let user = await getCache(userCacheKey);
-
-    if (user) {
-      // Record cache hit for analytics
-      recordCacheHit(userCacheKey);
-    } else {
-      // Record cache miss
-      recordCacheMiss(userCacheKey);
-
-      // 如果緩存中沒有用戶資料，從數據庫高效獲取
-      user = await User.findById(decoded.id).select('_id name email role').lean();
-
-      if (user) {
-        // Store in cache with adaptive TTL
-        await setCache(userCacheKey, user, cacheTTL);
-      }
-    }
+    const user = await loadUserProfile(decoded.id);
 
     if (!user) {
       return next(new ErrorResponse('User not found', 401));
     }
 
-    // 將用戶數據附加到請求對象
-    req.user = user;
+    // 將用戶數據與 token 附加到請求對象
+    // lean 查詢與快取的資料沒有 id 虛擬屬性，這裡補上字串形式的 id
+    req.user = { ...user, id: user._id.toString() };
+    req.token = token;
+    req.sessionId = decoded.sid;
     next();
   } catch (err) {
     console.error('Auth middleware error:', err);
@@ -74,6 +55,69 @@ exports.protect = async (req, res, next) => {
   }
 };
 
+// Authenticate a request with a personal API key
+// API key 只能存取以 requireScope 宣告權限範圍的路由，且必須具備所有宣告的範圍
+const authenticateApiKey = async (req, next) => {
+  const apiKey = await apiKeyService.authenticate(req.headers['x-api-key'], { ip: req.ip });
+
+  if (!apiKey) {
+    return next(new ErrorResponse('Invalid or expired API key', 401));
+  }
+
+  if (!req.requiredScopes) {
+    return next(new ErrorResponse('API keys are not allowed on this route', 403));
+  }
+
+  const missing = req.requiredScopes.filter((scope) => !apiKey.scopes.includes(scope));
+
+  if (missing.length > 0) {
+    return next(new ErrorResponse(`API key is missing required scope: ${missing.join(', ')}`, 403));
+  }
+
+  const user = await loadUserProfile(apiKey.userId);
+
+  if (!user) {
+    return next(new ErrorResponse('User not found', 401));
+  }
+
+  req.user = { ...user, id: user._id.toString() };
+  req.apiKey = apiKey;
+  next();
+};
+
+// Load a user profile through the shared profile cache
+const loadUserProfile = async (userId) => {
+  // 使用單一的用戶緩存鍵來獲取用戶資料
+  const userCacheKey = `user:${userId}:profile`;
+
+  // Get optimal TTL for user profile
+  const cacheTTL = await getOptimalTTL('user:profile', userCacheKey);
+
+  // Try to get user from cache
+  let user = await getCache(userCacheKey);
+
+  if (user) {
+    // Record cache hit for analytics
+    recordCacheHit(userCacheKey);
+  } else {
+    // Record cache miss
+    recordCacheMiss(userCacheKey);
+
+    // 如果緩存中沒有用戶資料，從數據庫高效獲取
+    // 已刪除 (寬限期中) 的帳號視為不存在
+    user = await User.findOne({ _id: userId, deletedAt: null })
+      .select('_id name email role emailVerified')
+      .lean();
+
+    if (user) {
+      // Store in cache with adaptive TTL
+      await setCache(userCacheKey, user, cacheTTL);
+    }
+  }
+
+  return user;
+};
+
 // Optional authentication - won't block if no token, but will set user if token
 // exists
 exports.optionalAuth = async (req, res, next) => {
@@ -90,39 +134,17 @@ exports.optionalAuth = async (req, res, next) => {
   }
 
   try {
-    // Check if token is blacklisted
-    if (await isTokenBlacklisted(token)) {
-      return next();
-    }
-
-    // Use optimized token verification
-    const decoded = await verifyTokenWithCache(token);
+    // 檢查黑名單、簽章以及用戶目前的 token 版本
+    const decoded = await verifyAccessToken(token);
 
     if (!decoded) {
       return next();
     }
 
-    // Get user from cache with adaptive TTL
-    const userCacheKey = `user:${decoded.id}:profile`;
-    const cacheTTL = await getOptimalTTL('user:profile', userCacheKey);
-
-    let user = await getCache(userCacheKey);
+    const user = await loadUserProfile(decoded.id);
 
     if (user) {
-      recordCacheHit(userCacheKey);
-    } else {
-      recordCacheMiss(userCacheKey);
-
-      // Get from database if not in cache
-      user = await User.findById(decoded.id).select('_id name email role').lean();
-
-      if (user) {
-        await setCache(userCacheKey, user, cacheTTL);
-      }
-    }
-
-    if (user) {
-      req.user = user;
+      req.user = { ...user, id: user._id.toString() };
     }
 
     next();
@@ -147,3 +169,50 @@ exports.authorize = (...roles) => {
     next();
   };
 };
+
+// Grant access to users whose role holds all of the given permissions
+// 與 authorize 相同，但以 config/permissions.js 的權限判斷而非角色名稱
+exports.requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return next(new ErrorResponse('Not authorized to access this route', 401));
+    }
+
+    const missing = permissions.find(
+      (permission) => !policyService.hasPermission(req.user.role, permission)
+    );
+
+    if (missing) {
+      return next(
+        new ErrorResponse(`User role ${req.user.role} is missing permission ${missing}`, 403)
+      );
+    }
+    next();
+  };
+};
+
+// Allow API keys with the given scopes on a route
+// 必須放在 protect 之前；使用 JWT 的請求不受影響
+exports.requireScope = (...scopes) => {
+  return (req, res, next) => {
+    req.requiredScopes = scopes;
+    next();
+  };
+};
+
+// Block accounts whose email is not verified when verification is enforced
+exports.requireVerifiedEmail = (req, res, next) => {
+  if (!config.requireEmailVerification) {
+    return next();
+  }
+
+  if (!req.user) {
+    return next(new ErrorResponse('Not authorized to access this route', 401));
+  }
+
+  if (!req.user.emailVerified) {
+    return next(new ErrorResponse('Please verify your email address to use this feature', 403));
+  }
+
+  next();
+};
@@ -1,14 +1,28 @@
 const morgan = require('morgan');
 const config = require('../config');
 
+// 不記錄密碼、驗證碼與各種 token
+const PROTECTED_FIELDS = [
+  'password',
+  'currentPassword',
+  'newPassword',
+  'code',
+  'recoveryCode',
+  'token',
+  'refreshToken',
+  'resetToken',
+  'challengeToken',
+];
+
 // Create a custom morgan token
 morgan.token('body', (req) => {
   const body = { ...req.body };
 
-  // Don't log passwords
-  if (body.password) {
-    body.password = '[PROTECTED]';
-  }
+  PROTECTED_FIELDS.forEach((field) => {
+    if (body[field]) {
+      body[field] = '[PROTECTED]';
+    }
+  });
 
   return JSON.stringify(body);
 });
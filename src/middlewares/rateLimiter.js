@@ -52,6 +52,18 @@ const loginLimiter = createLimiter({
   },
 });
 
+// Search limiter - keyed by user to slow down directory scraping
+// 需放在 protect 之後才能取得用戶
+const searchLimiter = createLimiter({
+  windowMs: 60 * 1000, // 1 minute
+  max: 30, // 30 searches per minute
+  keyGenerator: (req) => (req.user ? `user:${req.user.id}` : req.ip),
+  message: {
+    success: false,
+    error: 'Too many searches, please try again later',
+  },
+});
+
 // API limiter - general rate limiting for all API requests
 const apiLimiter = createLimiter({
   windowMs: 60 * 60 * 1000, // 1 hour
@@ -77,6 +89,7 @@ module.exports = {
   authLimiter,
   loginLimiter,
   apiLimiter,
+  searchLimiter,
   createLimiter,
   createRedisLimiter,
 };
@@ -42,6 +42,22 @@ const upload = multer({
   fileFilter: fileFilter,
 });
 
+// 頭像只接受圖片，且限制較小的檔案大小
+const imageUpload = multer({
+  storage: storage,
+  limits: { fileSize: 2000000 }, // 2MB
+  fileFilter: (req, file, cb) => {
+    const filetypes = /jpeg|jpg|png|gif/;
+    const extname = filetypes.test(path.extname(file.originalname).toLowerCase());
+    const mimetype = filetypes.test(file.mimetype);
+
+    if (mimetype && extname) {
+      return cb(null, true);
+    }
+    cb(new Error('只允許上傳 JPEG、PNG 或 GIF 圖片'));
+  },
+});
+
 // Single file upload handler
 exports.uploadSingle = (fieldName) => {
   return (req, res, next) => {
@@ -83,3 +99,23 @@ exports.uploadMultiple = (fieldName, maxCount) => {
     });
   };
 };
+
+// Single image upload handler
+exports.uploadImage = (fieldName) => {
+  return (req, res, next) => {
+    const uploadSingle = imageUpload.single(fieldName);
+
+    uploadSingle(req, res, function (err) {
+      if (err instanceof multer.MulterError) {
+        if (err.code === 'LIMIT_FILE_SIZE') {
+          return next(new ErrorResponse('圖片太大，超過2MB的限制', 400));
+        }
+        return next(new ErrorResponse(`檔案上傳錯誤: ${err.message}`, 400));
+      } else if (err) {
+        return next(new ErrorResponse(err.message, 400));
+      }
+
+      next();
+    });
+  };
+};
@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+// API key 可授予的權限範圍
+const API_KEY_SCOPES = ['tasks:read', 'tasks:write', 'files:write', 'chat:send'];
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ApiKey:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: API key 自動生成的ID
+ *         name:
+ *           type: string
+ *           description: API key 名稱
+ *           example: CI 任務同步
+ *         prefix:
+ *           type: string
+ *           description: 用於辨識 API key 的前綴，完整的 key 只在建立時顯示一次
+ *           example: madd_1a2b3c4d
+ *         scopes:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [tasks:read, tasks:write, files:write, chat:send]
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           description: 到期時間，未設定時永不過期
+ *         lastUsedAt:
+ *           type: string
+ *           format: date-time
+ *           description: 最近一次使用時間
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * 個人 API key 模型
+ * 只儲存 key 的 SHA-256 雜湊值，以前綴查詢
+ */
+const ApiKeySchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true, // 添加索引以加快列出用戶的 API key
+    },
+    name: {
+      type: String,
+      required: [true, 'Please add a name for the API key'],
+      trim: true,
+      maxlength: [50, 'Name cannot be more than 50 characters'],
+    },
+    prefix: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    keyHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    scopes: {
+      type: [{ type: String, enum: API_KEY_SCOPES }],
+      validate: {
+        validator: (scopes) => scopes.length > 0,
+        message: 'Please select at least one scope',
+      },
+    },
+    expiresAt: Date,
+    lastUsedAt: Date,
+    lastUsedIp: String,
+    revokedAt: Date,
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model('ApiKey', ApiKeySchema);
+module.exports.API_KEY_SCOPES = API_KEY_SCOPES;
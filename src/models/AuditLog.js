@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AuditLog:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: 稽核記錄自動生成的ID
+ *         actor:
+ *           type: string
+ *           description: 執行操作的用戶ID (系統操作時為空)
+ *         action:
+ *           type: string
+ *           description: 操作類型
+ *           example: user.role.promote
+ *         target:
+ *           type: string
+ *           description: 被操作的用戶ID
+ *         metadata:
+ *           type: object
+ *           description: 操作的詳細資訊
+ *         ip:
+ *           type: string
+ *           description: 操作來源 IP
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           description: 操作時間
+ */
+
+const AuditLogSchema = new mongoose.Schema(
+  {
+    actor: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+      index: true, // 添加索引以加快按操作者查詢
+    },
+    action: {
+      type: String,
+      required: true,
+      index: true, // 添加索引以加快按操作類型篩選
+    },
+    target: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+      index: true, // 添加索引以加快按被操作者查詢
+    },
+    metadata: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+    ip: String,
+    userAgent: String,
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+// 添加按時間排序的索引，以便快速查詢最近的操作
+AuditLogSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', AuditLogSchema);
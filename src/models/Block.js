@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+/**
+ * 封鎖模型
+ * 封鎖後雙方無法建立新對話或傳送訊息，封鎖者也不會再看到被封鎖者的訊息
+ */
+const BlockSchema = new mongoose.Schema(
+  {
+    blocker: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    blocked: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true, // 添加索引以加快查詢封鎖了某用戶的人
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+BlockSchema.index({ blocker: 1, blocked: 1 }, { unique: true });
+
+module.exports = mongoose.model('Block', BlockSchema);
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ContactRequest:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: 聯絡人邀請自動生成的ID
+ *         requester:
+ *           $ref: '#/components/schemas/User'
+ *         recipient:
+ *           $ref: '#/components/schemas/User'
+ *         status:
+ *           type: string
+ *           enum: [pending, accepted]
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * 聯絡人關係模型
+ * 每對用戶只有一筆記錄：發出邀請時為 pending，對方接受後為 accepted，拒絕或移除時刪除
+ */
+const ContactSchema = new mongoose.Schema(
+  {
+    requester: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    recipient: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true, // 添加索引以加快查詢收到的邀請
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'accepted'],
+      default: 'pending',
+    },
+    acceptedAt: Date,
+  },
+  { timestamps: true }
+);
+
+// 同一方向只能有一筆邀請
+ContactSchema.index({ requester: 1, recipient: 1 }, { unique: true });
+ContactSchema.index({ requester: 1, status: 1 });
+ContactSchema.index({ recipient: 1, status: 1 });
+
+module.exports = mongoose.model('Contact', ContactSchema);
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     DataExport:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: 匯出工作自動生成的ID
+ *         status:
+ *           type: string
+ *           enum: [pending, processing, completed, failed, expired]
+ *           description: 匯出狀態
+ *         fileSize:
+ *           type: integer
+ *           description: 壓縮檔大小 (位元組)
+ *         error:
+ *           type: string
+ *           description: 失敗原因
+ *         completedAt:
+ *           type: string
+ *           format: date-time
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *           description: 下載連結到期時間，到期後壓縮檔會被刪除
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * 個人資料匯出模型
+ * 由背景工作產生 ZIP 壓縮檔，完成後在 expiresAt 前可下載
+ */
+const DataExportSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true, // 添加索引以加快查詢用戶的匯出工作
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'processing', 'completed', 'failed', 'expired'],
+      default: 'pending',
+    },
+    filePath: {
+      type: String,
+      select: false,
+    },
+    fileSize: Number,
+    error: String,
+    startedAt: Date,
+    completedAt: Date,
+    expiresAt: Date,
+  },
+  { timestamps: true }
+);
+
+// 背景工作依狀態取出待處理與已到期的匯出
+DataExportSchema.index({ status: 1, createdAt: 1 });
+DataExportSchema.index({ status: 1, expiresAt: 1 });
+
+module.exports = mongoose.model('DataExport', DataExportSchema);
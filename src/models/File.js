@@ -93,7 +93,8 @@ const FileSchema = new mongoose.Schema(
 
 // 添加複合索引以加快常見查詢場景
 FileSchema.index({ user: 1, fileType: 1 });
-FileSchema.index({ user: 1, createdAt: -1 });
+// 游標分頁依 (createdAt, _id) 排序
+FileSchema.index({ user: 1, createdAt: -1, _id: -1 });
 FileSchema.index({ isPublic: 1, fileType: 1 });
 
 module.exports = mongoose.model('File', FileSchema);
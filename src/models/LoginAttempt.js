@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+const config = require('../config');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     LoginAttempt:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: 登入記錄自動生成的ID
+ *         outcome:
+ *           type: string
+ *           description: 登入結果
+ *           enum: [success, failure, locked, 2fa-required, 2fa-failure]
+ *         ip:
+ *           type: string
+ *           description: 登入來源 IP
+ *         userAgent:
+ *           type: string
+ *           description: 登入裝置的 User-Agent
+ *         anomalies:
+ *           type: array
+ *           description: 登入成功時偵測到的異常，例如未曾使用過的 IP 或裝置
+ *           items:
+ *             type: string
+ *             enum: [new-ip, new-user-agent]
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           description: 登入時間
+ */
+
+/**
+ * 登入記錄模型
+ * 記錄每次登入嘗試的來源與結果，超過保留期限後由 MongoDB 自動清除
+ */
+const LoginAttemptSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+      index: true, // 帳號不存在時為空
+    },
+    email: {
+      type: String,
+      required: true,
+      index: true, // 添加索引以便追查針對同一帳號的攻擊
+    },
+    outcome: {
+      type: String,
+      enum: ['success', 'failure', 'locked', '2fa-required', '2fa-failure'],
+      required: true,
+    },
+    ip: String,
+    userAgent: String,
+    anomalies: {
+      type: [String],
+      default: undefined,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+// 按用戶查詢最近的登入記錄
+LoginAttemptSchema.index({ user: 1, createdAt: -1 });
+
+// 超過保留期限的記錄由 MongoDB 自動清除
+LoginAttemptSchema.index(
+  { createdAt: 1 },
+  { expireAfterSeconds: config.loginHistoryRetentionDays * 24 * 60 * 60 }
+);
+
+module.exports = mongoose.model('LoginAttempt', LoginAttemptSchema);
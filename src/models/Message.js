@@ -68,7 +68,8 @@ const MessageSchema = new mongoose.Schema(
 );
 
 // 添加複合索引以加快常見查詢模式
-MessageSchema.index({ conversation: 1, createdAt: -1 });
+// 游標分頁依 (createdAt, _id) 排序
+MessageSchema.index({ conversation: 1, createdAt: -1, _id: -1 });
 MessageSchema.index({ sender: 1, conversation: 1 });
 
 module.exports = mongoose.model('Message', MessageSchema);
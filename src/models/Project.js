@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+const { PROJECT_ROLES } = require('../config/permissions');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Project:
+ *       type: object
+ *       required:
+ *         - name
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: 專案自動生成的ID
+ *         name:
+ *           type: string
+ *           description: 專案名稱
+ *         description:
+ *           type: string
+ *           description: 專案說明
+ *         owner:
+ *           type: string
+ *           description: 主要 owner 的用戶ID，預設為建立者；該成員不再是 owner 時改為其他 owner
+ *         members:
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               user:
+ *                 type: string
+ *                 description: 成員的用戶ID
+ *               role:
+ *                 type: string
+ *                 enum: [owner, editor, viewer]
+ *               addedAt:
+ *                 type: string
+ *                 format: date-time
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ *       example:
+ *         _id: 60d0fe4f5311236168a109cc
+ *         name: 期末專題
+ *         description: 行動應用程式開發期末專題
+ *         owner: 60d0fe4f5311236168a109ca
+ *         members:
+ *           - user: 60d0fe4f5311236168a109ca
+ *             role: owner
+ *             addedAt: 2023-01-01T00:00:00.000Z
+ */
+
+const ProjectSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Please add a project name'],
+      trim: true,
+      maxlength: [100, 'Project name cannot be more than 100 characters'],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Description cannot be more than 500 characters'],
+    },
+    owner: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // 專案成員及其角色，建立者為第一位 owner
+    members: [
+      {
+        _id: false,
+        user: {
+          type: mongoose.Schema.ObjectId,
+          ref: 'User',
+          required: true,
+        },
+        role: {
+          type: String,
+          enum: PROJECT_ROLES,
+          default: 'viewer',
+        },
+        addedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+// 添加索引以加快查詢用戶參與的專案
+ProjectSchema.index({ 'members.user': 1 });
+
+/**
+ * Get the role of a user in this project
+ * @param {string} userId - User ID
+ * @returns {string|null} - owner, editor, viewer or null
+ */
+ProjectSchema.methods.getMemberRole = function (userId) {
+  const member = this.members.find((m) => m.user.toString() === userId.toString());
+  return member ? member.role : null;
+};
+
+module.exports = mongoose.model('Project', ProjectSchema);
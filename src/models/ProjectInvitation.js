@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+const { PROJECT_ROLES } = require('../config/permissions');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ProjectInvitation:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: 邀請自動生成的ID
+ *         project:
+ *           $ref: '#/components/schemas/Project'
+ *         invitee:
+ *           type: string
+ *           description: 受邀用戶ID
+ *         invitedBy:
+ *           type: string
+ *           description: 邀請者的用戶ID
+ *         role:
+ *           type: string
+ *           enum: [editor, viewer]
+ *         expiresAt:
+ *           type: string
+ *           format: date-time
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * 專案邀請模型
+ * 受邀者接受後成為成員，接受、拒絕或撤銷時刪除，過期的邀請由 TTL 索引自動清除
+ */
+const ProjectInvitationSchema = new mongoose.Schema(
+  {
+    project: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Project',
+      required: true,
+    },
+    invitee: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true, // 添加索引以加快查詢收到的邀請
+    },
+    invitedBy: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    // 透過邀請加入的成員不能直接成為 owner
+    role: {
+      type: String,
+      enum: PROJECT_ROLES.filter((role) => role !== 'owner'),
+      default: 'viewer',
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+// 同一專案對同一用戶只能有一筆邀請
+ProjectInvitationSchema.index({ project: 1, invitee: 1 }, { unique: true });
+// 過期的邀請自動刪除
+ProjectInvitationSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('ProjectInvitation', ProjectInvitationSchema);
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+/**
+ * Refresh Token 模型
+ * 只儲存 token 的 SHA-256 雜湊值，原始 token 僅在發放時回傳給客戶端一次。
+ * 同一次登入輪換出來的所有 token 共用同一個 family，用於重放偵測時整組撤銷。
+ */
+const RefreshTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true, // 添加索引以加快按用戶撤銷
+    },
+    tokenHash: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    family: {
+      type: String,
+      required: true,
+      index: true, // 添加索引以加快整組撤銷
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: Date,
+    revokedReason: String,
+    replacedBy: String, // 輪換後新 token 的雜湊值
+    createdByIp: String,
+    userAgent: String,
+  },
+  { timestamps: true }
+);
+
+// 過期的 token 由 MongoDB 自動清除
+RefreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RefreshToken', RefreshTokenSchema);
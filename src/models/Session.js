@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Session:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: 登入階段自動生成的ID
+ *         deviceName:
+ *           type: string
+ *           description: 裝置名稱，由客戶端提供或依 User-Agent 推斷
+ *           example: Chrome on Android
+ *         userAgent:
+ *           type: string
+ *           description: 登入時的 User-Agent
+ *         ip:
+ *           type: string
+ *           description: 最近一次使用的 IP
+ *         current:
+ *           type: boolean
+ *           description: 是否為發出此請求的登入階段
+ *         lastSeenAt:
+ *           type: string
+ *           format: date-time
+ *           description: 最近一次活動時間
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *           description: 登入時間
+ */
+
+/**
+ * 登入階段模型
+ * 每次登入建立一個登入階段，其 ID 同時作為 refresh token 的 family 與 access token 的 sid。
+ * 撤銷登入階段會使其所有 token 與即時連線立即失效。
+ */
+const SessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true, // 添加索引以加快列出用戶的登入階段
+    },
+    deviceName: {
+      type: String,
+      maxlength: 100,
+    },
+    userAgent: String,
+    ip: String,
+    lastSeenAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+    revokedAt: Date,
+    revokedReason: String,
+  },
+  { timestamps: true }
+);
+
+// 過期的登入階段由 MongoDB 自動清除
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('Session', SessionSchema);
@@ -4,6 +4,27 @@ const mongoose = require('mongoose');
  * @swagger
  * components:
  *   schemas:
+ *     ChecklistItem:
+ *       type: object
+ *       required:
+ *         - text
+ *       properties:
+ *         _id:
+ *           type: string
+ *           description: 項目自動生成的ID
+ *         text:
+ *           type: string
+ *           maxLength: 200
+ *           description: 項目內容
+ *         done:
+ *           type: boolean
+ *           default: false
+ *           description: 是否已完成
+ *         completedAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: 完成時間
  *     Task:
  *       type: object
  *       required:
@@ -36,7 +57,39 @@ const mongoose = require('mongoose');
  *           description: 任務截止日期
  *         user:
  *           type: string
- *           description: 負責此任務的用戶ID
+ *           description: 建立此任務的用戶ID
+ *         project:
+ *           type: string
+ *           description: 任務所屬的專案ID，專案成員依角色可以查看或修改任務
+ *         parent:
+ *           type: string
+ *           nullable: true
+ *           description: 上層任務ID，未設定時為頂層任務
+ *         checklist:
+ *           type: array
+ *           items:
+ *             $ref: '#/components/schemas/ChecklistItem'
+ *           description: 依順序排列的檢查清單
+ *         progress:
+ *           type: integer
+ *           minimum: 0
+ *           maximum: 100
+ *           readOnly: true
+ *           description: 完成百分比，由子任務與檢查清單計算，已完成的任務為 100
+ *         autoComplete:
+ *           type: boolean
+ *           default: false
+ *           description: 最後一個子任務完成時自動將此任務標記為完成，之後有子任務未完成時還原為原本的狀態
+ *         assignees:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: 被指派的用戶ID，可以更新任務狀態
+ *         watchers:
+ *           type: array
+ *           items:
+ *             type: string
+ *           description: 關注者的用戶ID，任務變更時會收到通知
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -95,6 +148,66 @@ const TaskSchema = new mongoose.Schema(
       required: true,
       index: true, // 添加索引以加快按用戶查詢任務
     },
+    // 所屬專案，未設定時為個人任務
+    project: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Project',
+      index: true, // 添加索引以加快查詢專案中的任務
+    },
+    // 上層任務，子任務必須與上層任務屬於同一個專案
+    parent: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'Task',
+      default: null,
+      index: true, // 添加索引以加快查詢子任務
+    },
+    // 依順序排列的檢查清單
+    checklist: [
+      {
+        text: {
+          type: String,
+          required: [true, 'Please add checklist item text'],
+          trim: true,
+          maxlength: [200, 'Checklist item cannot be more than 200 characters'],
+        },
+        done: {
+          type: Boolean,
+          default: false,
+        },
+        completedAt: {
+          type: Date,
+          default: null,
+        },
+      },
+    ],
+    // 完成百分比，由 taskService 依子任務與檢查清單計算
+    progress: {
+      type: Number,
+      min: 0,
+      max: 100,
+      default: 0,
+    },
+    // 最後一個子任務完成時自動完成此任務
+    autoComplete: {
+      type: Boolean,
+      default: false,
+    },
+    // 自動完成前的狀態，子任務重新開啟時還原；手動變更狀態後清除
+    autoCompletedFrom: {
+      type: String,
+      enum: ['pending', 'in-progress', null],
+      default: null,
+    },
+    // 被指派的用戶，只能更新任務狀態
+    assignees: {
+      type: [{ type: mongoose.Schema.ObjectId, ref: 'User' }],
+      index: true, // 添加索引以加快查詢指派給用戶的任務
+    },
+    // 關注者，任務變更時會收到通知
+    watchers: {
+      type: [{ type: mongoose.Schema.ObjectId, ref: 'User' }],
+      index: true, // 添加索引以加快查詢用戶關注的任務
+    },
   },
   { timestamps: true, toJSON: { virtuals: true }, toObject: { virtuals: true } }
 );
@@ -102,5 +215,8 @@ const TaskSchema = new mongoose.Schema(
 // 添加複合索引以加快多條件查詢
 TaskSchema.index({ user: 1, status: 1, priority: 1 });
 TaskSchema.index({ user: 1, dueDate: 1 });
+// 游標分頁依 (createdAt, _id) 排序
+TaskSchema.index({ user: 1, createdAt: -1, _id: -1 });
+TaskSchema.index({ project: 1, createdAt: -1, _id: -1 });
 
 module.exports = mongoose.model('Task', TaskSchema);
@@ -1,7 +1,8 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 const config = require('../config');
+const { ROLES } = require('../config/permissions');
 
 /**
  * @swagger
@@ -27,10 +28,44 @@ const config = require('../config');
  *         password:
  *           type: string
  *           description: 用戶密碼 (經過加密)
+ *         displayName:
+ *           type: string
+ *           description: 顯示名稱，未設定時使用 name
+ *         bio:
+ *           type: string
+ *           description: 自我介紹
+ *         avatar:
+ *           type: string
+ *           description: 頭像檔案 ID，可透過 GET /api/upload/{id} 取得圖片
+ *         locale:
+ *           type: string
+ *           description: 語系 (BCP 47)
+ *           example: zh-TW
+ *         timezone:
+ *           type: string
+ *           description: 時區 (IANA)
+ *           example: Asia/Taipei
+ *         statusMessage:
+ *           type: string
+ *           description: 狀態訊息
+ *         discoverability:
+ *           type: string
+ *           enum: [everyone, contacts, nobody]
+ *           description: 誰可以在用戶搜尋中找到此帳號 (contacts 為聯絡人與曾經對話過的用戶)
+ *         messagePolicy:
+ *           type: string
+ *           enum: [everyone, contacts]
+ *           description: 誰可以傳送訊息給此帳號 (contacts 為已接受的聯絡人)
  *         role:
  *           type: string
  *           description: 用戶角色
- *           enum: [user, admin]
+ *           enum: [user, support, moderator, admin]
+ *         emailVerified:
+ *           type: boolean
+ *           description: 電子郵件是否已驗證
+ *         twoFactorEnabled:
+ *           type: boolean
+ *           description: 是否已啟用兩步驟驗證
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -43,11 +78,51 @@ const config = require('../config');
  *         _id: 60d0fe4f5311236168a109ca
  *         name: 張三
  *         email: test@example.com
+ *         displayName: 小張
+ *         locale: zh-TW
+ *         timezone: Asia/Taipei
  *         role: user
+ *         emailVerified: true
  *         createdAt: 2023-01-01T00:00:00.000Z
  *         updatedAt: 2023-01-01T00:00:00.000Z
  */
 
+// 用戶可透過 PUT /api/profile/me 更新的欄位，頭像需透過上傳 API 設定，電子郵件需透過變更流程確認
+const PROFILE_FIELDS = [
+  'name',
+  'displayName',
+  'bio',
+  'locale',
+  'timezone',
+  'statusMessage',
+  'discoverability',
+  'messagePolicy',
+];
+
+const EMAIL_PATTERN = /^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/;
+
+// 空值表示清除設定
+const isValidLocale = (value) => {
+  if (!value) return true;
+
+  try {
+    return Intl.getCanonicalLocales(value).length === 1;
+  } catch (err) {
+    return false;
+  }
+};
+
+const isValidTimezone = (value) => {
+  if (!value) return true;
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: value });
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
 const UserSchema = new mongoose.Schema(
   {
     name: {
@@ -57,27 +132,163 @@ const UserSchema = new mongoose.Schema(
       maxlength: [50, 'Name cannot be more than 50 characters'],
       index: true, // 添加索引以加快按名稱查詢
     },
+    // 以小寫保存，查詢條件也會自動轉為小寫，以完全符合的方式使用索引
     email: {
       type: String,
       required: [true, 'Please add an email'],
       unique: true,
-      match: [/^\w+([\.-]?\w+)*@\w+([\.-]?\w+)*(\.\w{2,3})+$/, 'Please add a valid email'],
+      lowercase: true,
+      trim: true,
+      match: [EMAIL_PATTERN, 'Please add a valid email'],
       index: true, // 添加索引以加快登入查詢
     },
+    // 等待新信箱確認的電子郵件
+    pendingEmail: {
+      type: String,
+      lowercase: true,
+      trim: true,
+      match: [EMAIL_PATTERN, 'Please add a valid email'],
+      select: false,
+    },
+    pendingEmailRequestedAt: {
+      type: Date,
+      select: false,
+    },
     password: {
       type: String,
       required: [true, 'Please add a password'],
       minlength: 6,
       select: false, // Don't return password in queries
     },
+    // 個人檔案
+    displayName: {
+      type: String,
+      trim: true,
+      maxlength: [50, 'Display name cannot be more than 50 characters'],
+    },
+    bio: {
+      type: String,
+      trim: true,
+      maxlength: [500, 'Bio cannot be more than 500 characters'],
+    },
+    avatar: {
+      type: mongoose.Schema.ObjectId,
+      ref: 'File',
+    },
+    locale: {
+      type: String,
+      validate: {
+        validator: isValidLocale,
+        message: 'Please add a valid locale, e.g. zh-TW',
+      },
+    },
+    timezone: {
+      type: String,
+      validate: {
+        validator: isValidTimezone,
+        message: 'Please add a valid IANA timezone, e.g. Asia/Taipei',
+      },
+    },
+    statusMessage: {
+      type: String,
+      trim: true,
+      maxlength: [140, 'Status message cannot be more than 140 characters'],
+    },
+    // 誰可以在用戶搜尋中找到此帳號
+    discoverability: {
+      type: String,
+      enum: {
+        values: ['everyone', 'contacts', 'nobody'],
+        message: 'Discoverability must be everyone, contacts or nobody',
+      },
+      default: 'everyone',
+    },
+    // 誰可以傳送訊息給此帳號
+    messagePolicy: {
+      type: String,
+      enum: {
+        values: ['everyone', 'contacts'],
+        message: 'Message policy must be everyone or contacts',
+      },
+      default: 'everyone',
+    },
     role: {
       type: String,
-      enum: ['user', 'admin'],
+      enum: ROLES,
       default: 'user',
       index: true, // 添加索引以加快按角色篩選用戶
     },
-    resetPasswordToken: String,
-    resetPasswordExpire: Date,
+    emailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    emailVerifiedAt: Date,
+    // 已連結的外部登入身分 (OpenID Connect)
+    identities: {
+      type: [
+        {
+          _id: false,
+          provider: { type: String, required: true },
+          subject: { type: String, required: true },
+          email: String,
+          linkedAt: { type: Date, default: Date.now },
+        },
+      ],
+      select: false,
+    },
+    // 兩步驟驗證 (TOTP)
+    twoFactorEnabled: {
+      type: Boolean,
+      default: false,
+    },
+    twoFactorSecret: {
+      type: String,
+      select: false,
+    },
+    twoFactorPendingSecret: {
+      type: String,
+      select: false,
+    },
+    twoFactorRecoveryCodes: {
+      type: [String], // 只保存雜湊值
+      select: false,
+    },
+    twoFactorLastUsedStep: {
+      type: Number, // 最後一次使用的時間步長，防止同一組驗證碼被重放
+      select: false,
+    },
+    // 每次登出所有裝置時遞增，使已發放的 access token 全部失效
+    tokenVersion: {
+      type: Number,
+      default: 0,
+    },
+    // 每次變更密碼時遞增，用於使登入快取中的舊憑證失效
+    credentialVersion: {
+      type: Number,
+      default: 0,
+    },
+    // 帳號刪除：deletedAt 後進入寬限期，purgeAt 之後由背景工作永久清除
+    deletedAt: {
+      type: Date,
+      index: true,
+    },
+    purgeAt: {
+      type: Date,
+      index: true,
+    },
+    purgeStartedAt: {
+      type: Date,
+      select: false,
+    },
+    resetPasswordToken: {
+      type: String,
+      select: false,
+      index: true, // 添加索引以加快重設密碼查詢
+    },
+    resetPasswordExpire: {
+      type: Date,
+      select: false,
+    },
   },
   {
     timestamps: true,
@@ -92,6 +303,11 @@ UserSchema.pre('save', async function (next) {
     return next();
   }
 
+  // 變更既有用戶的密碼時遞增憑證版本
+  if (!this.isNew) {
+    this.credentialVersion = (this.credentialVersion || 0) + 1;
+  }
+
   // 使用較低的 salt 輪數來提高性能
   // 在生產環境中，這個值應該根據安全需求進行平衡
   const saltRounds = process.env.NODE_ENV === 'production' ? 10 : 8;
@@ -101,11 +317,11 @@ UserSchema.pre('save', async function (next) {
 });
 
 // Sign JWT and return
+// 統一由 tokenService 簽發；不建立登入階段，需要 refresh token 時請使用 tokenService.issueTokens
 UserSchema.methods.getSignedJwtToken = function () {
-  return jwt.sign({ id: this._id }, config.jwtSecret, {
-    expiresIn: config.jwtExpire,
-    algorithm: 'HS256', // 使用高性能演算法
-  });
+  // 延遲載入以避免與 tokenService 循環相依
+  const { generateAccessToken } = require('../services/tokenService');
+  return generateAccessToken(this);
 };
 
 // Match user entered password to hashed password in database
@@ -119,11 +335,29 @@ UserSchema.methods.matchPassword = async function (enteredPassword) {
   }
 };
 
+// Generate and hash password reset token
+UserSchema.methods.getResetPasswordToken = function () {
+  // 原始 token 只寄給用戶，資料庫只保存雜湊值
+  const resetToken = crypto.randomBytes(20).toString('hex');
+
+  this.resetPasswordToken = crypto.createHash('sha256').update(resetToken).digest('hex');
+  this.resetPasswordExpire = Date.now() + config.resetPasswordExpireMinutes * 60 * 1000;
+
+  return resetToken;
+};
+
 // 添加複合索引以加快驗證過程
 UserSchema.index({ email: 1, password: 1 });
 // 添加名稱索引以加快搜尋
 UserSchema.index({ name: 'text' });
 // 添加复合索引以加快用戶角色篩選和查詢
 UserSchema.index({ email: 1, role: 1 });
+// 同一個外部身分只能連結到一個帳號
+UserSchema.index(
+  { 'identities.provider': 1, 'identities.subject': 1 },
+  { unique: true, partialFilterExpression: { 'identities.subject': { $exists: true } } }
+);
 
 module.exports = mongoose.model('User', UserSchema);
+module.exports.PROFILE_FIELDS = PROFILE_FIELDS;
+module.exports.EMAIL_PATTERN = EMAIL_PATTERN;
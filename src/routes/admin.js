@@ -0,0 +1,72 @@
+const express = require('express');
+const { updateUserRole } = require('../controllers/admin');
+
+const router = express.Router();
+
+// Import middleware
+const { protect, requirePermission } = require('../middlewares/auth');
+
+/**
+ * @swagger
+ * tags:
+ *   name: 管理
+ *   description: 管理 API，依角色權限授權
+ */
+
+// Apply protect to all routes
+router.use(protect);
+
+/**
+ * @swagger
+ * /admin/users/{id}/role:
+ *   put:
+ *     summary: 變更用戶角色
+ *     description: 升級或降級用戶角色，每次變更都會寫入稽核記錄。系統中至少需保留一位管理員。
+ *     tags: [管理]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 用戶 ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [user, support, moderator, admin]
+ *                 description: 新角色
+ *     responses:
+ *       200:
+ *         description: 角色變更成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/User'
+ *       400:
+ *         description: 無效的角色或不能降級最後一位管理員
+ *       401:
+ *         description: 未授權
+ *       403:
+ *         description: 缺少 user.role.update 權限
+ *       404:
+ *         description: 用戶不存在
+ */
+router.put('/users/:id/role', requirePermission('user.role.update'), updateUserRole);
+
+module.exports = router;
@@ -1,5 +1,35 @@
 const express = require('express');
-const { register, login, getMe, searchUserByEmail } = require('../controllers/auth');
+const {
+  register,
+  login,
+  loginTwoFactor,
+  getOidcProviders,
+  startOidcLogin,
+  oidcCallback,
+  setupTwoFactor,
+  confirmTwoFactor,
+  disableTwoFactor,
+  refreshToken,
+  logout,
+  logoutAll,
+  getSessions,
+  revokeSession,
+  getApiKeys,
+  createApiKey,
+  revokeApiKey,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+  updatePassword,
+  getLoginHistory,
+  getMe,
+  searchUserByEmail,
+  requestEmailChange,
+  confirmEmailChange,
+  revertEmailChange,
+  restoreAccount,
+} = require('../controllers/auth');
 
 const router = express.Router();
 
@@ -19,6 +49,7 @@ const { authLimiter, loginLimiter } = require('../middlewares/rateLimiter');
  * /auth/register:
  *   post:
  *     summary: 註冊新用戶
+ *     description: 公開註冊一律建立一般用戶 (role 為 user)
  *     tags: [認證]
  *     requestBody:
  *       required: true
@@ -42,11 +73,6 @@ const { authLimiter, loginLimiter } = require('../middlewares/rateLimiter');
  *                 type: string
  *                 format: password
  *                 description: 用戶密碼
- *               role:
- *                 type: string
- *                 description: 用戶角色 (可選)
- *                 default: user
- *                 enum: [user, admin]
  *     responses:
  *       201:
  *         description: 註冊成功
@@ -61,6 +87,9 @@ const { authLimiter, loginLimiter } = require('../middlewares/rateLimiter');
  *                 token:
  *                   type: string
  *                   example: eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...
+ *                 refreshToken:
+ *                   type: string
+ *                   description: 用於換發新 token 的 refresh token
  *       400:
  *         description: 無效的請求數據
  *       409:
@@ -92,6 +121,9 @@ router.post('/register', authLimiter, register);
  *                 type: string
  *                 format: password
  *                 description: 用戶密碼
+ *               deviceName:
+ *                 type: string
+ *                 description: 裝置名稱 (可選，亦可透過 X-Device-Name 標頭提供)，顯示於登入階段列表
  *     responses:
  *       200:
  *         description: 登入成功
@@ -106,22 +138,339 @@ router.post('/register', authLimiter, register);
  *                 token:
  *                   type: string
  *                   example: eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...
+ *                 refreshToken:
+ *                   type: string
+ *                   description: 用於換發新 token 的 refresh token
+ *                 twoFactorRequired:
+ *                   type: boolean
+ *                   description: 帳號已啟用兩步驟驗證時為 true，此時不會回傳 token，需以 challengeToken 呼叫 /auth/login/2fa
+ *                 challengeToken:
+ *                   type: string
+ *                   description: 短效的兩步驟驗證 challenge token
  *       401:
  *         description: 無效的認證資訊
+ *       403:
+ *         description: 帳號已排定刪除，需透過 /auth/restore 還原
+ *       429:
+ *         description: 登入失敗次數過多，帳號暫時鎖定，等待秒數見 Retry-After 標頭
  */
-router.post('/login', login);
+router.post('/login', loginLimiter, login);
 
 /**
  * @swagger
- * /auth/me:
+ * /auth/oidc/providers:
  *   get:
- *     summary: 獲取當前登入用戶資訊
+ *     summary: 列出可用的外部登入提供者
+ *     tags: [認證]
+ *     responses:
+ *       200:
+ *         description: 成功獲取提供者列表
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   example: [google, oidc]
+ */
+router.get('/oidc/providers', getOidcProviders);
+
+/**
+ * @swagger
+ * /auth/oidc/{provider}:
+ *   get:
+ *     summary: 使用外部帳號登入 (OpenID Connect)
+ *     description: 重新導向至提供者的登入頁面，使用 authorization code flow 與 PKCE
+ *     tags: [認證]
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 提供者名稱，例如 google
+ *     responses:
+ *       302:
+ *         description: 重新導向至提供者
+ *       404:
+ *         description: 提供者不存在或未啟用
+ */
+router.get('/oidc/:provider', authLimiter, startOidcLogin);
+
+/**
+ * @swagger
+ * /auth/oidc/{provider}/callback:
+ *   get:
+ *     summary: 外部登入回呼
+ *     description: |
+ *       驗證 state、nonce 與 ID token 簽章後登入。外部身分會依提供者已驗證的電子郵件連結到既有帳號，
+ *       不存在時自動建立帳號；本機尚未驗證電子郵件的帳號不會自動連結。
+ *       帳號啟用兩步驟驗證時回傳 challengeToken，與 /auth/login 相同。
+ *     tags: [認證]
+ *     parameters:
+ *       - in: path
+ *         name: provider
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: code
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: state
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: 登入成功，回傳格式與 /auth/login 相同
+ *       400:
+ *         description: state 無效或已過期、缺少已驗證的電子郵件
+ *       401:
+ *         description: 授權碼交換失敗或 ID token 無效
+ *       409:
+ *         description: 已有相同電子郵件但尚未驗證的帳號
+ */
+router.get('/oidc/:provider/callback', authLimiter, oidcCallback);
+
+/**
+ * @swagger
+ * /auth/login/2fa:
+ *   post:
+ *     summary: 完成兩步驟驗證登入
+ *     description: 提供登入時取得的 challengeToken 與驗證器 App 產生的驗證碼（或一組復原碼）
+ *     tags: [認證]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *                 description: 登入時取得的 challenge token
+ *               code:
+ *                 type: string
+ *                 description: 6 位數驗證碼
+ *                 example: '123456'
+ *               recoveryCode:
+ *                 type: string
+ *                 description: 復原碼，使用後即失效
+ *     responses:
+ *       200:
+ *         description: 登入成功，回傳格式與 /auth/login 相同
+ *       400:
+ *         description: 缺少 challenge token 或驗證碼
+ *       401:
+ *         description: challenge token 無效或驗證碼錯誤
+ *       429:
+ *         description: 失敗次數過多，帳號暫時鎖定
+ */
+router.post('/login/2fa', authLimiter, loginTwoFactor);
+
+/**
+ * @swagger
+ * /auth/restore:
+ *   post:
+ *     summary: 還原已刪除的帳號
+ *     description: 在刪除寬限期內以帳號密碼還原帳號並登入。啟用兩步驟驗證時回傳 challenge token，帳號在通過 /auth/login/2fa 後才會還原。
+ *     tags: [認證]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - password
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               password:
+ *                 type: string
+ *                 format: password
+ *     responses:
+ *       200:
+ *         description: 帳號已還原並登入
+ *       400:
+ *         description: 帳號未排定刪除或寬限期已過
+ *       401:
+ *         description: 帳號或密碼錯誤
+ *       429:
+ *         description: 登入失敗次數過多
+ */
+router.post('/restore', loginLimiter, restoreAccount);
+
+/**
+ * @swagger
+ * /auth/2fa/setup:
+ *   post:
+ *     summary: 開始設定兩步驟驗證
+ *     description: 需再次輸入密碼。產生新的 TOTP 金鑰，需以 /auth/2fa/confirm 確認後才會啟用
  *     tags: [認證]
  *     security:
  *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currentPassword
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *                 format: password
+ *                 description: 目前的密碼
  *     responses:
  *       200:
- *         description: 成功
+ *         description: 成功產生金鑰
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     secret:
+ *                       type: string
+ *                       description: Base32 編碼的 TOTP 金鑰
+ *                     otpauthUri:
+ *                       type: string
+ *                       description: 可轉為 QR Code 供驗證器 App 掃描的 otpauth URI
+ *       400:
+ *         description: 已啟用兩步驟驗證
+ *       401:
+ *         description: 未授權或密碼錯誤
+ */
+router.post('/2fa/setup', protect, setupTwoFactor);
+
+/**
+ * @swagger
+ * /auth/2fa/confirm:
+ *   post:
+ *     summary: 確認並啟用兩步驟驗證
+ *     description: 需再次輸入密碼。成功後回傳一次性的復原碼，僅會顯示這一次
+ *     tags: [認證]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currentPassword
+ *               - code
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *                 format: password
+ *                 description: 目前的密碼
+ *               code:
+ *                 type: string
+ *                 description: 驗證器 App 產生的 6 位數驗證碼
+ *     responses:
+ *       200:
+ *         description: 兩步驟驗證已啟用
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     recoveryCodes:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *       400:
+ *         description: 驗證碼錯誤或尚未開始設定
+ *       401:
+ *         description: 未授權或密碼錯誤
+ */
+router.post('/2fa/confirm', protect, confirmTwoFactor);
+
+/**
+ * @swagger
+ * /auth/2fa/disable:
+ *   post:
+ *     summary: 停用兩步驟驗證
+ *     description: 需同時提供目前密碼與驗證碼（或復原碼）
+ *     tags: [認證]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *                 format: password
+ *               code:
+ *                 type: string
+ *               recoveryCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: 兩步驟驗證已停用
+ *       400:
+ *         description: 缺少必要欄位或尚未啟用兩步驟驗證
+ *       401:
+ *         description: 密碼或驗證碼錯誤
+ */
+router.post('/2fa/disable', protect, disableTwoFactor);
+
+/**
+ * @swagger
+ * /auth/refresh:
+ *   post:
+ *     summary: 使用 refresh token 換發新的 token
+ *     description: 每個 refresh token 只能使用一次，重複使用舊的 refresh token 會撤銷同一登入階段的所有 token
+ *     tags: [認證]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *                 description: 上次登入或換發時取得的 refresh token
+ *     responses:
+ *       200:
+ *         description: 換發成功
  *         content:
  *           application/json:
  *             schema:
@@ -130,31 +479,77 @@ router.post('/login', login);
  *                 success:
  *                   type: boolean
  *                   example: true
+ *                 token:
+ *                   type: string
+ *                   example: eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9...
+ *                 refreshToken:
+ *                   type: string
+ *                   description: 新的 refresh token，舊的隨即失效
  *                 data:
  *                   $ref: '#/components/schemas/User'
+ *       400:
+ *         description: 未提供 refresh token
+ *       401:
+ *         description: refresh token 無效、過期或已被重複使用
+ */
+router.post('/refresh', authLimiter, refreshToken);
+
+/**
+ * @swagger
+ * /auth/logout:
+ *   post:
+ *     summary: 登出目前裝置
+ *     description: 撤銷目前的 access token 與其所屬的登入階段，並中斷該登入階段的即時連線
+ *     tags: [認證]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *                 description: 目前登入階段的 refresh token (可選，僅在 access token 未包含登入階段時使用)
+ *     responses:
+ *       200:
+ *         description: 登出成功
  *       401:
  *         description: 未授權
  */
-router.get('/me', protect, getMe);
+router.post('/logout', protect, logout);
 
 /**
  * @swagger
- * /auth/search:
+ * /auth/logout-all:
+ *   post:
+ *     summary: 登出所有裝置
+ *     description: 使該用戶已發放的所有 access token 與 refresh token 失效，並中斷所有即時連線
+ *     tags: [認證]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 已登出所有裝置
+ *       401:
+ *         description: 未授權
+ */
+router.post('/logout-all', protect, logoutAll);
+
+/**
+ * @swagger
+ * /auth/sessions:
  *   get:
- *     summary: 通過電子郵件搜索用戶
+ *     summary: 列出當前用戶的登入階段
+ *     description: 每次登入都會建立一個登入階段，列出尚未撤銷且未過期的登入階段
  *     tags: [認證]
  *     security:
  *       - bearerAuth: []
- *     parameters:
- *       - name: email
- *         in: query
- *         required: true
- *         schema:
- *           type: string
- *         description: 要搜索的用戶電子郵件
  *     responses:
  *       200:
- *         description: 成功
+ *         description: 成功獲取登入階段
  *         content:
  *           application/json:
  *             schema:
@@ -163,8 +558,481 @@ router.get('/me', protect, getMe);
  *                 success:
  *                   type: boolean
  *                   example: true
+ *                 count:
+ *                   type: integer
  *                 data:
- *                   $ref: '#/components/schemas/User'
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Session'
+ *       401:
+ *         description: 未授權
+ */
+router.get('/sessions', protect, getSessions);
+
+/**
+ * @swagger
+ * /auth/sessions/{id}:
+ *   delete:
+ *     summary: 撤銷登入階段
+ *     description: 撤銷後該登入階段的 token 立即失效，並中斷其所有即時連線
+ *     tags: [認證]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 登入階段ID
+ *     responses:
+ *       200:
+ *         description: 登入階段已撤銷
+ *       401:
+ *         description: 未授權
+ *       404:
+ *         description: 找不到登入階段
+ */
+router.delete('/sessions/:id', protect, revokeSession);
+
+/**
+ * @swagger
+ * /auth/api-keys:
+ *   get:
+ *     summary: 列出當前用戶的 API key
+ *     tags: [認證]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 成功獲取 API key 列表
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ApiKey'
+ *       401:
+ *         description: 未授權
+ *   post:
+ *     summary: 建立 API key
+ *     description: 供腳本與整合服務以 X-API-Key 標頭呼叫 API，完整的 key 只會在建立時回傳一次
+ *     tags: [認證]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - scopes
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: CI 任務同步
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [tasks:read, tasks:write, files:write, chat:send]
+ *               expiresInDays:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 365
+ *                 description: 有效天數，未提供時永不過期
+ *     responses:
+ *       201:
+ *         description: API key 建立成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/ApiKey'
+ *                     - type: object
+ *                       properties:
+ *                         key:
+ *                           type: string
+ *                           description: 完整的 API key
+ *       400:
+ *         description: 名稱或權限範圍無效，或已達數量上限
+ *       401:
+ *         description: 未授權
+ */
+router.route('/api-keys').get(protect, getApiKeys).post(protect, createApiKey);
+
+/**
+ * @swagger
+ * /auth/api-keys/{id}:
+ *   delete:
+ *     summary: 撤銷 API key
+ *     tags: [認證]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: API key ID
+ *     responses:
+ *       200:
+ *         description: API key 已撤銷
+ *       401:
+ *         description: 未授權
+ *       404:
+ *         description: 找不到 API key
+ */
+router.delete('/api-keys/:id', protect, revokeApiKey);
+
+/**
+ * @swagger
+ * /auth/verifyemail/{token}:
+ *   get:
+ *     summary: 驗證電子郵件
+ *     description: 註冊或重新寄送驗證信時寄出的簽章連結
+ *     tags: [認證]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 驗證 token
+ *     responses:
+ *       200:
+ *         description: 電子郵件驗證成功
+ *       400:
+ *         description: 連結無效或已過期
+ */
+router.get('/verifyemail/:token', verifyEmail);
+
+/**
+ * @swagger
+ * /auth/verifyemail/resend:
+ *   post:
+ *     summary: 重新寄送驗證信
+ *     tags: [認證]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 驗證信已寄出
+ *       400:
+ *         description: 電子郵件已驗證
+ *       401:
+ *         description: 未授權
+ *       429:
+ *         description: 請求過於頻繁
+ */
+router.post('/verifyemail/resend', authLimiter, protect, resendVerification);
+
+/**
+ * @swagger
+ * /auth/email/change:
+ *   post:
+ *     summary: 申請變更電子郵件
+ *     description: 寄送確認連結到新的電子郵件，確認前帳號仍使用原本的電子郵件。重新申請會使先前的確認連結失效。
+ *     tags: [認證]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - newEmail
+ *               - password
+ *             properties:
+ *               newEmail:
+ *                 type: string
+ *                 format: email
+ *               password:
+ *                 type: string
+ *                 format: password
+ *                 description: 目前的密碼
+ *     responses:
+ *       200:
+ *         description: 確認信已寄出
+ *       400:
+ *         description: 電子郵件無效、與目前相同或已被使用
+ *       401:
+ *         description: 未授權或密碼錯誤
+ *       429:
+ *         description: 請求過於頻繁
+ */
+router.post('/email/change', authLimiter, protect, requestEmailChange);
+
+/**
+ * @swagger
+ * /auth/email/confirm/{token}:
+ *   get:
+ *     summary: 確認變更電子郵件
+ *     description: 寄到新電子郵件的連結，確認後立即套用變更，並寄送含還原連結的通知到原本的電子郵件
+ *     tags: [認證]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 確認 token
+ *     responses:
+ *       200:
+ *         description: 電子郵件已變更
+ *       400:
+ *         description: 連結無效、已使用或已過期，或新電子郵件已被使用
+ */
+router.get('/email/confirm/:token', confirmEmailChange);
+
+/**
+ * @swagger
+ * /auth/email/revert/{token}:
+ *   get:
+ *     summary: 還原電子郵件變更
+ *     description: 寄到原本電子郵件的連結，還原後所有裝置都會被登出
+ *     tags: [認證]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 還原 token
+ *     responses:
+ *       200:
+ *         description: 電子郵件已還原
+ *       400:
+ *         description: 連結無效、已使用或已過期
+ */
+router.get('/email/revert/:token', revertEmailChange);
+
+/**
+ * @swagger
+ * /auth/forgotpassword:
+ *   post:
+ *     summary: 申請重設密碼
+ *     description: 寄送一次性的重設密碼連結，無論電子郵件是否已註冊都回傳相同訊息
+ *     tags: [認證]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 description: 用戶電子郵件
+ *     responses:
+ *       200:
+ *         description: 已處理請求
+ *       400:
+ *         description: 未提供電子郵件
+ *       500:
+ *         description: 郵件寄送失敗
+ */
+router.post('/forgotpassword', authLimiter, forgotPassword);
+
+/**
+ * @swagger
+ * /auth/resetpassword/{resettoken}:
+ *   put:
+ *     summary: 重設密碼
+ *     description: 使用重設密碼連結中的 token 設定新密碼，成功後會撤銷所有既有的登入階段
+ *     tags: [認證]
+ *     parameters:
+ *       - in: path
+ *         name: resettoken
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 重設密碼 token
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *                 format: password
+ *                 description: 新密碼
+ *     responses:
+ *       200:
+ *         description: 密碼重設成功，回傳新的 token
+ *       400:
+ *         description: token 無效或已過期
+ */
+router.put('/resetpassword/:resettoken', authLimiter, resetPassword);
+
+/**
+ * @swagger
+ * /auth/updatepassword:
+ *   put:
+ *     summary: 變更密碼
+ *     description: 驗證目前密碼後設定新密碼，其他裝置的登入階段會被撤銷，並回傳新的 token
+ *     tags: [認證]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currentPassword
+ *               - newPassword
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *                 format: password
+ *                 description: 目前的密碼
+ *               newPassword:
+ *                 type: string
+ *                 format: password
+ *                 description: 新密碼，需符合密碼政策
+ *     responses:
+ *       200:
+ *         description: 密碼變更成功，回傳新的 token
+ *       400:
+ *         description: 新密碼不符合密碼政策
+ *       401:
+ *         description: 目前密碼錯誤或未授權
+ */
+router.put('/updatepassword', protect, updatePassword);
+
+/**
+ * @swagger
+ * /auth/login-history:
+ *   get:
+ *     summary: 獲取當前用戶的登入記錄
+ *     description: 包含成功與失敗的登入嘗試，成功登入來自未曾使用過的 IP 或裝置時會標記於 anomalies
+ *     tags: [認證]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: 頁碼
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *         description: 每頁數量
+ *     responses:
+ *       200:
+ *         description: 成功獲取登入記錄
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                 pagination:
+ *                   type: object
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/LoginAttempt'
+ *       401:
+ *         description: 未授權
+ */
+router.get('/login-history', protect, getLoginHistory);
+
+/**
+ * @swagger
+ * /auth/me:
+ *   get:
+ *     summary: 獲取當前登入用戶資訊
+ *     tags: [認證]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/User'
+ *       401:
+ *         description: 未授權
+ */
+router.get('/me', protect, getMe);
+
+/**
+ * @swagger
+ * /auth/search:
+ *   get:
+ *     summary: 通過電子郵件搜索用戶
+ *     description: 只比對完整的電子郵件 (不分大小寫)，並遵守對方的搜尋設定。名稱或部分電子郵件搜尋請使用 /users/search。
+ *     deprecated: true
+ *     tags: [認證]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - name: email
+ *         in: query
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 要搜索的用戶電子郵件
+ *     responses:
+ *       200:
+ *         description: 成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/User'
+ *       400:
+ *         description: 未提供完整的電子郵件
  *       404:
  *         description: 找不到用戶
  *       401:
@@ -1,5 +1,5 @@
 const express = require('express');
-const { protect } = require('../middlewares/auth');
+const { protect, requireScope, requireVerifiedEmail } = require('../middlewares/auth');
 const {
   getConversations,
   getConversation,
@@ -11,18 +11,21 @@ const {
 
 const router = express.Router();
 
-// Protect all routes
-router.use(protect);
-
 // Conversation routes
-router.route('/conversations').get(getConversations).post(createConversation);
+router
+  .route('/conversations')
+  .get(protect, requireVerifiedEmail, getConversations)
+  .post(protect, requireVerifiedEmail, createConversation);
 
-router.route('/conversations/:id').get(getConversation);
+router.route('/conversations/:id').get(protect, requireVerifiedEmail, getConversation);
 
-// Message routes
-router.route('/conversations/:id/messages').get(getMessages).post(sendMessage);
+// Message routes (API keys may only send messages)
+router
+  .route('/conversations/:id/messages')
+  .get(protect, requireVerifiedEmail, getMessages)
+  .post(requireScope('chat:send'), protect, requireVerifiedEmail, sendMessage);
 
 // Mark messages as read
-router.route('/conversations/:id/read').put(markAsRead);
+router.route('/conversations/:id/read').put(protect, requireVerifiedEmail, markAsRead);
 
 module.exports = router;
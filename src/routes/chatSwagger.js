@@ -122,7 +122,11 @@
  * /chat/conversations/{id}/messages:
  *   get:
  *     summary: 取得對話中的訊息
- *     description: 取得特定對話中的所有訊息並標記為已讀
+ *     description: >
+ *       以游標分頁取得特定對話中的訊息，並將對話中的訊息標記為已讀。
+ *       每頁訊息由舊到新排列，未帶游標時回傳最新的一頁；
+ *       將 pagination.prevCursor 作為 before 參數可載入更早的訊息 (無限捲動)，
+ *       pagination.nextCursor 作為 after 參數可載入較新的訊息。
  *     tags: [Chat]
  *     security:
  *       - bearerAuth: []
@@ -133,6 +137,16 @@
  *           type: string
  *         required: true
  *         description: 對話 ID
+ *       - $ref: '#/components/parameters/CursorBefore'
+ *       - $ref: '#/components/parameters/CursorAfter'
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 50
+ *         description: 每頁訊息數量
  *     responses:
  *       200:
  *         description: 成功
@@ -147,10 +161,16 @@
  *                 count:
  *                   type: number
  *                   example: 5
+ *                 pagination:
+ *                   $ref: '#/components/schemas/CursorPagination'
+ *                 links:
+ *                   $ref: '#/components/schemas/CursorLinks'
  *                 data:
  *                   type: array
  *                   items:
  *                     $ref: '#/components/schemas/Message'
+ *       400:
+ *         description: 無效的游標或 limit
  *       401:
  *         description: 未授權
  *       403:
@@ -166,6 +186,7 @@
  *     tags: [Chat]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
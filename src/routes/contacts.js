@@ -0,0 +1,327 @@
+const express = require('express');
+const {
+  getContacts,
+  removeContact,
+  getRequests,
+  sendRequest,
+  acceptRequest,
+  declineRequest,
+  cancelRequest,
+  getBlocked,
+  blockUser,
+  unblockUser,
+} = require('../controllers/contacts');
+
+const router = express.Router();
+
+// Import middleware
+const { protect, requireVerifiedEmail } = require('../middlewares/auth');
+
+/**
+ * @swagger
+ * tags:
+ *   name: 聯絡人
+ *   description: 聯絡人、好友邀請與封鎖 API
+ */
+
+// Protect all routes
+router.use(protect);
+router.use(requireVerifiedEmail);
+
+/**
+ * @swagger
+ * /contacts:
+ *   get:
+ *     summary: 獲取聯絡人清單
+ *     tags: [聯絡人]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       user:
+ *                         $ref: '#/components/schemas/User'
+ *                       since:
+ *                         type: string
+ *                         format: date-time
+ *       401:
+ *         description: 未授權
+ */
+router.get('/', getContacts);
+
+/**
+ * @swagger
+ * /contacts/requests:
+ *   get:
+ *     summary: 獲取待處理的聯絡人邀請
+ *     tags: [聯絡人]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: direction
+ *         schema:
+ *           type: string
+ *           enum: [incoming, outgoing]
+ *           default: incoming
+ *         description: 收到的或送出的邀請
+ *     responses:
+ *       200:
+ *         description: 成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ContactRequest'
+ *       400:
+ *         description: direction 無效
+ *       401:
+ *         description: 未授權
+ *   post:
+ *     summary: 發送聯絡人邀請
+ *     description: >
+ *       對方會收到 contact:request 即時事件。若對方已經向您發出邀請，則直接成為聯絡人並回傳 200。
+ *       任一方封鎖對方時無法發送。
+ *     tags: [聯絡人]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - userId
+ *             properties:
+ *               userId:
+ *                 type: string
+ *                 description: 對方的用戶ID
+ *     responses:
+ *       200:
+ *         description: 已成為聯絡人
+ *       201:
+ *         description: 邀請已送出
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/ContactRequest'
+ *       400:
+ *         description: 無效的請求或邀請已存在
+ *       403:
+ *         description: 已封鎖
+ *       404:
+ *         description: 用戶不存在
+ */
+router.route('/requests').get(getRequests).post(sendRequest);
+
+/**
+ * @swagger
+ * /contacts/requests/{id}:
+ *   delete:
+ *     summary: 取消送出的聯絡人邀請
+ *     tags: [聯絡人]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 邀請ID
+ *     responses:
+ *       200:
+ *         description: 邀請已取消
+ *       404:
+ *         description: 邀請不存在
+ */
+router.delete('/requests/:id', cancelRequest);
+
+/**
+ * @swagger
+ * /contacts/requests/{id}/accept:
+ *   put:
+ *     summary: 接受聯絡人邀請
+ *     description: 邀請者會收到 contact:accepted 即時事件。
+ *     tags: [聯絡人]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 邀請ID
+ *     responses:
+ *       200:
+ *         description: 已成為聯絡人
+ *       403:
+ *         description: 已封鎖
+ *       404:
+ *         description: 邀請不存在
+ */
+router.put('/requests/:id/accept', acceptRequest);
+
+/**
+ * @swagger
+ * /contacts/requests/{id}/decline:
+ *   put:
+ *     summary: 拒絕聯絡人邀請
+ *     tags: [聯絡人]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 邀請ID
+ *     responses:
+ *       200:
+ *         description: 邀請已拒絕
+ *       404:
+ *         description: 邀請不存在
+ */
+router.put('/requests/:id/decline', declineRequest);
+
+/**
+ * @swagger
+ * /contacts/blocked:
+ *   get:
+ *     summary: 獲取已封鎖的用戶
+ *     tags: [聯絡人]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       user:
+ *                         $ref: '#/components/schemas/User'
+ *                       blockedAt:
+ *                         type: string
+ *                         format: date-time
+ *   post:
+ *     summary: 封鎖用戶
+ *     description: >
+ *       封鎖後雙方無法建立對話或傳送訊息，也會移除聯絡人關係與未處理的邀請；
+ *       您不會再看到對方的訊息，對方也無法在用戶搜尋中找到您。
+ *     tags: [聯絡人]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - userId
+ *             properties:
+ *               userId:
+ *                 type: string
+ *                 description: 要封鎖的用戶ID
+ *     responses:
+ *       200:
+ *         description: 已封鎖
+ *       400:
+ *         description: 無效的請求
+ *       404:
+ *         description: 用戶不存在
+ */
+router.route('/blocked').get(getBlocked).post(blockUser);
+
+/**
+ * @swagger
+ * /contacts/blocked/{userId}:
+ *   delete:
+ *     summary: 解除封鎖
+ *     tags: [聯絡人]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 已封鎖的用戶ID
+ *     responses:
+ *       200:
+ *         description: 已解除封鎖
+ *       404:
+ *         description: 未封鎖此用戶
+ */
+router.delete('/blocked/:userId', unblockUser);
+
+/**
+ * @swagger
+ * /contacts/{userId}:
+ *   delete:
+ *     summary: 移除聯絡人
+ *     tags: [聯絡人]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 聯絡人的用戶ID
+ *     responses:
+ *       200:
+ *         description: 已移除
+ *       404:
+ *         description: 不是聯絡人
+ */
+router.delete('/:userId', removeContact);
+
+module.exports = router;
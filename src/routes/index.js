@@ -7,6 +7,10 @@ const taskRoutes = require('./tasks');
 const profileRoutes = require('./profile');
 const uploadRoutes = require('./upload');
 const chatRoutes = require('./chat');
+const adminRoutes = require('./admin');
+const userRoutes = require('./users');
+const contactRoutes = require('./contacts');
+const projectRoutes = require('./projects');
 
 // Mount routers
 router.use('/auth', authRoutes);
@@ -14,6 +18,10 @@ router.use('/tasks', taskRoutes);
 router.use('/profile', profileRoutes);
 router.use('/upload', uploadRoutes);
 router.use('/chat', chatRoutes);
+router.use('/admin', adminRoutes);
+router.use('/users', userRoutes);
+router.use('/contacts', contactRoutes);
+router.use('/projects', projectRoutes);
 
 // API health check route
 router.get('/health', (req, res) => {
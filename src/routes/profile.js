@@ -1,10 +1,20 @@
 const express = require('express');
-const { getProfile, updateProfile, deleteAccount } = require('../controllers/profile');
+const {
+  getProfile,
+  updateProfile,
+  uploadAvatar,
+  removeAvatar,
+  requestExport,
+  getExport,
+  downloadExport,
+  deleteAccount,
+} = require('../controllers/profile');
 
 const router = express.Router();
 
 // Import middleware
-const { protect } = require('../middlewares/auth');
+const { protect, requireVerifiedEmail } = require('../middlewares/auth');
+const { uploadImage } = require('../middlewares/upload');
 
 /**
  * @swagger
@@ -48,6 +58,7 @@ router.get('/me', getProfile);
  * /profile/me:
  *   put:
  *     summary: 更新當前用戶個人資料
+ *     description: 只接受下列欄位，包含其他欄位的請求會被拒絕。可選欄位傳入 null 或空字串表示清除。電子郵件請透過 /auth/email/change 變更。
  *     tags: [用戶檔案]
  *     security:
  *       - bearerAuth: []
@@ -61,10 +72,35 @@ router.get('/me', getProfile);
  *               name:
  *                 type: string
  *                 description: 用戶名稱
- *               email:
+ *               displayName:
  *                 type: string
- *                 format: email
- *                 description: 用戶電子郵件
+ *                 maxLength: 50
+ *                 description: 顯示名稱
+ *               bio:
+ *                 type: string
+ *                 maxLength: 500
+ *                 description: 自我介紹
+ *               locale:
+ *                 type: string
+ *                 description: 語系 (BCP 47)
+ *                 example: zh-TW
+ *               timezone:
+ *                 type: string
+ *                 description: 時區 (IANA)
+ *                 example: Asia/Taipei
+ *               statusMessage:
+ *                 type: string
+ *                 maxLength: 140
+ *                 description: 狀態訊息
+ *               discoverability:
+ *                 type: string
+ *                 enum: [everyone, contacts, nobody]
+ *                 description: 誰可以在用戶搜尋中找到此帳號
+ *               messagePolicy:
+ *                 type: string
+ *                 enum: [everyone, contacts]
+ *                 description: 誰可以傳送訊息給此帳號
+ *             additionalProperties: false
  *     responses:
  *       200:
  *         description: 個人資料更新成功
@@ -79,23 +115,184 @@ router.get('/me', getProfile);
  *                 data:
  *                   $ref: '#/components/schemas/User'
  *       400:
- *         description: 無效的請求數據
+ *         description: 無效的請求數據或不允許的欄位
  *       401:
  *         description: 未授權
  */
 router.put('/me', updateProfile);
 
+/**
+ * @swagger
+ * /profile/me/avatar:
+ *   put:
+ *     summary: 上傳頭像
+ *     description: 上傳 JPEG、PNG 或 GIF 圖片 (最大 2MB) 作為頭像，會取代並刪除先前的頭像。頭像為公開檔案。
+ *     tags: [用戶檔案]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               avatar:
+ *                 type: string
+ *                 format: binary
+ *                 description: 頭像圖片
+ *     responses:
+ *       200:
+ *         description: 頭像更新成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/User'
+ *       400:
+ *         description: 未選擇圖片、格式不支援或檔案太大
+ *       401:
+ *         description: 未授權
+ *   delete:
+ *     summary: 移除頭像
+ *     tags: [用戶檔案]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 頭像已移除
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/User'
+ *       401:
+ *         description: 未授權
+ */
+router
+  .route('/me/avatar')
+  .put(requireVerifiedEmail, uploadImage('avatar'), uploadAvatar)
+  .delete(removeAvatar);
+
+/**
+ * @swagger
+ * /profile/export:
+ *   post:
+ *     summary: 申請匯出個人資料
+ *     description: 在背景將個人資料、任務、對話與訊息、檔案 (含實體檔案) 與登入記錄打包成含 JSON 與 CSV 的 ZIP。已有進行中的匯出時回傳該匯出。
+ *     tags: [用戶檔案]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       202:
+ *         description: 匯出已排入處理，可透過 GET /profile/export/{id} 查詢狀態
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/DataExport'
+ *       401:
+ *         description: 未授權
+ */
+router.post('/export', requestExport);
+
+/**
+ * @swagger
+ * /profile/export/{id}:
+ *   get:
+ *     summary: 查詢個人資料匯出狀態
+ *     tags: [用戶檔案]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 匯出 ID
+ *     responses:
+ *       200:
+ *         description: 成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/DataExport'
+ *       401:
+ *         description: 未授權
+ *       404:
+ *         description: 找不到匯出
+ */
+router.get('/export/:id', getExport);
+
+/**
+ * @swagger
+ * /profile/export/{id}/download:
+ *   get:
+ *     summary: 下載個人資料匯出
+ *     description: 下載完成的 ZIP 壓縮檔，到期後壓縮檔會被刪除
+ *     tags: [用戶檔案]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 匯出 ID
+ *     responses:
+ *       200:
+ *         description: ZIP 壓縮檔
+ *         content:
+ *           application/zip:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       400:
+ *         description: 匯出尚未完成
+ *       401:
+ *         description: 未授權或無權訪問
+ *       404:
+ *         description: 找不到匯出
+ *       410:
+ *         description: 匯出已過期
+ */
+router.get('/export/:id/download', downloadExport);
+
 /**
  * @swagger
  * /profile/me:
  *   delete:
  *     summary: 刪除當前用戶帳戶
+ *     description: 帳戶會立即停用並登出所有裝置，寬限期 (預設 14 天) 內可透過 /auth/restore 還原，之後任務、檔案、對話與訊息都會被永久刪除。
  *     tags: [用戶檔案]
  *     security:
  *       - bearerAuth: []
  *     responses:
  *       200:
- *         description: 帳戶刪除成功
+ *         description: 帳戶已排定刪除
  *         content:
  *           application/json:
  *             schema:
@@ -106,7 +303,11 @@ router.put('/me', updateProfile);
  *                   example: true
  *                 data:
  *                   type: object
- *                   example: {}
+ *                   properties:
+ *                     purgeAt:
+ *                       type: string
+ *                       format: date-time
+ *                       description: 永久刪除時間
  *       401:
  *         description: 未授權
  */
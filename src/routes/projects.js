@@ -0,0 +1,562 @@
+const express = require('express');
+const {
+  getProjects,
+  getProject,
+  createProject,
+  updateProject,
+  deleteProject,
+  getProjectTasks,
+  getMembers,
+  updateMemberRole,
+  removeMember,
+  getProjectInvitations,
+  inviteMember,
+  revokeInvitation,
+  getMyInvitations,
+  acceptInvitation,
+  declineInvitation,
+} = require('../controllers/projects');
+
+const router = express.Router();
+
+// Import middleware
+const { protect, requireScope } = require('../middlewares/auth');
+
+/**
+ * @swagger
+ * tags:
+ *   name: 專案
+ *   description: 專案 (工作區)、成員角色與邀請 API
+ */
+
+/**
+ * @swagger
+ * /projects:
+ *   get:
+ *     summary: 獲取您參與的專案
+ *     tags: [專案]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 成功，每個專案附上您的角色 (role)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Project'
+ *       401:
+ *         description: 未授權
+ *   post:
+ *     summary: 創建新專案
+ *     description: 建立者成為專案的 owner
+ *     tags: [專案]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 maxLength: 100
+ *               description:
+ *                 type: string
+ *                 maxLength: 500
+ *     responses:
+ *       201:
+ *         description: 專案創建成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Project'
+ *       400:
+ *         description: 資料驗證失敗
+ */
+router.route('/').get(protect, getProjects).post(protect, createProject);
+
+/**
+ * @swagger
+ * /projects/invitations:
+ *   get:
+ *     summary: 獲取您收到的專案邀請
+ *     tags: [專案]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: 成功，只列出尚未過期的邀請
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ProjectInvitation'
+ */
+router.get('/invitations', protect, getMyInvitations);
+
+/**
+ * @swagger
+ * /projects/invitations/{id}/accept:
+ *   put:
+ *     summary: 接受專案邀請
+ *     description: 以邀請指定的角色加入專案，其他成員會收到 project:joined 即時事件
+ *     tags: [專案]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 邀請ID
+ *     responses:
+ *       200:
+ *         description: 已加入專案
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Project'
+ *       404:
+ *         description: 找不到邀請、邀請已過期或專案已刪除
+ */
+router.put('/invitations/:id/accept', protect, acceptInvitation);
+
+/**
+ * @swagger
+ * /projects/invitations/{id}/decline:
+ *   put:
+ *     summary: 拒絕專案邀請
+ *     tags: [專案]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 邀請ID
+ *     responses:
+ *       200:
+ *         description: 已拒絕
+ *       404:
+ *         description: 找不到邀請或邀請已過期
+ */
+router.put('/invitations/:id/decline', protect, declineInvitation);
+
+/**
+ * @swagger
+ * /projects/{id}:
+ *   get:
+ *     summary: 獲取單個專案
+ *     description: 專案成員可以查看，回應包含成員資料與您的角色
+ *     tags: [專案]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 專案ID
+ *     responses:
+ *       200:
+ *         description: 成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Project'
+ *       404:
+ *         description: 找不到專案或您不是成員
+ *   put:
+ *     summary: 更新專案
+ *     description: 只有 owner 可以更新專案名稱與說明
+ *     tags: [專案]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 專案ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: 專案更新成功
+ *       401:
+ *         description: 不是專案 owner
+ *       404:
+ *         description: 找不到專案或您不是成員
+ *   delete:
+ *     summary: 刪除專案
+ *     description: 只有 owner 可以刪除專案，專案中的任務保留為建立者的個人任務
+ *     tags: [專案]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 專案ID
+ *     responses:
+ *       200:
+ *         description: 專案刪除成功
+ *       401:
+ *         description: 不是專案 owner
+ *       404:
+ *         description: 找不到專案或您不是成員
+ */
+router
+  .route('/:id')
+  .get(protect, getProject)
+  .put(protect, updateProject)
+  .delete(protect, deleteProject);
+
+/**
+ * @swagger
+ * /projects/{id}/tasks:
+ *   get:
+ *     summary: 獲取專案中的任務
+ *     description: |
+ *       專案成員可以查看專案中的所有任務。篩選、排序、欄位選擇與分頁參數與 `GET /tasks` 相同，
+ *       `createdBy=me`、`assignedTo=me` 與 `watchedBy=me` 可縮小範圍。
+ *     tags: [專案]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 專案ID
+ *       - $ref: '#/components/parameters/CursorAfter'
+ *       - $ref: '#/components/parameters/CursorBefore'
+ *     responses:
+ *       200:
+ *         description: 成功，回應格式與 GET /tasks 相同
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                 pagination:
+ *                   type: object
+ *                 links:
+ *                   $ref: '#/components/schemas/CursorLinks'
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Task'
+ *       400:
+ *         description: 無效的查詢參數
+ *       404:
+ *         description: 找不到專案或您不是成員
+ */
+router.get('/:id/tasks', requireScope('tasks:read'), protect, getProjectTasks);
+
+/**
+ * @swagger
+ * /projects/{id}/members:
+ *   get:
+ *     summary: 獲取專案成員
+ *     tags: [專案]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 專案ID
+ *     responses:
+ *       200:
+ *         description: 成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       user:
+ *                         $ref: '#/components/schemas/User'
+ *                       role:
+ *                         type: string
+ *                         enum: [owner, editor, viewer]
+ *                       addedAt:
+ *                         type: string
+ *                         format: date-time
+ *       404:
+ *         description: 找不到專案或您不是成員
+ */
+router.get('/:id/members', protect, getMembers);
+
+/**
+ * @swagger
+ * /projects/{id}/members/{userId}:
+ *   put:
+ *     summary: 變更成員角色
+ *     description: 只有 owner 可以變更角色，專案至少需保留一位 owner；成員會收到 project:role 即時事件
+ *     tags: [專案]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 專案ID
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 成員的用戶ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - role
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [owner, editor, viewer]
+ *     responses:
+ *       200:
+ *         description: 角色已變更
+ *       400:
+ *         description: 角色無效或會移除最後一位 owner
+ *       401:
+ *         description: 不是專案 owner
+ *       404:
+ *         description: 找不到專案或成員
+ *   delete:
+ *     summary: 移除成員或退出專案
+ *     description: >
+ *       owner 可以移除成員，成員可以移除自己以退出專案。
+ *       被移除的成員同時退出專案任務的指派與關注；最後一位 owner 不能退出。
+ *     tags: [專案]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 專案ID
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 成員的用戶ID
+ *     responses:
+ *       200:
+ *         description: 已移除
+ *       400:
+ *         description: 不能移除最後一位 owner
+ *       401:
+ *         description: 不是專案 owner
+ *       404:
+ *         description: 找不到專案或成員
+ */
+router.route('/:id/members/:userId').put(protect, updateMemberRole).delete(protect, removeMember);
+
+/**
+ * @swagger
+ * /projects/{id}/invitations:
+ *   get:
+ *     summary: 獲取專案的待處理邀請
+ *     tags: [專案]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 專案ID
+ *     responses:
+ *       200:
+ *         description: 成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ProjectInvitation'
+ *       401:
+ *         description: 不是專案 owner
+ *   post:
+ *     summary: 邀請用戶加入專案
+ *     description: >
+ *       只有 owner 可以邀請，可使用用戶ID或電子郵件指定受邀者。
+ *       受邀者會收到 project:invited 即時事件，邀請在 PROJECT_INVITATION_EXPIRE_DAYS 天後過期。
+ *     tags: [專案]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 專案ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               userId:
+ *                 type: string
+ *                 description: 受邀用戶ID
+ *               email:
+ *                 type: string
+ *                 description: 受邀用戶的電子郵件，未提供 userId 時使用
+ *               role:
+ *                 type: string
+ *                 enum: [editor, viewer]
+ *                 default: viewer
+ *     responses:
+ *       201:
+ *         description: 邀請已送出
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/ProjectInvitation'
+ *       400:
+ *         description: 角色無效、用戶已是成員或已被邀請
+ *       401:
+ *         description: 不是專案 owner
+ *       404:
+ *         description: 找不到專案或用戶
+ */
+router.route('/:id/invitations').get(protect, getProjectInvitations).post(protect, inviteMember);
+
+/**
+ * @swagger
+ * /projects/{id}/invitations/{invitationId}:
+ *   delete:
+ *     summary: 撤銷專案邀請
+ *     tags: [專案]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 專案ID
+ *       - in: path
+ *         name: invitationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 邀請ID
+ *     responses:
+ *       200:
+ *         description: 已撤銷
+ *       401:
+ *         description: 不是專案 owner
+ *       404:
+ *         description: 找不到專案或邀請
+ */
+router.delete('/:id/invitations/:invitationId', protect, revokeInvitation);
+
+module.exports = router;
@@ -1,10 +1,24 @@
 const express = require('express');
-const { getTasks, getTask, createTask, updateTask, deleteTask } = require('../controllers/tasks');
+const {
+  getTasks,
+  getTask,
+  createTask,
+  updateTask,
+  deleteTask,
+  addAssignee,
+  removeAssignee,
+  addWatcher,
+  removeWatcher,
+  addChecklistItem,
+  reorderChecklist,
+  updateChecklistItem,
+  removeChecklistItem,
+} = require('../controllers/tasks');
 
 const router = express.Router();
 
 // Import middleware
-const { protect } = require('../middlewares/auth');
+const { protect, requireScope } = require('../middlewares/auth');
 
 /**
  * @swagger
@@ -13,9 +27,6 @@ const { protect } = require('../middlewares/auth');
  *   description: 任務管理 API
  */
 
-// Apply protect middleware to all routes
-router.use(protect);
-
 // Routes
 
 /**
@@ -23,37 +34,115 @@ router.use(protect);
  * /tasks:
  *   get:
  *     summary: 獲取所有任務
+ *     description: |
+ *       篩選參數使用型別化的查詢語法，只接受下列欄位，值會依照任務欄位的型別驗證：
+ *
+ *       | 語法 | 說明 |
+ *       | --- | --- |
+ *       | `field=value` | 等於 |
+ *       | `field!=value` | 不等於，`field!=a,b` 為不屬於 |
+ *       | `field=in:a,b` / `field=nin:a,b` | 屬於 / 不屬於其中之一 |
+ *       | `field=gt:v` `gte:v` `lt:v` `lte:v` | 比較 (僅日期與 progress) |
+ *       | `field=between:from,to` | 介於兩者之間，包含邊界 (僅日期與 progress) |
+ *       | `field=exists:true\|false` | 是否有值 |
+ *
+ *       同一欄位可以重複出現，例如 `dueDate=gte:2026-01-01&dueDate=lt:2026-02-01`。
+ *       日期使用 ISO 8601 格式。未知的參數、欄位、運算子或無效的值會回傳 400 並說明原因。
+ *
+ *       分頁預設使用頁碼；帶有 after 或 before 游標時改用游標分頁 (不回傳總數，不能與 page 同時使用)，
+ *       游標分頁只支援依 createdAt 排序。依 createdAt 排序時，頁碼分頁的回應也會附上游標，可從任一頁改用游標繼續載入。
+ *
+ *       預設列出您建立、被指派或關注的任務；`createdBy=me`、`assignedTo=me` 與 `watchedBy=me` 可縮小範圍，同時使用時須全部符合。
  *     tags: [任務]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: query
+ *         name: createdBy
+ *         schema:
+ *           type: string
+ *           enum: [me]
+ *         description: 只列出您建立的任務
+ *       - in: query
+ *         name: assignedTo
+ *         schema:
+ *           type: string
+ *           enum: [me]
+ *         description: 只列出指派給您的任務
+ *       - in: query
+ *         name: watchedBy
+ *         schema:
+ *           type: string
+ *           enum: [me]
+ *         description: 只列出您關注的任務
+ *       - in: query
  *         name: status
  *         schema:
  *           type: string
- *           enum: [pending, in-progress, completed]
- *         description: 按狀態篩選任務
+ *         description: 按狀態篩選 (pending, in-progress, completed)，支援 eq ne in nin exists
+ *         example: in:pending,in-progress
  *       - in: query
  *         name: priority
  *         schema:
  *           type: string
- *           enum: [low, medium, high]
- *         description: 按優先級篩選任務
+ *         description: 按優先級篩選 (low, medium, high)，支援 eq ne in nin exists
+ *         example: high
+ *       - in: query
+ *         name: dueDate
+ *         schema:
+ *           type: string
+ *         description: 按截止日期篩選，支援所有運算子
+ *         example: gte:2026-01-01
+ *       - in: query
+ *         name: parent
+ *         schema:
+ *           type: string
+ *         description: 按上層任務篩選，支援 eq ne in nin exists；parent=exists:false 只列出頂層任務
+ *         example: exists:false
+ *       - in: query
+ *         name: progress
+ *         schema:
+ *           type: string
+ *         description: 按完成百分比篩選，支援所有運算子
+ *         example: lt:100
+ *       - in: query
+ *         name: createdAt
+ *         schema:
+ *           type: string
+ *         description: 按創建時間篩選，支援所有運算子
+ *         example: between:2026-01-01,2026-01-31
+ *       - in: query
+ *         name: updatedAt
+ *         schema:
+ *           type: string
+ *         description: 按更新時間篩選，支援所有運算子
+ *       - in: query
+ *         name: select
+ *         schema:
+ *           type: string
+ *         description: 回傳欄位，以逗號分隔，可用 title, description, status, priority, dueDate, user, project, parent, checklist, progress, autoComplete, assignees, watchers, createdAt, updatedAt
+ *         example: title,status,dueDate
  *       - in: query
  *         name: sort
  *         schema:
  *           type: string
- *         description: 排序字段，例如：createdAt,-priority (負號表示降序)
+ *         description: 排序欄位，可用 title, status, priority, dueDate, progress, createdAt, updatedAt，例如：createdAt,-priority (負號表示降序)
  *       - in: query
  *         name: page
  *         schema:
  *           type: integer
+ *           minimum: 1
  *           default: 1
  *         description: 頁碼
+ *       - $ref: '#/components/parameters/CursorAfter'
+ *       - $ref: '#/components/parameters/CursorBefore'
  *       - in: query
  *         name: limit
  *         schema:
  *           type: integer
+ *           minimum: 1
+ *           maximum: 100
  *           default: 25
  *         description: 每頁顯示數量
  *     responses:
@@ -73,29 +162,49 @@ router.use(protect);
  *                 pagination:
  *                   type: object
  *                   properties:
- *                     next:
- *                       type: object
- *                       properties:
- *                         page:
- *                           type: integer
- *                         limit:
- *                           type: integer
- *                     prev:
- *                       type: object
- *                       properties:
- *                         page:
- *                           type: integer
- *                         limit:
- *                           type: integer
+ *                     total:
+ *                       type: integer
+ *                     page:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     totalPages:
+ *                       type: integer
+ *                     hasNextPage:
+ *                       type: boolean
+ *                     hasPrevPage:
+ *                       type: boolean
+ *                     nextCursor:
+ *                       type: string
+ *                       nullable: true
+ *                     prevCursor:
+ *                       type: string
+ *                       nullable: true
+ *                 links:
+ *                   $ref: '#/components/schemas/CursorLinks'
  *                 data:
  *                   type: array
  *                   items:
  *                     $ref: '#/components/schemas/Task'
+ *       400:
+ *         description: 無效的查詢參數
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: 'Invalid query: status must be one of pending, in-progress, completed, got "done"'
  *   post:
  *     summary: 創建新任務
  *     tags: [任務]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -126,6 +235,43 @@ router.use(protect);
  *                 type: string
  *                 format: date
  *                 description: 任務截止日期
+ *               project:
+ *                 type: string
+ *                 description: 所屬專案ID，需為專案 editor 以上，被指派者與關注者需為專案成員
+ *               parent:
+ *                 type: string
+ *                 description: 上層任務ID，需可以修改上層任務；未指定專案時沿用上層任務的專案，最多 5 層
+ *               checklist:
+ *                 type: array
+ *                 maxItems: 50
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - text
+ *                   properties:
+ *                     text:
+ *                       type: string
+ *                       maxLength: 200
+ *                     done:
+ *                       type: boolean
+ *                       default: false
+ *                 description: 依順序排列的檢查清單
+ *               autoComplete:
+ *                 type: boolean
+ *                 default: false
+ *                 description: 最後一個子任務完成時自動完成此任務
+ *               assignees:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 maxItems: 20
+ *                 description: 被指派的用戶ID，會收到 task:assigned 即時事件
+ *               watchers:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 maxItems: 20
+ *                 description: 關注者的用戶ID
  *     responses:
  *       201:
  *         description: 任務創建成功
@@ -140,16 +286,23 @@ router.use(protect);
  *                 data:
  *                   $ref: '#/components/schemas/Task'
  */
-router.route('/').get(getTasks).post(createTask);
+router
+  .route('/')
+  .get(requireScope('tasks:read'), protect, getTasks)
+  .post(requireScope('tasks:write'), protect, createTask);
 
 /**
  * @swagger
  * /tasks/{id}:
  *   get:
  *     summary: 獲取單個任務
+ *     description: >
+ *       建立者、被指派者、關注者與所屬專案的成員可以查看，可以查看上層任務的用戶也可以查看子任務。
+ *       include=subtree 時回應的 subtasks 包含所有層級的子任務，每個子任務也有自己的 subtasks。
  *     tags: [任務]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -157,6 +310,12 @@ router.route('/').get(getTasks).post(createTask);
  *         schema:
  *           type: string
  *         description: 任務 ID
+ *       - in: query
+ *         name: include
+ *         schema:
+ *           type: string
+ *           enum: [subtree]
+ *         description: 附帶的資料，subtree 為巢狀的子任務
  *     responses:
  *       200:
  *         description: 成功
@@ -174,9 +333,18 @@ router.route('/').get(getTasks).post(createTask);
  *         description: 任務未找到
  *   put:
  *     summary: 更新任務
+ *     description: >
+ *       建立者、所屬專案的 editor 與 owner (或具備 task.update.any 權限者) 可以更新所有欄位，被指派者只能更新 status。
+ *       其他參與者會收到 task:updated 即時事件。被指派者與關注者需透過專用 API 管理。
+ *       移動到其他專案需為目標專案 editor 以上，且現有的被指派者與關注者都需為目標專案成員。
+ *       progress 由子任務與檢查清單計算，不能直接設定；檢查清單需透過專用 API 管理。
+ *       任務完成時，設定 autoComplete 且所有子任務都已完成的上層任務會自動完成；
+ *       之後有子任務重新開啟時，自動完成的上層任務會還原為原本的狀態。
+ *       只接受下列欄位，其他欄位 (例如 user) 會回傳 400。
  *     tags: [任務]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -209,6 +377,17 @@ router.route('/').get(getTasks).post(createTask);
  *                 type: string
  *                 format: date
  *                 description: 任務截止日期
+ *               project:
+ *                 type: string
+ *                 nullable: true
+ *                 description: 所屬專案ID，設為 null 時改為個人任務；有子任務的任務不能移動到其他專案
+ *               parent:
+ *                 type: string
+ *                 nullable: true
+ *                 description: 上層任務ID，設為 null 時改為頂層任務；不能移動到自己或自己的子任務之下
+ *               autoComplete:
+ *                 type: boolean
+ *                 description: 最後一個子任務完成時自動完成此任務
  *     responses:
  *       200:
  *         description: 任務更新成功
@@ -228,9 +407,13 @@ router.route('/').get(getTasks).post(createTask);
  *         description: 未授權
  *   delete:
  *     summary: 刪除任務
+ *     description: >
+ *       只有建立者、所屬專案的 editor 與 owner (或具備 task.delete.any 權限者) 可以刪除，被指派者不能刪除。
+ *       可以修改上層任務的用戶也可以刪除子任務。刪除任務時所有子任務一併刪除。
  *     tags: [任務]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -257,6 +440,345 @@ router.route('/').get(getTasks).post(createTask);
  *       401:
  *         description: 未授權
  */
-router.route('/:id').get(getTask).put(updateTask).delete(deleteTask);
+router
+  .route('/:id')
+  .get(requireScope('tasks:read'), protect, getTask)
+  .put(requireScope('tasks:write'), protect, updateTask)
+  .delete(requireScope('tasks:write'), protect, deleteTask);
+
+/**
+ * @swagger
+ * /tasks/{id}/assignees:
+ *   post:
+ *     summary: 指派用戶
+ *     description: >
+ *       只有建立者 (或具備 task.update.any 權限者) 可以指派。
+ *       被指派者會收到 task:assigned 即時事件，其他參與者會收到 task:assignees 即時事件。
+ *     tags: [任務]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 任務 ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - userId
+ *             properties:
+ *               userId:
+ *                 type: string
+ *                 description: 要指派的用戶ID
+ *     responses:
+ *       200:
+ *         description: 指派成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Task'
+ *       400:
+ *         description: 用戶不存在、已被指派或超過人數上限
+ *       401:
+ *         description: 未授權
+ *       404:
+ *         description: 任務未找到
+ */
+router.post('/:id/assignees', requireScope('tasks:write'), protect, addAssignee);
+
+/**
+ * @swagger
+ * /tasks/{id}/assignees/{userId}:
+ *   delete:
+ *     summary: 取消指派
+ *     description: 建立者可以取消任何人的指派，被指派者可以自行退出。被取消的用戶會收到 task:unassigned 即時事件。
+ *     tags: [任務]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 任務 ID
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 被指派的用戶ID
+ *     responses:
+ *       200:
+ *         description: 已取消指派
+ *       401:
+ *         description: 未授權
+ *       404:
+ *         description: 任務未找到或用戶未被指派
+ */
+router.delete('/:id/assignees/:userId', requireScope('tasks:write'), protect, removeAssignee);
+
+/**
+ * @swagger
+ * /tasks/{id}/watchers:
+ *   post:
+ *     summary: 關注任務
+ *     description: >
+ *       未提供 userId 時關注者為自己，需要能查看此任務；為其他用戶加入關注需為建立者 (或具備 task.update.any 權限者)。
+ *       關注者會在任務更新、指派變更或刪除時收到即時事件。
+ *     tags: [任務]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 任務 ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               userId:
+ *                 type: string
+ *                 description: 要加入的關注者，預設為自己
+ *     responses:
+ *       200:
+ *         description: 已關注
+ *       400:
+ *         description: 用戶不存在、已在關注或超過人數上限
+ *       401:
+ *         description: 未授權
+ *       404:
+ *         description: 任務未找到
+ */
+router.post('/:id/watchers', requireScope('tasks:write'), protect, addWatcher);
+
+/**
+ * @swagger
+ * /tasks/{id}/watchers/{userId}:
+ *   delete:
+ *     summary: 取消關注
+ *     description: 用戶可以取消自己的關注，建立者可以移除任何關注者。
+ *     tags: [任務]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 任務 ID
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 關注者的用戶ID
+ *     responses:
+ *       200:
+ *         description: 已取消關注
+ *       401:
+ *         description: 未授權
+ *       404:
+ *         description: 任務未找到或用戶未關注
+ */
+router.delete('/:id/watchers/:userId', requireScope('tasks:write'), protect, removeWatcher);
+
+/**
+ * @swagger
+ * /tasks/{id}/checklist:
+ *   post:
+ *     summary: 新增檢查清單項目
+ *     description: 每個任務最多 50 個項目，新增後重新計算任務與上層任務的進度
+ *     tags: [任務]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 任務 ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - text
+ *             properties:
+ *               text:
+ *                 type: string
+ *                 maxLength: 200
+ *               done:
+ *                 type: boolean
+ *                 default: false
+ *               position:
+ *                 type: integer
+ *                 minimum: 0
+ *                 description: 插入的位置，預設加在最後
+ *     responses:
+ *       201:
+ *         description: 已新增，回傳更新後的任務
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   $ref: '#/components/schemas/Task'
+ *       400:
+ *         description: 內容無效或項目已達上限
+ *       401:
+ *         description: 未授權
+ *       404:
+ *         description: 任務未找到
+ */
+router.post('/:id/checklist', requireScope('tasks:write'), protect, addChecklistItem);
+
+/**
+ * @swagger
+ * /tasks/{id}/checklist/order:
+ *   put:
+ *     summary: 調整檢查清單順序
+ *     tags: [任務]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 任務 ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - itemIds
+ *             properties:
+ *               itemIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: 依新順序排列的所有項目ID
+ *     responses:
+ *       200:
+ *         description: 已調整順序，回傳更新後的任務
+ *       400:
+ *         description: itemIds 沒有剛好列出每個項目一次
+ *       401:
+ *         description: 未授權
+ *       404:
+ *         description: 任務未找到
+ */
+router.put('/:id/checklist/order', requireScope('tasks:write'), protect, reorderChecklist);
+
+/**
+ * @swagger
+ * /tasks/{id}/checklist/{itemId}:
+ *   put:
+ *     summary: 更新檢查清單項目
+ *     description: 被指派者只能勾選或取消勾選項目 (done)，勾選狀態變更時重新計算進度
+ *     tags: [任務]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 任務 ID
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 項目 ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               text:
+ *                 type: string
+ *                 maxLength: 200
+ *               done:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: 已更新，回傳更新後的任務
+ *       400:
+ *         description: 內容無效
+ *       401:
+ *         description: 未授權
+ *       404:
+ *         description: 任務或項目未找到
+ *   delete:
+ *     summary: 刪除檢查清單項目
+ *     tags: [任務]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 任務 ID
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: 項目 ID
+ *     responses:
+ *       200:
+ *         description: 已刪除，回傳更新後的任務
+ *       401:
+ *         description: 未授權
+ *       404:
+ *         description: 任務或項目未找到
+ */
+router
+  .route('/:id/checklist/:itemId')
+  .put(requireScope('tasks:write'), protect, updateChecklistItem)
+  .delete(requireScope('tasks:write'), protect, removeChecklistItem);
 
 module.exports = router;
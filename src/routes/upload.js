@@ -3,7 +3,12 @@ const router = express.Router();
 
 // Import controller methods
 const { uploadFile, getFile, getAllFiles, deleteFile } = require('../controllers/upload');
-const { protect, optionalAuth } = require('../middlewares/auth');
+const {
+  protect,
+  optionalAuth,
+  requireScope,
+  requireVerifiedEmail,
+} = require('../middlewares/auth');
 const { uploadSingle } = require('../middlewares/upload');
 
 /**
@@ -76,6 +81,7 @@ const { uploadSingle } = require('../middlewares/upload');
  *     tags: [檔案上傳]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     consumes:
  *       - multipart/form-data
  *     requestBody:
@@ -114,16 +120,35 @@ const { uploadSingle } = require('../middlewares/upload');
  *       401:
  *         description: 未授權
  */
-router.post('/', protect, uploadSingle('file'), uploadFile);
+router.post(
+  '/',
+  requireScope('files:write'),
+  protect,
+  requireVerifiedEmail,
+  uploadSingle('file'),
+  uploadFile
+);
 
 /**
  * @swagger
  * /upload:
  *   get:
  *     summary: 獲取當前用戶的所有檔案
+ *     description: 以游標分頁取得檔案，由新到舊排列
  *     tags: [檔案上傳]
  *     security:
  *       - bearerAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/CursorAfter'
+ *       - $ref: '#/components/parameters/CursorBefore'
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 25
+ *         description: 每頁數量
  *     responses:
  *       200:
  *         description: 成功
@@ -138,10 +163,16 @@ router.post('/', protect, uploadSingle('file'), uploadFile);
  *                 count:
  *                   type: integer
  *                   example: 5
+ *                 pagination:
+ *                   $ref: '#/components/schemas/CursorPagination'
+ *                 links:
+ *                   $ref: '#/components/schemas/CursorLinks'
  *                 data:
  *                   type: array
  *                   items:
  *                     $ref: '#/components/schemas/File'
+ *       400:
+ *         description: 無效的游標或 limit
  *       401:
  *         description: 未授權
  */
@@ -181,6 +212,7 @@ router.get('/:id', optionalAuth, getFile);
  *     tags: [檔案上傳]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -207,6 +239,6 @@ router.get('/:id', optionalAuth, getFile);
  *       401:
  *         description: 未授權
  */
-router.delete('/:id', protect, deleteFile);
+router.delete('/:id', requireScope('files:write'), protect, requireVerifiedEmail, deleteFile);
 
 module.exports = router;
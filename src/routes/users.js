@@ -0,0 +1,110 @@
+const express = require('express');
+const { searchUsers } = require('../controllers/users');
+
+const router = express.Router();
+
+// Import middleware
+const { protect } = require('../middlewares/auth');
+const { searchLimiter } = require('../middlewares/rateLimiter');
+
+/**
+ * @swagger
+ * tags:
+ *   name: 用戶
+ *   description: 用戶目錄 API
+ */
+
+// Apply protect middleware to all routes
+router.use(protect);
+
+/**
+ * @swagger
+ * /users/search:
+ *   get:
+ *     summary: 搜尋用戶
+ *     description: >
+ *       以名稱或顯示名稱的前綴以及名稱全文搜尋用戶；查詢包含 @ 時也比對電子郵件前綴 (不分大小寫)。
+ *       結果遵守每位用戶的 discoverability 設定，聯絡人與曾經對話過的用戶排在前面，電子郵件只對他們顯示；封鎖了您的用戶不會出現在結果中。
+ *     tags: [用戶]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *           minLength: 2
+ *           maxLength: 100
+ *         description: 搜尋字詞
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *         description: 頁碼
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 50
+ *         description: 每頁數量
+ *     responses:
+ *       200:
+ *         description: 成功
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 count:
+ *                   type: integer
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     total:
+ *                       type: integer
+ *                     page:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     totalPages:
+ *                       type: integer
+ *                     hasNextPage:
+ *                       type: boolean
+ *                     hasPrevPage:
+ *                       type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       _id:
+ *                         type: string
+ *                       name:
+ *                         type: string
+ *                       displayName:
+ *                         type: string
+ *                       avatar:
+ *                         type: string
+ *                       statusMessage:
+ *                         type: string
+ *                       email:
+ *                         type: string
+ *                         description: 只對聯絡人顯示
+ *                       isContact:
+ *                         type: boolean
+ *       400:
+ *         description: 搜尋字詞長度無效
+ *       401:
+ *         description: 未授權
+ *       429:
+ *         description: 搜尋過於頻繁
+ */
+router.get('/search', searchLimiter, searchUsers);
+
+module.exports = router;
@@ -0,0 +1,33 @@
+const express = require('express');
+const { getJwks } = require('../utils/keyStore');
+const { dynamicContent } = require('../middlewares/cacheHeaders');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /.well-known/jwks.json:
+ *   get:
+ *     summary: 取得驗證 access token 用的公開金鑰 (JWKS)
+ *     description: 使用 RS256 / ES256 時列出所有有效的公開金鑰，token 標頭的 kid 對應金鑰的 kid；使用 HS256 時為空列表
+ *     tags: [認證]
+ *     servers:
+ *       - url: /
+ *     responses:
+ *       200:
+ *         description: JSON Web Key Set
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 keys:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ */
+router.get('/jwks.json', dynamicContent, (req, res) => {
+  res.status(200).json(getJwks());
+});
+
+module.exports = router;
@@ -0,0 +1,249 @@
+/**
+ * Account Deletion Service
+ * 刪除帳號時先標記為已刪除並保留 graceDays 天，期間可以登入還原；
+ * 期限過後由背景工作清除個人任務、檔案 (含實體檔案)、對話與訊息，並通知在線的聊天對象；
+ * 在共用專案中建立的任務轉給專案 owner，不影響其他成員。
+ */
+
+const fs = require('fs');
+const path = require('path');
+const User = require('../models/User');
+const Task = require('../models/Task');
+const File = require('../models/File');
+const Message = require('../models/Message');
+const Conversation = require('../models/Conversation');
+const Session = require('../models/Session');
+const RefreshToken = require('../models/RefreshToken');
+const ApiKey = require('../models/ApiKey');
+const LoginAttempt = require('../models/LoginAttempt');
+const ErrorResponse = require('../utils/errorResponse');
+const config = require('../config');
+const { deleteCache, clearCachePattern } = require('../utils/cacheUtils');
+const tokenService = require('./tokenService');
+const auditService = require('./auditService');
+const { invalidateLogin } = require('./loginCacheService');
+const { clearUserCache } = require('./userService');
+const { disconnectUser, notifyUser } = require('./socketService');
+const { removeUserExports } = require('./dataExportService');
+const { removeUserRelations } = require('./contactService');
+const { removeUserFromTasks, clearTaskListCaches, detachDeletedTasks } = require('./taskService');
+const { removeUserFromProjects } = require('./projectService');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// 清除工作認領後超過此時間仍未完成，視為中斷並允許重新認領
+const PURGE_CLAIM_TIMEOUT = 60 * 60 * 1000;
+
+let purgeTimer = null;
+
+/**
+ * Soft-delete an account and schedule it for purging
+ * @param {string} userId - User ID
+ * @param {Object} meta - Client metadata ({ ip, userAgent })
+ * @returns {Promise<Object>} - { purgeAt }
+ */
+exports.scheduleDeletion = async (userId, meta = {}) => {
+  const purgeAt = new Date(Date.now() + config.accountDeletion.graceDays * DAY);
+
+  const user = await User.findOneAndUpdate(
+    { _id: userId, deletedAt: null },
+    { deletedAt: new Date(), purgeAt },
+    { new: true, projection: 'email' }
+  ).lean();
+
+  if (!user) {
+    throw new ErrorResponse(`User not found with id of ${userId}`, 404);
+  }
+
+  // 登出所有裝置；還原前登入、API key 與即時連線都會被拒絕
+  await tokenService.revokeAllTokens(userId, 'account-deleted');
+  await clearUserCache(userId);
+  disconnectUser(userId.toString());
+
+  await auditService.record(
+    {
+      action: 'user.delete.schedule',
+      actor: userId,
+      target: userId,
+      metadata: { purgeAt },
+    },
+    meta
+  );
+
+  return { purgeAt };
+};
+
+/**
+ * Restore an account that is still in its grace period
+ * @param {string} userId - User ID
+ * @param {Object} meta - Client metadata ({ ip, userAgent })
+ * @returns {Promise<Object>} - Restored user
+ */
+exports.restoreAccount = async (userId, meta = {}) => {
+  const user = await User.findOneAndUpdate(
+    {
+      _id: userId,
+      deletedAt: { $ne: null },
+      purgeAt: { $gt: new Date() },
+      purgeStartedAt: null,
+    },
+    { $unset: { deletedAt: 1, purgeAt: 1 } },
+    { new: true, projection: 'email credentialVersion' }
+  ).lean();
+
+  if (!user) {
+    throw new ErrorResponse('Account is not scheduled for deletion', 400);
+  }
+
+  await invalidateLogin(user);
+  await clearUserCache(userId);
+
+  await auditService.record({ action: 'user.delete.restore', actor: userId, target: userId }, meta);
+
+  return user;
+};
+
+/**
+ * Permanently remove a user and everything they own
+ * @param {string} userId - User ID
+ * @returns {Promise<void>}
+ */
+const purgeUser = async (userId) => {
+  // 先退出所有專案並將專案任務轉給 owner；沒有其他成員的專案會被刪除，其任務成為個人任務
+  await removeUserFromProjects(userId);
+
+  // 只刪除個人任務
+  const [conversations, files, tasks] = await Promise.all([
+    Conversation.find({ participants: userId }).select('participants').lean(),
+    File.find({ user: userId }).select('filePath').lean(),
+    Task.find({ user: userId, project: null }).select('project parent assignees watchers').lean(),
+  ]);
+
+  const conversationIds = conversations.map((conversation) => conversation._id);
+
+  // 對話只有兩位參與者，刪除用戶時整個對話一併移除
+  await Promise.all([
+    Task.deleteMany({ user: userId, project: null }),
+    File.deleteMany({ user: userId }),
+    Message.deleteMany({ conversation: { $in: conversationIds } }),
+    Conversation.deleteMany({ _id: { $in: conversationIds } }),
+    Session.deleteMany({ user: userId }),
+    RefreshToken.deleteMany({ user: userId }),
+    ApiKey.deleteMany({ user: userId }),
+    LoginAttempt.deleteMany({ user: userId }),
+    removeUserExports(userId),
+    removeUserRelations(userId),
+    removeUserFromTasks(userId),
+  ]);
+
+  // 其他用戶建立的子任務改為頂層任務，並更新上層任務的進度
+  await detachDeletedTasks(tasks);
+
+  files.forEach((file) => {
+    try {
+      const filePath = path.resolve(file.filePath);
+      if (fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath);
+      }
+    } catch (err) {
+      console.error('刪除實體檔案失敗:', err);
+    }
+  });
+
+  await User.deleteOne({ _id: userId });
+
+  // 只清除此用戶的緩存，不影響其他用戶
+  await Promise.all([
+    clearUserCache(userId),
+    clearCachePattern(`tasks:${userId}:*`),
+    // 被刪除任務的被指派者、關注者與所屬專案
+    clearTaskListCaches(
+      tasks.flatMap((task) => [...(task.assignees || []), ...(task.watchers || [])]),
+      tasks.map((task) => task.project)
+    ),
+    ...tasks.map((task) => deleteCache(`task:${task._id}`)),
+  ]);
+
+  // 通知聊天對象移除對話
+  const userIdString = userId.toString();
+  conversations.forEach((conversation) => {
+    conversation.participants
+      .map((participant) => participant.toString())
+      .filter((participantId) => participantId !== userIdString)
+      .forEach((participantId) => {
+        notifyUser(participantId, 'user:deleted', {
+          userId: userIdString,
+          conversationId: conversation._id,
+        });
+      });
+  });
+
+  await auditService.record({
+    action: 'user.delete.purge',
+    target: userId,
+    metadata: {
+      tasks: tasks.length,
+      files: files.length,
+      conversations: conversationIds.length,
+    },
+  });
+};
+
+/**
+ * Purge every account whose grace period has ended
+ * 以原子操作認領帳號，多個執行個體同時執行也不會重複清除
+ * @returns {Promise<number>} - Number of purged accounts
+ */
+exports.purgeExpiredAccounts = async () => {
+  let purged = 0;
+
+  for (;;) {
+    const now = new Date();
+    const user = await User.findOneAndUpdate(
+      {
+        deletedAt: { $ne: null },
+        purgeAt: { $lte: now },
+        $or: [
+          { purgeStartedAt: null },
+          { purgeStartedAt: { $lt: new Date(now.getTime() - PURGE_CLAIM_TIMEOUT) } },
+        ],
+      },
+      { purgeStartedAt: now },
+      { projection: '_id' }
+    ).lean();
+
+    if (!user) {
+      return purged;
+    }
+
+    try {
+      await purgeUser(user._id);
+      purged += 1;
+    } catch (err) {
+      // 保留認領時間，逾時後再重試
+      console.error(`Failed to purge user ${user._id}:`, err);
+    }
+  }
+};
+
+/**
+ * Run the purge job periodically
+ */
+exports.startPurgeJob = () => {
+  if (purgeTimer) return;
+
+  const run = () =>
+    exports
+      .purgeExpiredAccounts()
+      .then((count) => {
+        if (count > 0) {
+          console.log(`Purged ${count} deleted account(s)`);
+        }
+      })
+      .catch((err) => console.error('Account purge job error:', err));
+
+  purgeTimer = setInterval(run, config.accountDeletion.purgeIntervalMinutes * 60 * 1000);
+  // 不阻止程序結束
+  purgeTimer.unref();
+  run();
+};
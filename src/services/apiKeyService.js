@@ -0,0 +1,154 @@
+/**
+ * API Key Service
+ * 個人 API key 格式為 madd_<prefix>_<secret>，以前綴查詢記錄後比對整個 key 的雜湊值。
+ * 驗證結果快取在 Redis 中，撤銷時立即清除。
+ */
+
+const crypto = require('crypto');
+const ApiKey = require('../models/ApiKey');
+const ErrorResponse = require('../utils/errorResponse');
+const { getCache, setCache, deleteCache } = require('../utils/cacheUtils');
+
+const KEY_PATTERN = /^madd_([a-f0-9]{8})_[A-Za-z0-9_-]{43}$/;
+
+// 每位用戶可同時擁有的 API key 數量
+const MAX_KEYS_PER_USER = 20;
+
+// API key 記錄快取時間（秒）
+const API_KEY_CACHE_TTL = 300;
+
+// 最近使用時間的更新間隔（秒）
+const LAST_USED_INTERVAL = 60;
+
+const cacheKey = (prefix) => `auth:apiKey:${prefix}`;
+const lastUsedKey = (prefix) => `auth:apiKeyUsed:${prefix}`;
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+/**
+ * Create an API key
+ * @param {string} userId - Owner of the key
+ * @param {Object} data - { name, scopes, expiresInDays }
+ * @returns {Promise<Object>} - { apiKey, key } where key is the raw key, shown only once
+ */
+exports.createApiKey = async (userId, { name, scopes, expiresInDays }) => {
+  const count = await ApiKey.countDocuments({ user: userId, revokedAt: null });
+
+  if (count >= MAX_KEYS_PER_USER) {
+    throw new ErrorResponse(`You can have at most ${MAX_KEYS_PER_USER} API keys`, 400);
+  }
+
+  let expiresAt;
+  if (expiresInDays !== undefined && expiresInDays !== null) {
+    const days = Number(expiresInDays);
+
+    if (!Number.isInteger(days) || days < 1 || days > 365) {
+      throw new ErrorResponse('expiresInDays must be an integer between 1 and 365', 400);
+    }
+
+    expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+  }
+
+  const prefix = crypto.randomBytes(4).toString('hex');
+  const key = `madd_${prefix}_${crypto.randomBytes(32).toString('base64url')}`;
+
+  const apiKey = await ApiKey.create({
+    user: userId,
+    name,
+    prefix,
+    keyHash: hashKey(key),
+    scopes: Array.isArray(scopes) ? [...new Set(scopes)] : [],
+    expiresAt,
+  });
+
+  const { keyHash, ...data } = apiKey.toObject();
+
+  return { apiKey: { ...data, prefix: `madd_${prefix}` }, key };
+};
+
+/**
+ * List the active API keys of a user
+ * @param {string} userId - User ID
+ * @returns {Promise<Array<Object>>} - API keys without their hashes
+ */
+exports.getUserApiKeys = async (userId) => {
+  const apiKeys = await ApiKey.find({ user: userId, revokedAt: null })
+    .select('name prefix scopes expiresAt lastUsedAt createdAt')
+    .sort({ createdAt: -1 })
+    .lean();
+
+  return apiKeys.map((apiKey) => ({ ...apiKey, prefix: `madd_${apiKey.prefix}` }));
+};
+
+/**
+ * Revoke an API key
+ * @param {string} userId - Owner of the key
+ * @param {string} id - API key ID
+ * @returns {Promise<void>}
+ */
+exports.revokeApiKey = async (userId, id) => {
+  const apiKey = await ApiKey.findOneAndUpdate(
+    { _id: id, user: userId, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+
+  if (!apiKey) {
+    throw new ErrorResponse(`API key not found with id of ${id}`, 404);
+  }
+
+  await deleteCache(cacheKey(apiKey.prefix));
+};
+
+/**
+ * Authenticate a raw API key
+ * @param {string} key - Raw key from the X-API-Key header
+ * @param {Object} meta - Client metadata ({ ip })
+ * @returns {Promise<Object|null>} - { id, userId, scopes } or null if invalid
+ */
+exports.authenticate = async (key, meta = {}) => {
+  const match = KEY_PATTERN.exec(String(key));
+
+  if (!match) {
+    return null;
+  }
+
+  const prefix = match[1];
+  let record = await getCache(cacheKey(prefix));
+
+  if (!record) {
+    const apiKey = await ApiKey.findOne({ prefix })
+      .select('+keyHash user scopes expiresAt revokedAt')
+      .lean();
+
+    if (!apiKey) {
+      return null;
+    }
+
+    record = {
+      id: apiKey._id.toString(),
+      userId: apiKey.user.toString(),
+      keyHash: apiKey.keyHash,
+      scopes: apiKey.scopes,
+      expiresAt: apiKey.expiresAt,
+      revoked: Boolean(apiKey.revokedAt),
+    };
+    await setCache(cacheKey(prefix), record, API_KEY_CACHE_TTL);
+  }
+
+  // 使用常數時間比較，避免時序攻擊
+  const valid = crypto.timingSafeEqual(
+    Buffer.from(hashKey(key), 'hex'),
+    Buffer.from(record.keyHash, 'hex')
+  );
+
+  if (!valid || record.revoked || (record.expiresAt && new Date(record.expiresAt) <= new Date())) {
+    return null;
+  }
+
+  if (!(await getCache(lastUsedKey(prefix)))) {
+    await ApiKey.updateOne({ _id: record.id }, { lastUsedAt: new Date(), lastUsedIp: meta.ip });
+    await setCache(lastUsedKey(prefix), true, LAST_USED_INTERVAL);
+  }
+
+  return { id: record.id, userId: record.userId, scopes: record.scopes };
+};
@@ -0,0 +1,22 @@
+const AuditLog = require('../models/AuditLog');
+
+/**
+ * Record an audit log entry
+ * @param {Object} entry - Audit entry
+ * @param {string} entry.action - Action name, e.g. 'user.role.promote'
+ * @param {string} entry.actor - ID of the user performing the action (null for system)
+ * @param {string} entry.target - ID of the affected user
+ * @param {Object} entry.metadata - Additional details
+ * @param {Object} meta - Client metadata ({ ip, userAgent })
+ * @returns {Promise<AuditLog>} - Created audit log entry
+ */
+exports.record = async ({ action, actor = null, target = null, metadata = {} }, meta = {}) => {
+  return AuditLog.create({
+    action,
+    actor,
+    target,
+    metadata,
+    ip: meta.ip,
+    userAgent: meta.userAgent,
+  });
+};
@@ -0,0 +1,384 @@
+/**
+ * Contact Service
+ * 聯絡人邀請、聯絡人清單與封鎖。
+ * 封鎖任一方向後雙方都無法建立對話或傳送訊息；接收者將 messagePolicy 設為 contacts 時只接受聯絡人的訊息。
+ */
+
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Contact = require('../models/Contact');
+const Block = require('../models/Block');
+const ErrorResponse = require('../utils/errorResponse');
+const { USER_SUMMARY_FIELDS } = require('../utils/chatUtils');
+
+// 延遲載入以避免與 socketService 循環相依
+const notify = (userId, event, payload) => {
+  const { notifyUser } = require('./socketService');
+  notifyUser(userId.toString(), event, payload);
+};
+
+const assertValidId = (id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new ErrorResponse(`User not found with id of ${id}`, 404);
+  }
+};
+
+// 兩位用戶之間的聯絡人記錄，不分方向
+const pairQuery = (userA, userB) => ({
+  $or: [
+    { requester: userA, recipient: userB },
+    { requester: userB, recipient: userA },
+  ],
+});
+
+/**
+ * Check whether either user has blocked the other
+ * @param {string} userA - User ID
+ * @param {string} userB - User ID
+ * @returns {Promise<boolean>}
+ */
+const isBlockedBetween = async (userA, userB) => {
+  const block = await Block.exists({
+    $or: [
+      { blocker: userA, blocked: userB },
+      { blocker: userB, blocked: userA },
+    ],
+  });
+
+  return Boolean(block);
+};
+
+/**
+ * Check whether two users are accepted contacts
+ * @param {string} userA - User ID
+ * @param {string} userB - User ID
+ * @returns {Promise<boolean>}
+ */
+const areContacts = async (userA, userB) => {
+  const contact = await Contact.exists({ ...pairQuery(userA, userB), status: 'accepted' });
+  return Boolean(contact);
+};
+
+/**
+ * Get the IDs of a user's accepted contacts
+ * @param {string} userId - User ID
+ * @returns {Promise<Array<string>>}
+ */
+const getAcceptedContactIds = async (userId) => {
+  const contacts = await Contact.find({
+    $or: [{ requester: userId }, { recipient: userId }],
+    status: 'accepted',
+  })
+    .select('requester recipient')
+    .lean();
+
+  return contacts.map((contact) =>
+    contact.requester.toString() === userId.toString()
+      ? contact.recipient.toString()
+      : contact.requester.toString()
+  );
+};
+
+/**
+ * Get the IDs of users the given user has blocked
+ * @param {string} userId - User ID
+ * @returns {Promise<Array<string>>}
+ */
+const getBlockedIds = async (userId) => {
+  const blocks = await Block.find({ blocker: userId }).select('blocked').lean();
+  return blocks.map((block) => block.blocked.toString());
+};
+
+/**
+ * Get the IDs of users who have blocked the given user
+ * @param {string} userId - User ID
+ * @returns {Promise<Array<string>>}
+ */
+const getBlockedByIds = async (userId) => {
+  const blocks = await Block.find({ blocked: userId }).select('blocker').lean();
+  return blocks.map((block) => block.blocker.toString());
+};
+
+/**
+ * Make sure the sender may message the recipient
+ * @param {string} senderId - Sender ID
+ * @param {string} recipientId - Recipient ID
+ * @throws {ErrorResponse} 403 when blocked or the recipient only accepts contacts
+ */
+const assertCanMessage = async (senderId, recipientId) => {
+  if (await isBlockedBetween(senderId, recipientId)) {
+    throw new ErrorResponse('You cannot message this user', 403);
+  }
+
+  const recipient = await User.findById(recipientId).select('messagePolicy').lean();
+
+  if (recipient && recipient.messagePolicy === 'contacts') {
+    if (!(await areContacts(senderId, recipientId))) {
+      throw new ErrorResponse('This user only accepts messages from contacts', 403);
+    }
+  }
+};
+
+/**
+ * Send a contact request
+ * 對方已經向自己發出邀請時直接成為聯絡人
+ * @param {string} userId - Requester ID
+ * @param {string} targetId - Recipient ID
+ * @returns {Promise<Object>} - Contact request
+ */
+exports.sendRequest = async (userId, targetId) => {
+  if (!targetId) {
+    throw new ErrorResponse('Please provide a user ID', 400);
+  }
+
+  assertValidId(targetId);
+
+  if (targetId.toString() === userId.toString()) {
+    throw new ErrorResponse('You cannot add yourself as a contact', 400);
+  }
+
+  const target = await User.exists({ _id: targetId, deletedAt: null });
+  if (!target) {
+    throw new ErrorResponse(`User not found with id of ${targetId}`, 404);
+  }
+
+  if (await isBlockedBetween(userId, targetId)) {
+    throw new ErrorResponse('You cannot add this user as a contact', 403);
+  }
+
+  const existing = await Contact.findOne(pairQuery(userId, targetId));
+
+  if (existing) {
+    if (existing.status === 'accepted') {
+      throw new ErrorResponse('This user is already a contact', 400);
+    }
+
+    if (existing.requester.toString() === userId.toString()) {
+      throw new ErrorResponse('Contact request already sent', 400);
+    }
+
+    // 對方的邀請尚未處理，視為接受
+    existing.status = 'accepted';
+    existing.acceptedAt = new Date();
+    await existing.save();
+
+    notify(targetId, 'contact:accepted', { requestId: existing._id, userId });
+
+    return existing;
+  }
+
+  let request;
+  try {
+    request = await Contact.create({ requester: userId, recipient: targetId });
+  } catch (err) {
+    // 同時送出的重複邀請
+    if (err.code === 11000) {
+      throw new ErrorResponse('Contact request already sent', 400);
+    }
+    throw err;
+  }
+
+  notify(targetId, 'contact:request', { requestId: request._id, userId });
+
+  return request;
+};
+
+/**
+ * Accept or decline an incoming contact request
+ * 拒絕時刪除邀請，對方之後可以再次發送
+ * @param {string} userId - Recipient ID
+ * @param {string} requestId - Contact request ID
+ * @param {boolean} accept - Accept or decline
+ * @returns {Promise<Object|null>} - Accepted contact, or null when declined
+ */
+exports.respondToRequest = async (userId, requestId, accept) => {
+  if (!mongoose.Types.ObjectId.isValid(requestId)) {
+    throw new ErrorResponse(`Contact request not found with id of ${requestId}`, 404);
+  }
+
+  const query = { _id: requestId, recipient: userId, status: 'pending' };
+
+  if (!accept) {
+    const declined = await Contact.findOneAndDelete(query);
+    if (!declined) {
+      throw new ErrorResponse(`Contact request not found with id of ${requestId}`, 404);
+    }
+    return null;
+  }
+
+  const request = await Contact.findOne(query);
+  if (!request) {
+    throw new ErrorResponse(`Contact request not found with id of ${requestId}`, 404);
+  }
+
+  // 邀請送出後才封鎖的情況
+  if (await isBlockedBetween(userId, request.requester)) {
+    throw new ErrorResponse('You cannot add this user as a contact', 403);
+  }
+
+  request.status = 'accepted';
+  request.acceptedAt = new Date();
+  await request.save();
+
+  notify(request.requester, 'contact:accepted', { requestId: request._id, userId });
+
+  return request;
+};
+
+/**
+ * Cancel an outgoing contact request
+ * @param {string} userId - Requester ID
+ * @param {string} requestId - Contact request ID
+ */
+exports.cancelRequest = async (userId, requestId) => {
+  const request = mongoose.Types.ObjectId.isValid(requestId)
+    ? await Contact.findOneAndDelete({ _id: requestId, requester: userId, status: 'pending' })
+    : null;
+
+  if (!request) {
+    throw new ErrorResponse(`Contact request not found with id of ${requestId}`, 404);
+  }
+};
+
+/**
+ * List pending contact requests
+ * @param {string} userId - User ID
+ * @param {string} direction - incoming or outgoing
+ * @returns {Promise<Array>} - Contact requests
+ */
+exports.listRequests = async (userId, direction = 'incoming') => {
+  if (!['incoming', 'outgoing'].includes(direction)) {
+    throw new ErrorResponse('Direction must be incoming or outgoing', 400);
+  }
+
+  const field = direction === 'incoming' ? 'recipient' : 'requester';
+  const other = direction === 'incoming' ? 'requester' : 'recipient';
+
+  return Contact.find({ [field]: userId, status: 'pending' })
+    .populate({ path: other, select: USER_SUMMARY_FIELDS })
+    .sort({ createdAt: -1 })
+    .lean();
+};
+
+/**
+ * List a user's accepted contacts
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} - Contacts ({ user, since })
+ */
+exports.listContacts = async (userId) => {
+  const contacts = await Contact.find({
+    $or: [{ requester: userId }, { recipient: userId }],
+    status: 'accepted',
+  })
+    .populate({ path: 'requester', select: USER_SUMMARY_FIELDS, match: { deletedAt: null } })
+    .populate({ path: 'recipient', select: USER_SUMMARY_FIELDS, match: { deletedAt: null } })
+    .sort({ acceptedAt: -1 })
+    .lean();
+
+  return contacts
+    .map((contact) => ({
+      user:
+        contact.requester && contact.requester._id.toString() === userId.toString()
+          ? contact.recipient
+          : contact.requester,
+      since: contact.acceptedAt,
+    }))
+    .filter((contact) => contact.user); // 已刪除的帳號不列出
+};
+
+/**
+ * Remove a contact
+ * @param {string} userId - User ID
+ * @param {string} contactId - ID of the contact user
+ */
+exports.removeContact = async (userId, contactId) => {
+  assertValidId(contactId);
+
+  const contact = await Contact.findOneAndDelete({
+    ...pairQuery(userId, contactId),
+    status: 'accepted',
+  });
+
+  if (!contact) {
+    throw new ErrorResponse(`Contact not found with id of ${contactId}`, 404);
+  }
+};
+
+/**
+ * Block a user
+ * 封鎖時一併移除聯絡人關係與未處理的邀請
+ * @param {string} userId - Blocker ID
+ * @param {string} targetId - ID of the user to block
+ */
+exports.blockUser = async (userId, targetId) => {
+  if (!targetId) {
+    throw new ErrorResponse('Please provide a user ID', 400);
+  }
+
+  assertValidId(targetId);
+
+  if (targetId.toString() === userId.toString()) {
+    throw new ErrorResponse('You cannot block yourself', 400);
+  }
+
+  const target = await User.exists({ _id: targetId });
+  if (!target) {
+    throw new ErrorResponse(`User not found with id of ${targetId}`, 404);
+  }
+
+  await Block.updateOne(
+    { blocker: userId, blocked: targetId },
+    { $setOnInsert: { blocker: userId, blocked: targetId } },
+    { upsert: true }
+  );
+  await Contact.deleteMany(pairQuery(userId, targetId));
+};
+
+/**
+ * Unblock a user
+ * @param {string} userId - Blocker ID
+ * @param {string} targetId - ID of the blocked user
+ */
+exports.unblockUser = async (userId, targetId) => {
+  const block = mongoose.Types.ObjectId.isValid(targetId)
+    ? await Block.findOneAndDelete({ blocker: userId, blocked: targetId })
+    : null;
+
+  if (!block) {
+    throw new ErrorResponse(`Blocked user not found with id of ${targetId}`, 404);
+  }
+};
+
+/**
+ * List users blocked by a user
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} - Blocks ({ user, blockedAt })
+ */
+exports.listBlocked = async (userId) => {
+  const blocks = await Block.find({ blocker: userId })
+    .populate({ path: 'blocked', select: USER_SUMMARY_FIELDS })
+    .sort({ createdAt: -1 })
+    .lean();
+
+  return blocks
+    .filter((block) => block.blocked)
+    .map((block) => ({ user: block.blocked, blockedAt: block.createdAt }));
+};
+
+/**
+ * Remove every contact and block involving a user (used when purging an account)
+ * @param {string} userId - User ID
+ */
+exports.removeUserRelations = async (userId) => {
+  await Promise.all([
+    Contact.deleteMany({ $or: [{ requester: userId }, { recipient: userId }] }),
+    Block.deleteMany({ $or: [{ blocker: userId }, { blocked: userId }] }),
+  ]);
+};
+
+exports.isBlockedBetween = isBlockedBetween;
+exports.areContacts = areContacts;
+exports.getAcceptedContactIds = getAcceptedContactIds;
+exports.getBlockedIds = getBlockedIds;
+exports.getBlockedByIds = getBlockedByIds;
+exports.assertCanMessage = assertCanMessage;
@@ -0,0 +1,415 @@
+/**
+ * Data Export Service
+ * 由背景工作將用戶擁有的所有資料打包成 ZIP (JSON 與 CSV，含上傳的實體檔案)，
+ * 完成後在 expireHours 小時內可下載，到期後壓縮檔會被刪除。
+ */
+
+const fs = require('fs');
+const path = require('path');
+const archiver = require('archiver');
+const DataExport = require('../models/DataExport');
+const User = require('../models/User');
+const Task = require('../models/Task');
+const File = require('../models/File');
+const Message = require('../models/Message');
+const Conversation = require('../models/Conversation');
+const Project = require('../models/Project');
+const LoginAttempt = require('../models/LoginAttempt');
+const ErrorResponse = require('../utils/errorResponse');
+const config = require('../config');
+const { listContacts, listBlocked } = require('./contactService');
+
+// 處理中的匯出超過此時間仍未完成，視為中斷並允許重新處理
+const PROCESSING_TIMEOUT = 60 * 60 * 1000;
+
+let exportTimer = null;
+
+/**
+ * Convert rows to CSV
+ * 以 = + - @ 開頭的值加上單引號，避免在試算表中被當成公式執行
+ * @param {Array<Object>} rows - Rows to convert
+ * @param {Array<string>} columns - Column names
+ * @returns {string} - CSV text
+ */
+const toCsv = (rows, columns) => {
+  const escape = (value) => {
+    if (value === undefined || value === null) return '';
+
+    let text;
+    if (value instanceof Date) {
+      text = value.toISOString();
+    } else if (Array.isArray(value)) {
+      text = value.join(';');
+    } else {
+      text = String(value);
+    }
+
+    if (/^[=+\-@]/.test(text)) {
+      text = `'${text}`;
+    }
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  return [
+    columns.join(','),
+    ...rows.map((row) => columns.map((column) => escape(row[column])).join(',')),
+  ].join('\r\n');
+};
+
+const toJson = (data) => JSON.stringify(data, null, 2);
+
+/**
+ * Collect the archive entries for a user
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - { entries: [{ name, content }], files: [{ source, name }] }
+ */
+const collectUserData = async (userId) => {
+  const [profile, tasks, conversations, files, loginHistory, contacts, blocked, projects] =
+    await Promise.all([
+      User.findById(userId)
+        .select(
+          '+identities name email role emailVerified displayName bio avatar locale timezone statusMessage discoverability messagePolicy twoFactorEnabled createdAt updatedAt'
+        )
+        .lean(),
+      Task.find({ user: userId }).sort({ createdAt: 1 }).lean(),
+      Conversation.find({ participants: userId }).populate('participants', 'name email').lean(),
+      File.find({ user: userId }).sort({ createdAt: 1 }).lean(),
+      LoginAttempt.find({ user: userId })
+        .select('outcome ip userAgent anomalies createdAt')
+        .sort({ createdAt: -1 })
+        .lean(),
+      listContacts(userId),
+      listBlocked(userId),
+      Project.find({ 'members.user': userId }).select('name description members createdAt').lean(),
+    ]);
+
+  if (!profile) {
+    throw new Error(`User not found with id of ${userId}`);
+  }
+
+  const messages = await Message.find({
+    conversation: { $in: conversations.map((conversation) => conversation._id) },
+  })
+    .populate('sender', 'name email')
+    .select('conversation sender content createdAt')
+    .sort({ createdAt: 1 })
+    .lean();
+
+  const messagesByConversation = new Map();
+  messages.forEach((message) => {
+    const key = message.conversation.toString();
+    if (!messagesByConversation.has(key)) {
+      messagesByConversation.set(key, []);
+    }
+    messagesByConversation.get(key).push(message);
+  });
+
+  const messageRows = messages.map((message) => ({
+    conversation: message.conversation,
+    sender: message.sender ? message.sender.email : '',
+    content: message.content,
+    createdAt: message.createdAt,
+  }));
+
+  // 實體檔案放在 files/ 目錄下，檔名加上 ID 避免重複
+  const archivedFiles = files
+    .filter((file) => fs.existsSync(path.resolve(file.filePath)))
+    .map((file) => ({
+      source: path.resolve(file.filePath),
+      name: `files/${file._id}-${path.basename(file.originalName)}`,
+    }));
+  const fileRows = files.map(({ filePath, ...file }) => file);
+
+  return {
+    entries: [
+      { name: 'profile.json', content: toJson(profile) },
+      { name: 'tasks.json', content: toJson(tasks) },
+      {
+        name: 'tasks.csv',
+        content: toCsv(tasks, [
+          '_id',
+          'title',
+          'description',
+          'status',
+          'priority',
+          'dueDate',
+          'parent',
+          'progress',
+          'createdAt',
+          'updatedAt',
+        ]),
+      },
+      {
+        name: 'conversations.json',
+        content: toJson(
+          conversations.map((conversation) => ({
+            _id: conversation._id,
+            participants: conversation.participants,
+            createdAt: conversation.createdAt,
+            messages: messagesByConversation.get(conversation._id.toString()) || [],
+          }))
+        ),
+      },
+      {
+        name: 'messages.csv',
+        content: toCsv(messageRows, ['conversation', 'sender', 'content', 'createdAt']),
+      },
+      { name: 'contacts.json', content: toJson({ contacts, blocked }) },
+      {
+        name: 'projects.json',
+        content: toJson(
+          projects.map(({ members, ...project }) => ({
+            ...project,
+            role: members.find((m) => m.user.toString() === userId.toString()).role,
+          }))
+        ),
+      },
+      { name: 'files.json', content: toJson(fileRows) },
+      {
+        name: 'files.csv',
+        content: toCsv(fileRows, [
+          '_id',
+          'name',
+          'originalName',
+          'fileType',
+          'fileSize',
+          'isPublic',
+          'createdAt',
+        ]),
+      },
+      { name: 'login-history.json', content: toJson(loginHistory) },
+      {
+        name: 'login-history.csv',
+        content: toCsv(loginHistory, ['createdAt', 'outcome', 'ip', 'userAgent', 'anomalies']),
+      },
+    ],
+    files: archivedFiles,
+  };
+};
+
+/**
+ * Write a ZIP archive
+ * @param {string} filePath - Destination path
+ * @param {Object} data - { entries, files } from collectUserData
+ * @returns {Promise<number>} - Archive size in bytes
+ */
+const writeArchive = (filePath, { entries, files }) =>
+  new Promise((resolve, reject) => {
+    const output = fs.createWriteStream(filePath);
+    const archive = archiver('zip', { zlib: { level: 9 } });
+
+    output.on('close', () => resolve(archive.pointer()));
+    output.on('error', reject);
+    archive.on('error', reject);
+
+    archive.pipe(output);
+    entries.forEach(({ name, content }) => archive.append(content, { name }));
+    files.forEach(({ source, name }) => archive.file(source, { name }));
+    archive.finalize();
+  });
+
+/**
+ * Remove the archive of an export from disk
+ * @param {Object} dataExport - Export with filePath selected
+ */
+const removeArchive = (dataExport) => {
+  if (!dataExport.filePath) return;
+
+  try {
+    if (fs.existsSync(dataExport.filePath)) {
+      fs.unlinkSync(dataExport.filePath);
+    }
+  } catch (err) {
+    console.error('刪除匯出檔案失敗:', err);
+  }
+};
+
+/**
+ * Build the archive for a claimed export
+ * @param {Object} dataExport - Export document
+ */
+const processExport = async (dataExport) => {
+  const dir = path.resolve(config.dataExport.dir);
+  const filePath = path.join(dir, `${dataExport._id}.zip`);
+
+  try {
+    await fs.promises.mkdir(dir, { recursive: true });
+
+    const data = await collectUserData(dataExport.user);
+    const fileSize = await writeArchive(filePath, data);
+    const completedAt = new Date();
+
+    await DataExport.updateOne(
+      { _id: dataExport._id },
+      {
+        status: 'completed',
+        filePath,
+        fileSize,
+        completedAt,
+        expiresAt: new Date(completedAt.getTime() + config.dataExport.expireHours * 60 * 60 * 1000),
+      }
+    );
+  } catch (err) {
+    console.error(`Data export ${dataExport._id} failed:`, err);
+    removeArchive({ filePath });
+    await DataExport.updateOne(
+      { _id: dataExport._id },
+      { status: 'failed', error: 'Export could not be generated' }
+    );
+  }
+};
+
+/**
+ * Request a data export for a user
+ * 已有進行中的匯出時直接回傳該匯出
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - Export document
+ */
+exports.requestExport = async (userId) => {
+  const active = await DataExport.findOne({
+    user: userId,
+    status: { $in: ['pending', 'processing'] },
+  }).lean();
+
+  if (active) {
+    return active;
+  }
+
+  const dataExport = await DataExport.create({ user: userId });
+
+  // 立即在背景開始處理，不等待定期工作
+  setImmediate(() => {
+    exports.processPendingExports().catch((err) => console.error('Data export job error:', err));
+  });
+
+  return dataExport.toObject();
+};
+
+/**
+ * Get an export of a user
+ * @param {string} userId - User ID
+ * @param {string} id - Export ID
+ * @returns {Promise<Object>} - Export document
+ */
+exports.getExport = async (userId, id) => {
+  const dataExport = await DataExport.findOne({ _id: id, user: userId }).lean();
+
+  if (!dataExport) {
+    throw new ErrorResponse(`Export not found with id of ${id}`, 404);
+  }
+
+  return dataExport;
+};
+
+/**
+ * Get a completed export for download
+ * 存取權限由呼叫端檢查
+ * @param {string} id - Export ID
+ * @returns {Promise<Object>} - Export document with filePath
+ */
+exports.getDownload = async (id) => {
+  const dataExport = await DataExport.findById(id).select('+filePath').lean();
+
+  if (!dataExport) {
+    throw new ErrorResponse(`Export not found with id of ${id}`, 404);
+  }
+
+  if (
+    dataExport.status === 'expired' ||
+    (dataExport.expiresAt && dataExport.expiresAt <= new Date())
+  ) {
+    throw new ErrorResponse('This export has expired, please request a new one', 410);
+  }
+
+  if (dataExport.status !== 'completed') {
+    throw new ErrorResponse('Export is not ready yet', 400);
+  }
+
+  return dataExport;
+};
+
+/**
+ * Process every pending export
+ * 以原子操作認領匯出，多個執行個體同時執行也不會重複處理
+ * @returns {Promise<number>} - Number of processed exports
+ */
+exports.processPendingExports = async () => {
+  let processed = 0;
+
+  for (;;) {
+    const now = new Date();
+    const dataExport = await DataExport.findOneAndUpdate(
+      {
+        $or: [
+          { status: 'pending' },
+          {
+            status: 'processing',
+            startedAt: { $lt: new Date(now.getTime() - PROCESSING_TIMEOUT) },
+          },
+        ],
+      },
+      { status: 'processing', startedAt: now },
+      { new: true, sort: { createdAt: 1 } }
+    ).lean();
+
+    if (!dataExport) {
+      return processed;
+    }
+
+    await processExport(dataExport);
+    processed += 1;
+  }
+};
+
+/**
+ * Delete archives whose download window has ended
+ * @returns {Promise<number>} - Number of expired exports
+ */
+exports.cleanupExpiredExports = async () => {
+  const expired = await DataExport.find({
+    status: 'completed',
+    expiresAt: { $lte: new Date() },
+  })
+    .select('+filePath')
+    .lean();
+
+  for (const dataExport of expired) {
+    removeArchive(dataExport);
+    await DataExport.updateOne(
+      { _id: dataExport._id },
+      { status: 'expired', $unset: { filePath: 1 } }
+    );
+  }
+
+  return expired.length;
+};
+
+/**
+ * Remove every export of a user, including archives on disk
+ * @param {string} userId - User ID
+ * @returns {Promise<void>}
+ */
+exports.removeUserExports = async (userId) => {
+  const exportsToRemove = await DataExport.find({ user: userId }).select('+filePath').lean();
+
+  exportsToRemove.forEach(removeArchive);
+  await DataExport.deleteMany({ user: userId });
+};
+
+/**
+ * Run the export job periodically
+ */
+exports.startExportJob = () => {
+  if (exportTimer) return;
+
+  const run = () =>
+    Promise.all([exports.processPendingExports(), exports.cleanupExpiredExports()]).catch((err) =>
+      console.error('Data export job error:', err)
+    );
+
+  exportTimer = setInterval(run, config.dataExport.jobIntervalMinutes * 60 * 1000);
+  // 不阻止程序結束
+  exportTimer.unref();
+  run();
+};
@@ -0,0 +1,184 @@
+/**
+ * Email Change Service
+ * 新的電子郵件需先由新信箱確認才會生效，生效後通知舊信箱並附上還原連結。
+ * 確認與還原都以條件式更新原子地套用，連結只能使用一次。
+ */
+
+const User = require('../models/User');
+const ErrorResponse = require('../utils/errorResponse');
+const config = require('../config');
+const tokenService = require('./tokenService');
+const auditService = require('./auditService');
+const { invalidateLogin } = require('./loginCacheService');
+const { clearUserCache } = require('./userService');
+
+/**
+ * Replace the email of a user if it still matches the expected state
+ * @param {Object} filter - Conditions the user must match
+ * @param {string} email - Email to apply
+ * @returns {Promise<Object|null>} - Updated user or null if the state changed
+ */
+const applyEmail = async (filter, email) => {
+  try {
+    return await User.findOneAndUpdate(
+      filter,
+      {
+        $set: { email, emailVerified: true, emailVerifiedAt: new Date() },
+        $unset: { pendingEmail: 1, pendingEmailRequestedAt: 1 },
+        // 登入快取以電子郵件為鍵，遞增憑證版本使新舊信箱的快取都失效
+        $inc: { credentialVersion: 1 },
+      },
+      { new: true, projection: 'name email credentialVersion' }
+    ).lean();
+  } catch (err) {
+    // 確認期間信箱被其他帳號註冊
+    if (err.code === 11000) {
+      throw new ErrorResponse('Email is already in use', 400);
+    }
+    throw err;
+  }
+};
+
+/**
+ * Clear cached auth entries for both the previous and the current email
+ * @param {Object} user - Updated user ({ _id, email, credentialVersion })
+ * @param {string} previousEmail - Email before the change
+ */
+const clearAuthCache = async (user, previousEmail) => {
+  await Promise.all([
+    invalidateLogin({ ...user, email: previousEmail }),
+    invalidateLogin(user),
+    clearUserCache(user._id),
+  ]);
+};
+
+/**
+ * Start an email change
+ * @param {string} userId - User ID
+ * @param {string} newEmail - Requested email
+ * @param {string} password - Current password
+ * @returns {Promise<Object>} - { user, newEmail, token } where token confirms the change
+ */
+exports.requestChange = async (userId, newEmail, password) => {
+  if (!newEmail || !password) {
+    throw new ErrorResponse('Please provide a new email and your current password', 400);
+  }
+
+  const user = await User.findById(userId).select('+password name email');
+
+  if (!user) {
+    throw new ErrorResponse(`User not found with id of ${userId}`, 404);
+  }
+
+  if (!(await user.matchPassword(password))) {
+    throw new ErrorResponse('Password is incorrect', 401);
+  }
+
+  const email = String(newEmail).trim();
+
+  if (email === user.email) {
+    throw new ErrorResponse('New email must be different from the current email', 400);
+  }
+
+  // 驗證格式，錯誤會以 ValidationError 回傳 400
+  user.pendingEmail = email;
+  await user.validate(['pendingEmail']);
+
+  if (await User.exists({ email })) {
+    throw new ErrorResponse('Email is already in use', 400);
+  }
+
+  // 重新申請會覆蓋先前的待確認信箱，舊的確認連結隨之失效
+  await User.updateOne(
+    { _id: user._id },
+    { pendingEmail: email, pendingEmailRequestedAt: new Date() }
+  );
+
+  const token = tokenService.signPurposeToken(
+    { id: user._id, email, from: user.email },
+    'email-change',
+    config.emailChange.confirmExpire
+  );
+
+  return { user: { _id: user._id, name: user.name, email: user.email }, newEmail: email, token };
+};
+
+/**
+ * Apply a confirmed email change
+ * @param {string} token - Confirmation token sent to the new email
+ * @param {Object} meta - Client metadata ({ ip, userAgent })
+ * @returns {Promise<Object>} - { user, previousEmail, revertToken }
+ */
+exports.confirmChange = async (token, meta = {}) => {
+  const decoded = tokenService.verifyPurposeToken(token, 'email-change');
+
+  if (!decoded) {
+    throw new ErrorResponse('Invalid or expired confirmation link', 400);
+  }
+
+  // 只在信箱與待確認信箱都未變動時套用
+  const user = await applyEmail(
+    { _id: decoded.id, email: decoded.from, pendingEmail: decoded.email },
+    decoded.email
+  );
+
+  if (!user) {
+    throw new ErrorResponse('Invalid or expired confirmation link', 400);
+  }
+
+  await clearAuthCache(user, decoded.from);
+
+  await auditService.record(
+    {
+      action: 'user.email.change',
+      actor: user._id,
+      target: user._id,
+      metadata: { from: decoded.from, to: user.email },
+    },
+    meta
+  );
+
+  const revertToken = tokenService.signPurposeToken(
+    { id: user._id, email: decoded.from, to: user.email },
+    'email-revert',
+    config.emailChange.revertExpire
+  );
+
+  return { user, previousEmail: decoded.from, revertToken };
+};
+
+/**
+ * Revert an email change from the link sent to the previous email
+ * 還原代表變更可能不是本人操作，所有裝置都會被登出
+ * @param {string} token - Revert token sent to the previous email
+ * @param {Object} meta - Client metadata ({ ip, userAgent })
+ * @returns {Promise<Object>} - Updated user
+ */
+exports.revertChange = async (token, meta = {}) => {
+  const decoded = tokenService.verifyPurposeToken(token, 'email-revert');
+
+  if (!decoded) {
+    throw new ErrorResponse('Invalid or expired revert link', 400);
+  }
+
+  const user = await applyEmail({ _id: decoded.id, email: decoded.to }, decoded.email);
+
+  if (!user) {
+    throw new ErrorResponse('Invalid or expired revert link', 400);
+  }
+
+  await clearAuthCache(user, decoded.to);
+  await tokenService.revokeAllTokens(user._id, 'email-revert');
+
+  await auditService.record(
+    {
+      action: 'user.email.revert',
+      actor: user._id,
+      target: user._id,
+      metadata: { from: decoded.to, to: user.email },
+    },
+    meta
+  );
+
+  return user;
+};
@@ -0,0 +1,80 @@
+/**
+ * Login Cache Service
+ * 登入快取只保存查詢用的非機密資料，不保存密碼雜湊；密碼雜湊每次都從數據庫讀取並以 bcrypt 驗證。
+ * 快取項目帶有用戶的憑證版本 (credentialVersion)，密碼變更後版本遞增，
+ * 舊的快取項目會立即失效，不會再接受舊密碼。
+ */
+
+const { getCache, setCache, deleteCache } = require('../utils/cacheUtils');
+
+// 憑證版本快取時間（秒），應不短於登入快取時間
+const CREDENTIAL_VERSION_TTL = 24 * 60 * 60;
+
+// 電子郵件以小寫保存，快取鍵使用正規化後的信箱，讓登入時輸入的大小寫不同也能命中
+const loginKey = (email) => `auth:login:${String(email).trim().toLowerCase()}`;
+const credentialVersionKey = (userId) => `auth:credentialVersion:${userId}`;
+
+/**
+ * Get cached login data for an email if it is still valid
+ * @param {string} email - Login email
+ * @returns {Promise<Object|null>} - { user, credentialVersion } or null on miss
+ */
+exports.getCachedLogin = async (email) => {
+  const entry = await getCache(loginKey(email));
+
+  if (!entry || !entry.user) {
+    return null;
+  }
+
+  // 憑證版本不存在或不一致時一律視為未命中，改由數據庫驗證
+  const currentVersion = await getCache(credentialVersionKey(entry.user._id));
+
+  if (currentVersion === null || currentVersion !== entry.credentialVersion) {
+    await deleteCache(loginKey(email));
+    return null;
+  }
+
+  return entry;
+};
+
+/**
+ * Cache login data for a user
+ * @param {Object} user - User data without password
+ * @param {number} credentialVersion - Current credential version
+ * @param {number} ttl - Cache lifetime in seconds
+ * @returns {Promise<void>}
+ */
+exports.cacheLogin = async (user, credentialVersion, ttl) => {
+  // 若快取中已有較新的憑證版本，代表查詢期間密碼已變更，不寫入過期資料
+  const currentVersion = await getCache(credentialVersionKey(user._id));
+
+  if (currentVersion !== null && currentVersion > credentialVersion) {
+    return;
+  }
+
+  await Promise.all([
+    setCache(credentialVersionKey(user._id), credentialVersion, CREDENTIAL_VERSION_TTL),
+    setCache(loginKey(user.email), { user, credentialVersion }, ttl),
+  ]);
+};
+
+/**
+ * Invalidate cached login data after a credential change
+ * @param {Object} user - User document with _id, email and credentialVersion
+ * @returns {Promise<void>}
+ */
+exports.invalidateLogin = async (user) => {
+  const tasks = [deleteCache(loginKey(user.email))];
+
+  if (user.credentialVersion !== undefined) {
+    tasks.push(
+      setCache(credentialVersionKey(user._id), user.credentialVersion, CREDENTIAL_VERSION_TTL)
+    );
+  } else {
+    tasks.push(deleteCache(credentialVersionKey(user._id)));
+  }
+
+  await Promise.all(tasks);
+};
+
+exports.loginKey = loginKey;
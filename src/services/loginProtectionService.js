@@ -0,0 +1,158 @@
+/**
+ * Login Protection Service
+ * 以帳號（電子郵件）為單位累計登入失敗次數，不受攻擊者更換 IP 影響。
+ * 失敗次數達到門檻後逐次加倍等待時間，達到上限後暫時鎖定帳號；
+ * 同時記錄每次登入嘗試，供用戶查詢登入記錄。
+ */
+
+const config = require('../config');
+const LoginAttempt = require('../models/LoginAttempt');
+const { getCache, setCache, deleteCache, incrementCache } = require('../utils/cacheUtils');
+
+const normalizeEmail = (email) => String(email).trim().toLowerCase();
+const failureKey = (email) => `auth:loginFailures:${normalizeEmail(email)}`;
+const lockoutKey = (email) => `auth:loginLockout:${normalizeEmail(email)}`;
+
+/**
+ * Get the remaining lockout time for an account
+ * @param {string} email - Login email
+ * @returns {Promise<number>} - Seconds until the next attempt is allowed, 0 if not locked
+ */
+exports.getLockout = async (email) => {
+  const lockedUntil = await getCache(lockoutKey(email));
+
+  if (!lockedUntil) {
+    return 0;
+  }
+
+  return Math.max(0, Math.ceil((lockedUntil - Date.now()) / 1000));
+};
+
+/**
+ * Register a failed login attempt and apply backoff or lockout
+ * @param {string} email - Login email
+ * @returns {Promise<number>} - Seconds the account must wait before the next attempt
+ */
+exports.registerFailure = async (email) => {
+  const {
+    backoffThreshold,
+    maxAttempts,
+    baseDelaySeconds,
+    maxDelaySeconds,
+    windowMinutes,
+    lockoutMinutes,
+  } = config.loginLockout;
+
+  const failures = await incrementCache(failureKey(email), windowMinutes * 60);
+
+  if (!failures || failures < backoffThreshold) {
+    return 0;
+  }
+
+  // 達到上限後鎖定，否則依失敗次數加倍等待時間
+  const delay =
+    failures >= maxAttempts
+      ? lockoutMinutes * 60
+      : Math.min(baseDelaySeconds * 2 ** (failures - backoffThreshold), maxDelaySeconds);
+
+  await setCache(lockoutKey(email), Date.now() + delay * 1000, delay);
+
+  return delay;
+};
+
+/**
+ * Reset the failure counter after a successful login
+ * @param {string} email - Login email
+ * @returns {Promise<void>}
+ */
+exports.clearFailures = async (email) => {
+  await Promise.all([deleteCache(failureKey(email)), deleteCache(lockoutKey(email))]);
+};
+
+/**
+ * Detect unusual properties of a successful login
+ * 只與先前成功的登入比較，第一次登入不視為異常
+ * @param {string} userId - User ID
+ * @param {Object} meta - Client metadata ({ ip, userAgent })
+ * @returns {Promise<Array<string>>} - Anomaly flags
+ */
+const detectAnomalies = async (userId, meta) => {
+  const hasHistory = await LoginAttempt.exists({ user: userId, outcome: 'success' });
+
+  if (!hasHistory) {
+    return [];
+  }
+
+  const [knownIp, knownUserAgent] = await Promise.all([
+    LoginAttempt.exists({ user: userId, outcome: 'success', ip: meta.ip }),
+    LoginAttempt.exists({ user: userId, outcome: 'success', userAgent: meta.userAgent }),
+  ]);
+
+  const anomalies = [];
+  if (!knownIp) anomalies.push('new-ip');
+  if (!knownUserAgent) anomalies.push('new-user-agent');
+
+  return anomalies;
+};
+
+/**
+ * Record a login attempt
+ * 記錄失敗不應影響登入流程，錯誤只寫入日誌
+ * @param {Object} attempt - Attempt details
+ * @param {string} attempt.email - Login email
+ * @param {string} attempt.user - User ID, if the account exists
+ * @param {string} attempt.outcome - success | failure | locked | 2fa-required | 2fa-failure
+ * @param {Object} meta - Client metadata ({ ip, userAgent })
+ * @returns {Promise<LoginAttempt|null>} - Created record
+ */
+exports.recordAttempt = async ({ email, user = null, outcome }, meta = {}) => {
+  try {
+    const anomalies = user && outcome === 'success' ? await detectAnomalies(user, meta) : undefined;
+
+    return await LoginAttempt.create({
+      user,
+      email: normalizeEmail(email),
+      outcome,
+      ip: meta.ip,
+      userAgent: meta.userAgent,
+      anomalies: anomalies && anomalies.length > 0 ? anomalies : undefined,
+    });
+  } catch (error) {
+    console.error('Login attempt record error:', error);
+    return null;
+  }
+};
+
+/**
+ * Get the login history of a user
+ * @param {string} userId - User ID
+ * @param {Object} options - { page, limit }
+ * @returns {Promise<Object>} - Attempts and pagination data
+ */
+exports.getLoginHistory = async (userId, { page = 1, limit = 20 } = {}) => {
+  const conditions = { user: userId };
+
+  const [total, attempts] = await Promise.all([
+    LoginAttempt.countDocuments(conditions),
+    LoginAttempt.find(conditions)
+      .select('outcome ip userAgent anomalies createdAt')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+  ]);
+
+  const totalPages = Math.ceil(total / limit);
+
+  return {
+    attempts,
+    pagination: {
+      total,
+      page,
+      limit,
+      totalPages,
+      hasNextPage: page < totalPages,
+      hasPrevPage: page > 1,
+    },
+  };
+};
@@ -0,0 +1,88 @@
+/**
+ * Mail Service
+ * 透過可替換的傳輸層寄送郵件，開發環境預設輸出到主控台或寫入本機檔案
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+
+// 已註冊的傳輸層，每個傳輸層都是接收郵件物件的 async 函數
+const transports = new Map();
+
+/**
+ * Console transport - prints the message to stdout
+ * @param {Object} message - Mail message
+ */
+transports.set('console', async (message) => {
+  console.log('---- Outgoing mail ----');
+  console.log(`From: ${message.from}`);
+  console.log(`To: ${message.to}`);
+  console.log(`Subject: ${message.subject}`);
+  console.log('');
+  console.log(message.text);
+  console.log('-----------------------');
+});
+
+/**
+ * File transport - writes each message as a JSON file
+ * @param {Object} message - Mail message
+ */
+transports.set('file', async (message) => {
+  const dir = path.resolve(config.mail.fileDir);
+  await fs.promises.mkdir(dir, { recursive: true });
+
+  const fileName = `${Date.now()}-${message.to.replace(/[^\w.@-]/g, '_')}.json`;
+  await fs.promises.writeFile(path.join(dir, fileName), JSON.stringify(message, null, 2));
+});
+
+// memory 傳輸層收到的郵件，供本機測試讀取
+const sentMail = [];
+
+/**
+ * Memory transport - keeps messages in process memory (stub for local testing)
+ * @param {Object} message - Mail message
+ */
+transports.set('memory', async (message) => {
+  sentMail.push({ ...message, sentAt: new Date() });
+});
+
+/**
+ * Get messages delivered through the memory transport
+ * @returns {Array<Object>} - Sent messages, oldest first
+ */
+exports.getSentMail = () => sentMail.slice();
+
+/**
+ * Clear messages delivered through the memory transport
+ */
+exports.clearSentMail = () => {
+  sentMail.length = 0;
+};
+
+/**
+ * Register a custom transport
+ * @param {string} name - Transport name, selected through MAIL_TRANSPORT
+ * @param {Function} transport - async (message) => void
+ */
+exports.registerTransport = (name, transport) => {
+  transports.set(name, transport);
+};
+
+/**
+ * Send an email through the configured transport
+ * @param {Object} options - Mail options
+ * @param {string} options.to - Recipient address
+ * @param {string} options.subject - Subject line
+ * @param {string} options.text - Plain text body
+ * @returns {Promise<void>}
+ */
+exports.sendMail = async ({ to, subject, text }) => {
+  const transport = transports.get(config.mail.transport);
+
+  if (!transport) {
+    throw new Error(`Mail transport "${config.mail.transport}" is not registered`);
+  }
+
+  await transport({ from: config.mail.from, to, subject, text });
+};
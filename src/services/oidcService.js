@@ -0,0 +1,299 @@
+/**
+ * OpenID Connect Service
+ * 實作 authorization code flow (PKCE)，驗證 state、nonce 與 ID token 簽章，
+ * 並將外部身分連結到既有帳號。提供者可透過 registerProvider 擴充。
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const config = require('../config');
+const User = require('../models/User');
+const ErrorResponse = require('../utils/errorResponse');
+const { getCache, setCache, deleteCache, withCache } = require('../utils/cacheUtils');
+
+// Discovery 文件與 JWKS 的快取時間（秒）
+const METADATA_CACHE_TTL = 3600;
+
+// 接受的 ID token 簽章演算法
+const ID_TOKEN_ALGORITHMS = ['RS256', 'ES256'];
+
+// 已註冊的提供者
+const providers = new Map();
+
+const stateKey = (state) => `auth:oidc:state:${state}`;
+
+const normalizeIssuer = (issuer) => issuer.replace(/\/$/, '');
+
+const base64url = (buffer) => buffer.toString('base64url');
+
+/**
+ * Register an OIDC provider
+ * @param {string} name - Provider name used in the URL, e.g. 'google'
+ * @param {Object} options - { issuer, clientId, clientSecret, scope }
+ */
+exports.registerProvider = (name, options) => {
+  providers.set(name, { scope: 'openid email profile', ...options, name });
+};
+
+// 依設定註冊內建提供者
+Object.entries(config.oidc.providers).forEach(([name, options]) => {
+  if (options.issuer && options.clientId) {
+    exports.registerProvider(name, options);
+  }
+});
+
+/**
+ * List the names of the registered providers
+ * @returns {Array<string>} - Provider names
+ */
+exports.getProviderNames = () => Array.from(providers.keys());
+
+/**
+ * Get a registered provider
+ * @param {string} name - Provider name
+ * @returns {Object} - Provider options
+ */
+const getProvider = (name) => {
+  const provider = providers.get(name);
+
+  if (!provider) {
+    throw new ErrorResponse(`Login provider ${name} is not available`, 404);
+  }
+
+  return provider;
+};
+
+/**
+ * Fetch the discovery document of a provider
+ * @param {Object} provider - Provider options
+ * @returns {Promise<Object>} - OpenID provider metadata
+ */
+const getDiscovery = async (provider) => {
+  const issuer = normalizeIssuer(provider.issuer);
+
+  return withCache(
+    `auth:oidc:discovery:${issuer}`,
+    async () => {
+      const { data } = await axios.get(`${issuer}/.well-known/openid-configuration`);
+      return data;
+    },
+    METADATA_CACHE_TTL
+  );
+};
+
+/**
+ * Find the signing key for an ID token
+ * 找不到 kid 時重新下載一次 JWKS，以支援提供者輪換金鑰
+ * @param {string} jwksUri - JWKS endpoint
+ * @param {string} kid - Key ID from the token header
+ * @returns {Promise<crypto.KeyObject>} - Public key
+ */
+const getSigningKey = async (jwksUri, kid) => {
+  const cacheKey = `auth:oidc:jwks:${jwksUri}`;
+  let jwks = await getCache(cacheKey);
+  let jwk = jwks && jwks.keys.find((key) => key.kid === kid);
+
+  if (!jwk) {
+    const { data } = await axios.get(jwksUri);
+    jwks = data;
+    await setCache(cacheKey, jwks, METADATA_CACHE_TTL);
+    jwk = jwks.keys.find((key) => key.kid === kid);
+  }
+
+  if (!jwk) {
+    throw new ErrorResponse('Unable to verify identity token', 401);
+  }
+
+  return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+/**
+ * Build the redirect URI registered with the provider
+ * 未設定 OIDC_REDIRECT_BASE_URL 時使用設定的對外網址，不使用可被偽造的 Host 標頭
+ * @param {string} providerName - Provider name
+ * @returns {string} - Redirect URI
+ */
+exports.getRedirectUri = (providerName) => {
+  const baseUrl = config.oidc.redirectBaseUrl || `${config.appUrl}/api/auth/oidc`;
+  return `${baseUrl.replace(/\/$/, '')}/${providerName}/callback`;
+};
+
+/**
+ * Start an authorization request
+ * state、nonce 與 PKCE code verifier 只保存在伺服器端，且只能使用一次
+ * @param {string} providerName - Provider name
+ * @param {string} redirectUri - Redirect URI
+ * @returns {Promise<string>} - Authorization URL to redirect the user to
+ */
+exports.createAuthorizationUrl = async (providerName, redirectUri) => {
+  const provider = getProvider(providerName);
+  const discovery = await getDiscovery(provider);
+
+  const state = base64url(crypto.randomBytes(32));
+  const nonce = base64url(crypto.randomBytes(32));
+  const codeVerifier = base64url(crypto.randomBytes(32));
+  const codeChallenge = base64url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+  await setCache(
+    stateKey(state),
+    { provider: providerName, nonce, codeVerifier, redirectUri },
+    config.oidc.stateExpireSeconds
+  );
+
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: provider.clientId,
+    redirect_uri: redirectUri,
+    scope: provider.scope,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: 'S256',
+  });
+
+  return `${discovery.authorization_endpoint}?${params.toString()}`;
+};
+
+/**
+ * Verify an ID token signature and claims
+ * @param {string} idToken - ID token from the token endpoint
+ * @param {Object} provider - Provider options
+ * @param {Object} discovery - Provider metadata
+ * @param {string} nonce - Expected nonce
+ * @returns {Promise<Object>} - Verified claims
+ */
+const verifyIdToken = async (idToken, provider, discovery, nonce) => {
+  const decoded = jwt.decode(idToken, { complete: true });
+
+  if (!decoded || !ID_TOKEN_ALGORITHMS.includes(decoded.header.alg)) {
+    throw new ErrorResponse('Invalid identity token', 401);
+  }
+
+  // iss 固定為設定的提供者 issuer，不信任 discovery 文件回傳的值
+  const issuer = normalizeIssuer(provider.issuer);
+
+  if (normalizeIssuer(discovery.issuer || '') !== issuer) {
+    throw new ErrorResponse('Invalid identity token', 401);
+  }
+
+  const key = await getSigningKey(discovery.jwks_uri, decoded.header.kid);
+
+  let claims;
+  try {
+    claims = jwt.verify(idToken, key, {
+      algorithms: ID_TOKEN_ALGORITHMS,
+      issuer: [issuer, `${issuer}/`],
+      audience: provider.clientId,
+    });
+  } catch (error) {
+    throw new ErrorResponse('Invalid identity token', 401);
+  }
+
+  if (claims.nonce !== nonce) {
+    throw new ErrorResponse('Invalid identity token', 401);
+  }
+
+  return claims;
+};
+
+/**
+ * Complete an authorization request
+ * @param {string} providerName - Provider name
+ * @param {Object} params - Callback query ({ code, state })
+ * @returns {Promise<Object>} - Verified ID token claims
+ */
+exports.handleCallback = async (providerName, { code, state }) => {
+  const provider = getProvider(providerName);
+
+  if (!code || !state) {
+    throw new ErrorResponse('Missing authorization code or state', 400);
+  }
+
+  // state 只能使用一次，取出後立即刪除
+  const pending = await getCache(stateKey(state));
+  await deleteCache(stateKey(state));
+
+  if (!pending || pending.provider !== providerName) {
+    throw new ErrorResponse('Invalid or expired login state', 400);
+  }
+
+  const discovery = await getDiscovery(provider);
+
+  let tokenResponse;
+  try {
+    const { data } = await axios.post(
+      discovery.token_endpoint,
+      new URLSearchParams({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: pending.redirectUri,
+        client_id: provider.clientId,
+        client_secret: provider.clientSecret || '',
+        code_verifier: pending.codeVerifier,
+      }).toString(),
+      { headers: { 'Content-Type': 'application/x-www-form-urlencoded' } }
+    );
+    tokenResponse = data;
+  } catch (error) {
+    throw new ErrorResponse('Authorization code exchange failed', 401);
+  }
+
+  if (!tokenResponse.id_token) {
+    throw new ErrorResponse('Identity token missing from provider response', 401);
+  }
+
+  return verifyIdToken(tokenResponse.id_token, provider, discovery, pending.nonce);
+};
+
+/**
+ * Find the user for an external identity, linking or creating an account when needed
+ * 只依提供者已驗證的電子郵件連結既有帳號；本機尚未驗證電子郵件的帳號不自動連結，
+ * 避免他人預先以該電子郵件註冊後取得外部登入的帳號
+ * @param {string} providerName - Provider name
+ * @param {Object} claims - Verified ID token claims
+ * @returns {Promise<User>} - User document
+ */
+exports.findOrLinkUser = async (providerName, claims) => {
+  const identity = { provider: providerName, subject: claims.sub };
+
+  const linked = await User.findOne({
+    identities: { $elemMatch: identity },
+  });
+
+  if (linked) {
+    return linked;
+  }
+
+  if (!claims.email || claims.email_verified !== true) {
+    throw new ErrorResponse('A verified email address is required to sign in', 400);
+  }
+
+  const email = claims.email.toLowerCase();
+  const existing = await User.findOne({ email }).select('+identities');
+
+  if (existing) {
+    if (!existing.emailVerified) {
+      throw new ErrorResponse(
+        'An account with this email already exists, please log in with your password and verify your email first',
+        409
+      );
+    }
+
+    existing.identities.push({ ...identity, email });
+    await existing.save({ validateBeforeSave: false });
+    await deleteCache(`user:${existing._id}:profile`);
+
+    return existing;
+  }
+
+  // 外部登入建立的帳號使用無法猜測的隨機密碼，之後可透過重設密碼設定
+  return User.create({
+    name: (claims.name || email.split('@')[0]).slice(0, 50),
+    email,
+    password: crypto.randomBytes(32).toString('hex'),
+    emailVerified: true,
+    emailVerifiedAt: Date.now(),
+    identities: [{ ...identity, email }],
+  });
+};
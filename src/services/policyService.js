@@ -0,0 +1,102 @@
+/**
+ * Policy Service
+ * 所有權限判斷的單一入口：資源擁有者可操作自己的資源，其他人需具備 <action>.any 權限。
+ * 專案內的資源則依成員角色 (viewer < editor < owner) 判斷。
+ */
+
+const ErrorResponse = require('../utils/errorResponse');
+const { PERMISSIONS, ROLE_PERMISSIONS, PROJECT_ROLES } = require('../config/permissions');
+
+// 將權限清單轉為 Set，加快查詢
+const rolePermissions = new Map(
+  Object.entries(ROLE_PERMISSIONS).map(([role, permissions]) => [role, new Set(permissions)])
+);
+
+/**
+ * Check whether a role holds a permission
+ * @param {string} role - User role
+ * @param {string} permission - Permission name, e.g. 'task.update.any'
+ * @returns {boolean}
+ */
+const hasPermission = (role, permission) => {
+  if (!PERMISSIONS.includes(permission)) {
+    throw new Error(`Unknown permission ${permission}`);
+  }
+
+  const permissions = rolePermissions.get(role);
+  return Boolean(permissions && permissions.has(permission));
+};
+
+/**
+ * Get all permissions of a role
+ * @param {string} role - User role
+ * @returns {Array<string>}
+ */
+const getPermissions = (role) => Array.from(rolePermissions.get(role) || []);
+
+/**
+ * Check whether a user may perform an action on a resource
+ * @param {Object} user - Acting user ({ id, role })
+ * @param {string} action - Action without scope, e.g. 'task.update'
+ * @param {string|Object} ownerId - Owner of the resource
+ * @returns {boolean}
+ */
+const can = (user, action, ownerId) => {
+  if (!user) {
+    return false;
+  }
+
+  if (ownerId && ownerId.toString() === user.id) {
+    return true;
+  }
+
+  return hasPermission(user.role, `${action}.any`);
+};
+
+/**
+ * Throw unless a user may perform an action on a resource
+ * @param {Object} user - Acting user ({ id, role })
+ * @param {string} action - Action without scope, e.g. 'task.update'
+ * @param {string|Object} ownerId - Owner of the resource
+ * @param {string} message - Error message
+ */
+const authorizeAction = (user, action, ownerId, message) => {
+  if (!can(user, action, ownerId)) {
+    throw new ErrorResponse(message, 401);
+  }
+};
+
+/**
+ * Check whether a project role is at least the required role
+ * @param {string|null} role - Member role, null for non-members
+ * @param {string} minRole - Required role, e.g. 'editor'
+ * @returns {boolean}
+ */
+const hasProjectRole = (role, minRole) => {
+  if (!PROJECT_ROLES.includes(minRole)) {
+    throw new Error(`Unknown project role ${minRole}`);
+  }
+
+  return Boolean(role) && PROJECT_ROLES.indexOf(role) >= PROJECT_ROLES.indexOf(minRole);
+};
+
+/**
+ * Throw unless a project member holds at least the required role
+ * @param {string|null} role - Member role, null for non-members
+ * @param {string} minRole - Required role
+ * @param {string} message - Error message
+ */
+const authorizeProjectRole = (role, minRole, message) => {
+  if (!hasProjectRole(role, minRole)) {
+    throw new ErrorResponse(message, 401);
+  }
+};
+
+module.exports = {
+  hasPermission,
+  getPermissions,
+  can,
+  authorizeAction,
+  hasProjectRole,
+  authorizeProjectRole,
+};
@@ -0,0 +1,545 @@
+/**
+ * Project Service
+ * 專案 (工作區) 用來將任務分組，成員依角色取得權限：viewer 可檢視，editor 可新增與修改任務，owner 可管理專案與成員。
+ * 新成員透過邀請加入，受邀者接受後才成為成員。
+ */
+
+const mongoose = require('mongoose');
+const Project = require('../models/Project');
+const ProjectInvitation = require('../models/ProjectInvitation');
+const Task = require('../models/Task');
+const User = require('../models/User');
+const ErrorResponse = require('../utils/errorResponse');
+const config = require('../config');
+const { clearCachePattern } = require('../utils/cacheUtils');
+const { USER_SUMMARY_FIELDS } = require('../utils/chatUtils');
+const { PROJECT_ROLES } = require('../config/permissions');
+const { notifyUser } = require('./socketService');
+const policyService = require('./policyService');
+const taskService = require('./taskService');
+
+// 可以透過邀請或變更角色指派的角色
+const INVITABLE_ROLES = PROJECT_ROLES.filter((role) => role !== 'owner');
+
+// 可以透過 API 修改的專案欄位
+const PROJECT_FIELDS = ['name', 'description'];
+
+const MEMBER_POPULATE = { path: 'members.user', select: USER_SUMMARY_FIELDS };
+
+/**
+ * Load a project or throw 404
+ * @param {string} id - Project ID
+ * @returns {Promise<Project>} - Project document
+ */
+const loadProject = async (id) => {
+  const project = mongoose.Types.ObjectId.isValid(id) ? await Project.findById(id) : null;
+
+  if (!project) {
+    throw new ErrorResponse(`Project not found with id of ${id}`, 404);
+  }
+
+  return project;
+};
+
+/**
+ * Load a project and make sure the user holds at least the given role
+ * 非成員與 viewer 以外的存取一律回傳相同錯誤，避免洩漏專案是否存在
+ * @param {string} id - Project ID
+ * @param {string} userId - User ID
+ * @param {string} minRole - Required role
+ * @param {string} message - Error message when the role is too low
+ * @returns {Promise<Project>} - Project document
+ */
+const loadProjectForRole = async (id, userId, minRole, message) => {
+  const project = await loadProject(id);
+  const role = project.getMemberRole(userId);
+
+  if (!role) {
+    throw new ErrorResponse(`Project not found with id of ${id}`, 404);
+  }
+
+  policyService.authorizeProjectRole(role, minRole, message);
+
+  return project;
+};
+
+const countOwners = (project) => project.members.filter((m) => m.role === 'owner').length;
+
+/**
+ * Keep project.owner pointing at a member with the owner role
+ * 原本的 owner 被降級或移除時，改由資歷最久的其他 owner 擔任
+ * @param {Object} project - Project document
+ */
+const syncOwner = (project) => {
+  const owners = project.members.filter((m) => m.role === 'owner');
+
+  if (owners.length > 0 && !owners.some((m) => m.user.toString() === String(project.owner))) {
+    project.owner = owners[0].user;
+  }
+};
+
+/**
+ * Notify every member of a project except the actor
+ * @param {Object} project - Project with members
+ * @param {string} event - Socket event name
+ * @param {Object} payload - Event payload
+ * @param {string} actorId - User who made the change
+ */
+const notifyMembers = (project, event, payload, actorId) => {
+  project.members
+    .map((m) => (m.user._id || m.user).toString())
+    .filter((memberId) => memberId !== String(actorId))
+    .forEach((memberId) => notifyUser(memberId, event, payload));
+};
+
+/**
+ * Get the users whose task lists include tasks of a project
+ * @param {string} projectId - Project ID
+ * @returns {Promise<Array>} - Creator, assignee and watcher IDs
+ */
+const getProjectTaskUsers = async (projectId) => {
+  const tasks = await Task.find({ project: projectId }).select('user assignees watchers').lean();
+
+  return tasks.flatMap((task) => [task.user, ...(task.assignees || []), ...(task.watchers || [])]);
+};
+
+/**
+ * Clear every cached task list affected by the tasks of a project
+ * 任務移出專案時，需在寫入前以 getProjectTaskUsers 取得相關用戶，寫入後再清除
+ * @param {string} projectId - Project ID
+ * @param {Array} [userIds] - Affected users, looked up from the project's tasks when omitted
+ */
+const clearProjectTaskCaches = async (projectId, userIds) => {
+  await taskService.clearTaskListCaches(userIds || (await getProjectTaskUsers(projectId)), [
+    projectId,
+  ]);
+  await clearCachePattern('task:*');
+};
+
+/**
+ * Pick the fields of a project that may be set through the API
+ * @param {Object} data - Request body
+ * @returns {Object} - Allowed fields
+ */
+const pickProjectFields = (data = {}) =>
+  PROJECT_FIELDS.reduce((fields, field) => {
+    if (data[field] !== undefined) fields[field] = data[field];
+    return fields;
+  }, {});
+
+/**
+ * Get the projects a user is a member of
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} - Projects with the user's role
+ */
+exports.getProjects = async (userId) => {
+  const projects = await Project.find({ 'members.user': userId }).sort({ updatedAt: -1 });
+
+  return projects.map((project) => ({
+    ...project.toObject(),
+    role: project.getMemberRole(userId),
+  }));
+};
+
+/**
+ * Get a single project
+ * @param {string} id - Project ID
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - Project with populated members and the user's role
+ */
+exports.getProject = async (id, userId) => {
+  const project = await loadProjectForRole(id, userId, 'viewer');
+  await project.populate(MEMBER_POPULATE);
+
+  return { ...project.toObject(), role: project.getMemberRole(userId) };
+};
+
+/**
+ * Create a project, the creator becomes its owner
+ * @param {Object} data - { name, description }
+ * @param {string} userId - User ID
+ * @returns {Promise<Project>} - Created project
+ */
+exports.createProject = async (data, userId) => {
+  return Project.create({
+    ...pickProjectFields(data),
+    owner: userId,
+    members: [{ user: userId, role: 'owner' }],
+  });
+};
+
+/**
+ * Update the name or description of a project
+ * @param {string} id - Project ID
+ * @param {Object} data - { name, description }
+ * @param {string} userId - User ID
+ * @returns {Promise<Project>} - Updated project
+ */
+exports.updateProject = async (id, data, userId) => {
+  const project = await loadProjectForRole(id, userId, 'owner', 'Only owners can update a project');
+
+  project.set(pickProjectFields(data));
+  await project.save();
+
+  notifyMembers(project, 'project:updated', { projectId: project._id, name: project.name }, userId);
+
+  return project;
+};
+
+/**
+ * Delete a project
+ * 專案中的任務保留為建立者的個人任務
+ * @param {string} id - Project ID
+ * @param {string} userId - User ID
+ */
+exports.deleteProject = async (id, userId) => {
+  const project = await loadProjectForRole(id, userId, 'owner', 'Only owners can delete a project');
+
+  const taskUserIds = await getProjectTaskUsers(project._id);
+
+  await Promise.all([
+    Task.updateMany({ project: project._id }, { $unset: { project: 1 } }),
+    ProjectInvitation.deleteMany({ project: project._id }),
+    project.deleteOne(),
+  ]);
+  // 寫入完成後才清除快取，避免期間的查詢重新快取舊資料
+  await clearProjectTaskCaches(project._id, taskUserIds);
+
+  notifyMembers(project, 'project:deleted', { projectId: project._id, name: project.name }, userId);
+};
+
+/**
+ * Get the members of a project
+ * @param {string} id - Project ID
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} - Members with populated users
+ */
+exports.getMembers = async (id, userId) => {
+  const project = await loadProjectForRole(id, userId, 'viewer');
+  await project.populate(MEMBER_POPULATE);
+
+  return project.members.filter((m) => m.user);
+};
+
+/**
+ * Change the role of a member
+ * 專案至少需保留一位 owner
+ * @param {string} id - Project ID
+ * @param {string} memberId - Member user ID
+ * @param {string} role - New role
+ * @param {string} userId - Acting user ID
+ * @returns {Promise<Object>} - Updated member
+ */
+exports.updateMemberRole = async (id, memberId, role, userId) => {
+  if (!PROJECT_ROLES.includes(role)) {
+    throw new ErrorResponse(`Role must be one of ${PROJECT_ROLES.join(', ')}`, 400);
+  }
+
+  const project = await loadProjectForRole(
+    id,
+    userId,
+    'owner',
+    'Only owners can change member roles'
+  );
+  const member = project.members.find((m) => m.user.toString() === String(memberId));
+
+  if (!member) {
+    throw new ErrorResponse(`Member not found with id of ${memberId}`, 404);
+  }
+
+  if (member.role === 'owner' && role !== 'owner' && countOwners(project) === 1) {
+    throw new ErrorResponse('A project needs at least one owner', 400);
+  }
+
+  member.role = role;
+  syncOwner(project);
+  await project.save();
+
+  notifyUser(String(memberId), 'project:role', { projectId: project._id, role, by: userId });
+
+  return member;
+};
+
+/**
+ * Remove a member from a project
+ * 成員可以自行退出；被移除的成員同時退出專案任務的指派與關注
+ * @param {string} id - Project ID
+ * @param {string} memberId - Member user ID
+ * @param {string} userId - Acting user ID
+ */
+exports.removeMember = async (id, memberId, userId) => {
+  const isSelf = String(memberId) === String(userId);
+  const project = await loadProjectForRole(
+    id,
+    userId,
+    isSelf ? 'viewer' : 'owner',
+    'Only owners can remove members'
+  );
+  const member = project.members.find((m) => m.user.toString() === String(memberId));
+
+  if (!member) {
+    throw new ErrorResponse(`Member not found with id of ${memberId}`, 404);
+  }
+
+  if (member.role === 'owner' && countOwners(project) === 1) {
+    throw new ErrorResponse('A project needs at least one owner', 400);
+  }
+
+  project.members = project.members.filter((m) => m !== member);
+  syncOwner(project);
+  await project.save();
+
+  await Task.updateMany(
+    { project: project._id },
+    { $pull: { assignees: member.user, watchers: member.user } }
+  );
+  await clearProjectTaskCaches(project._id);
+  await taskService.clearTaskListCaches([String(memberId)]);
+
+  if (!isSelf) {
+    notifyUser(String(memberId), 'project:removed', {
+      projectId: project._id,
+      name: project.name,
+      by: userId,
+    });
+  }
+};
+
+/**
+ * Invite a user to a project by user ID or email
+ * @param {string} id - Project ID
+ * @param {Object} data - { userId, email, role }
+ * @param {string} userId - Acting user ID
+ * @returns {Promise<ProjectInvitation>} - Created invitation
+ */
+exports.inviteMember = async (id, { userId: inviteeId, email, role = 'viewer' } = {}, userId) => {
+  if (!INVITABLE_ROLES.includes(role)) {
+    throw new ErrorResponse(`Role must be one of ${INVITABLE_ROLES.join(', ')}`, 400);
+  }
+
+  if (!inviteeId && !email) {
+    throw new ErrorResponse('Please provide a user ID or email', 400);
+  }
+
+  const project = await loadProjectForRole(id, userId, 'owner', 'Only owners can invite members');
+
+  let invitee = null;
+  if (inviteeId) {
+    invitee = mongoose.Types.ObjectId.isValid(inviteeId)
+      ? await User.findOne({ _id: inviteeId, deletedAt: null }).select('_id').lean()
+      : null;
+  } else {
+    invitee = await User.findOne({
+      email: String(email).trim().toLowerCase(),
+      deletedAt: null,
+    })
+      .select('_id')
+      .lean();
+  }
+
+  if (!invitee) {
+    throw new ErrorResponse('User not found', 404);
+  }
+
+  if (project.getMemberRole(invitee._id)) {
+    throw new ErrorResponse('User is already a member of this project', 400);
+  }
+
+  // TTL 索引不會立即刪除過期的邀請
+  await ProjectInvitation.deleteOne({
+    project: project._id,
+    invitee: invitee._id,
+    expiresAt: { $lte: new Date() },
+  });
+
+  let invitation;
+  try {
+    invitation = await ProjectInvitation.create({
+      project: project._id,
+      invitee: invitee._id,
+      invitedBy: userId,
+      role,
+      expiresAt: new Date(Date.now() + config.projectInvitationExpireDays * 24 * 60 * 60 * 1000),
+    });
+  } catch (err) {
+    if (err.code === 11000) {
+      throw new ErrorResponse('User has already been invited to this project', 400);
+    }
+    throw err;
+  }
+
+  notifyUser(invitee._id.toString(), 'project:invited', {
+    invitationId: invitation._id,
+    projectId: project._id,
+    name: project.name,
+    role,
+    by: userId,
+  });
+
+  return invitation;
+};
+
+/**
+ * Get the pending invitations of a project
+ * @param {string} id - Project ID
+ * @param {string} userId - Acting user ID
+ * @returns {Promise<Array>} - Invitations
+ */
+exports.getProjectInvitations = async (id, userId) => {
+  const project = await loadProjectForRole(id, userId, 'owner', 'Only owners can view invitations');
+
+  return ProjectInvitation.find({ project: project._id, expiresAt: { $gt: new Date() } })
+    .populate({ path: 'invitee', select: USER_SUMMARY_FIELDS })
+    .sort({ createdAt: -1 })
+    .lean();
+};
+
+/**
+ * Revoke a pending invitation
+ * @param {string} id - Project ID
+ * @param {string} invitationId - Invitation ID
+ * @param {string} userId - Acting user ID
+ */
+exports.revokeInvitation = async (id, invitationId, userId) => {
+  const project = await loadProjectForRole(
+    id,
+    userId,
+    'owner',
+    'Only owners can revoke invitations'
+  );
+
+  const invitation = mongoose.Types.ObjectId.isValid(invitationId)
+    ? await ProjectInvitation.findOneAndDelete({ _id: invitationId, project: project._id })
+    : null;
+
+  if (!invitation) {
+    throw new ErrorResponse(`Invitation not found with id of ${invitationId}`, 404);
+  }
+};
+
+/**
+ * Get the pending invitations of a user
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} - Invitations
+ */
+exports.getMyInvitations = async (userId) => {
+  return ProjectInvitation.find({ invitee: userId, expiresAt: { $gt: new Date() } })
+    .populate({ path: 'project', select: 'name description' })
+    .populate({ path: 'invitedBy', select: USER_SUMMARY_FIELDS })
+    .sort({ createdAt: -1 })
+    .lean();
+};
+
+/**
+ * Accept or decline a project invitation
+ * @param {string} userId - Invitee ID
+ * @param {string} invitationId - Invitation ID
+ * @param {boolean} accept - Accept or decline
+ * @returns {Promise<Project|null>} - Joined project, or null when declined
+ */
+exports.respondToInvitation = async (userId, invitationId, accept) => {
+  const invitation = mongoose.Types.ObjectId.isValid(invitationId)
+    ? await ProjectInvitation.findOneAndDelete({
+        _id: invitationId,
+        invitee: userId,
+        expiresAt: { $gt: new Date() },
+      })
+    : null;
+
+  if (!invitation) {
+    throw new ErrorResponse(`Invitation not found with id of ${invitationId}`, 404);
+  }
+
+  if (!accept) {
+    return null;
+  }
+
+  const project = await Project.findOneAndUpdate(
+    { _id: invitation.project, 'members.user': { $ne: userId } },
+    { $push: { members: { user: userId, role: invitation.role } } },
+    { new: true }
+  );
+
+  if (!project) {
+    throw new ErrorResponse('Project no longer exists or you are already a member', 404);
+  }
+
+  notifyMembers(
+    project,
+    'project:joined',
+    { projectId: project._id, userId, role: invitation.role },
+    userId
+  );
+
+  return project;
+};
+
+/**
+ * Get the tasks of a project
+ * 使用與 GET /api/tasks 相同的查詢語法
+ * @param {string} id - Project ID
+ * @param {Object} queryParams - Query parameters
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - Tasks and pagination data
+ */
+exports.getProjectTasks = async (id, queryParams, userId) => {
+  const project = await loadProjectForRole(id, userId, 'viewer');
+
+  return taskService.getTasks(queryParams, userId, { projectId: project._id.toString() });
+};
+
+/**
+ * Remove a user from every project (used when purging an account)
+ * 唯一的 owner 被刪除時由資歷最久的 editor (或成員) 接手，沒有其他成員則刪除專案；
+ * 用戶在專案中建立的任務轉給專案 owner
+ * @param {string} userId - User ID
+ */
+exports.removeUserFromProjects = async (userId) => {
+  const projects = await Project.find({ 'members.user': userId });
+
+  for (const project of projects) {
+    const member = project.members.find((m) => m.user.toString() === String(userId));
+    project.members = project.members.filter((m) => m !== member);
+
+    if (project.members.length === 0) {
+      const taskUserIds = await getProjectTaskUsers(project._id);
+      await Task.updateMany({ project: project._id }, { $unset: { project: 1 } });
+      await ProjectInvitation.deleteMany({ project: project._id });
+      await project.deleteOne();
+      await clearProjectTaskCaches(project._id, taskUserIds);
+      continue;
+    }
+
+    if (member.role === 'owner' && countOwners(project) === 0) {
+      const successor = project.members.find((m) => m.role === 'editor') || project.members[0];
+      successor.role = 'owner';
+    }
+    syncOwner(project);
+
+    await project.save();
+    await clearCachePattern(`tasks:project:${project._id}:*`);
+  }
+
+  // 用戶在專案中建立的任務 (包含已退出的專案) 轉給專案 owner，保留其他成員的協作內容
+  const projectIds = await Task.distinct('project', { user: userId, project: { $ne: null } });
+  const projectOwners = await Project.find({ _id: { $in: projectIds } })
+    .select('owner')
+    .lean();
+
+  for (const project of projectOwners) {
+    await Task.updateMany(
+      { project: project._id, user: userId },
+      { $set: { user: project.owner } }
+    );
+  }
+
+  if (projectOwners.length > 0) {
+    await taskService.clearTaskListCaches(
+      projectOwners.map((project) => project.owner),
+      projectIds
+    );
+    await clearCachePattern('task:*');
+  }
+
+  await ProjectInvitation.deleteMany({ $or: [{ invitee: userId }, { invitedBy: userId }] });
+};
@@ -0,0 +1,72 @@
+const User = require('../models/User');
+const ErrorResponse = require('../utils/errorResponse');
+const { invalidateLogin } = require('./loginCacheService');
+const { clearUserCache } = require('./userService');
+const auditService = require('./auditService');
+const { ROLES } = require('../config/permissions');
+
+// 角色由低到高排列，用於判斷是升級還是降級
+const ROLE_ORDER = ROLES;
+
+/**
+ * Change the role of a user and audit-log the change
+ * @param {string} targetId - ID of the user whose role changes
+ * @param {string} newRole - Role to assign
+ * @param {Object} actor - Admin performing the change (req.user)
+ * @param {Object} meta - Client metadata ({ ip, userAgent })
+ * @returns {Promise<Object>} - Updated user
+ */
+exports.changeUserRole = async (targetId, newRole, actor, meta = {}) => {
+  if (!ROLE_ORDER.includes(newRole)) {
+    throw new ErrorResponse(`Invalid role ${newRole}`, 400);
+  }
+
+  const user = await User.findById(targetId).select('name email role credentialVersion');
+
+  if (!user) {
+    throw new ErrorResponse(`User not found with id of ${targetId}`, 404);
+  }
+
+  const previousRole = user.role;
+
+  if (previousRole === newRole) {
+    throw new ErrorResponse(`User already has role ${newRole}`, 400);
+  }
+
+  // 避免系統中不再有任何管理員
+  if (previousRole === 'admin') {
+    const adminCount = await User.countDocuments({ role: 'admin' });
+
+    if (adminCount <= 1) {
+      throw new ErrorResponse('Cannot demote the last admin', 400);
+    }
+  }
+
+  user.role = newRole;
+  await user.save({ validateBeforeSave: false });
+
+  // 角色會被快取在用戶資料與登入快取中，變更後立即清除
+  await clearUserCache(user._id);
+  await invalidateLogin(user);
+
+  const isPromotion = ROLE_ORDER.indexOf(newRole) > ROLE_ORDER.indexOf(previousRole);
+
+  await auditService.record(
+    {
+      action: isPromotion ? 'user.role.promote' : 'user.role.demote',
+      actor: actor ? actor.id : null,
+      target: user._id,
+      metadata: { from: previousRole, to: newRole },
+    },
+    meta
+  );
+
+  return {
+    _id: user._id,
+    name: user.name,
+    email: user.email,
+    role: user.role,
+  };
+};
+
+exports.ROLE_ORDER = ROLE_ORDER;
@@ -0,0 +1,181 @@
+/**
+ * Session Service
+ * 管理登入階段（裝置）。登入階段的狀態會快取在 Redis 中，
+ * 讓每個請求驗證 access token 時不必查詢數據庫。
+ */
+
+const mongoose = require('mongoose');
+const config = require('../config');
+const Session = require('../models/Session');
+const ErrorResponse = require('../utils/errorResponse');
+const { getCache, setCache } = require('../utils/cacheUtils');
+
+// 登入階段狀態快取時間（秒）
+const SESSION_STATUS_TTL = 300;
+
+// 最近活動時間的更新間隔（秒），避免每個請求都寫入數據庫
+const LAST_SEEN_INTERVAL = 60;
+
+const statusKey = (sessionId) => `auth:session:${sessionId}`;
+const lastSeenKey = (sessionId) => `auth:sessionSeen:${sessionId}`;
+
+const getExpiry = () => new Date(Date.now() + config.refreshTokenExpireDays * 24 * 60 * 60 * 1000);
+
+/**
+ * Derive a readable device name from a User-Agent string
+ * @param {string} userAgent - User-Agent header
+ * @returns {string} - e.g. 'Chrome on Android'
+ */
+const describeUserAgent = (userAgent = '') => {
+  const browsers = [
+    ['Edge', /Edg\//],
+    ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//],
+    ['Safari', /Safari\//],
+    ['Dart', /Dart\//],
+    ['okhttp', /okhttp/i],
+  ];
+  const platforms = [
+    ['Android', /Android/],
+    ['iOS', /iPhone|iPad|iOS/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X|Macintosh/],
+    ['Linux', /Linux/],
+  ];
+
+  const browser = browsers.find(([, pattern]) => pattern.test(userAgent));
+  const platform = platforms.find(([, pattern]) => pattern.test(userAgent));
+
+  if (browser && platform) return `${browser[0]} on ${platform[0]}`;
+  if (browser || platform) return (browser || platform)[0];
+  return 'Unknown device';
+};
+
+/**
+ * Create a session for a new login
+ * @param {string} userId - User ID
+ * @param {Object} meta - Client metadata ({ ip, userAgent, deviceName })
+ * @returns {Promise<Session>} - Created session
+ */
+exports.createSession = async (userId, meta = {}) => {
+  const session = await Session.create({
+    user: userId,
+    deviceName: (meta.deviceName || describeUserAgent(meta.userAgent)).slice(0, 100),
+    userAgent: meta.userAgent,
+    ip: meta.ip,
+    expiresAt: getExpiry(),
+  });
+
+  await setCache(statusKey(session._id), true, SESSION_STATUS_TTL);
+
+  return session;
+};
+
+/**
+ * Check whether a session is still active
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<boolean>} - True if the session exists and has not been revoked
+ */
+exports.isSessionActive = async (sessionId) => {
+  const cached = await getCache(statusKey(sessionId));
+
+  if (cached !== null) {
+    return cached;
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+    return false;
+  }
+
+  const session = await Session.findById(sessionId).select('revokedAt expiresAt').lean();
+  const active = Boolean(session && !session.revokedAt && session.expiresAt > new Date());
+
+  await setCache(statusKey(sessionId), active, SESSION_STATUS_TTL);
+
+  return active;
+};
+
+/**
+ * Update the last-seen time of a session, at most once per interval
+ * @param {string} sessionId - Session ID
+ * @param {Object} meta - Client metadata ({ ip })
+ * @param {boolean} extend - Also extend the session expiry (on refresh)
+ * @returns {Promise<void>}
+ */
+exports.touchSession = async (sessionId, meta = {}, extend = false) => {
+  if (!extend && (await getCache(lastSeenKey(sessionId)))) {
+    return;
+  }
+
+  const update = { lastSeenAt: new Date() };
+  if (meta.ip) update.ip = meta.ip;
+  if (extend) update.expiresAt = getExpiry();
+
+  await Session.updateOne({ _id: sessionId, revokedAt: null }, update);
+  await setCache(lastSeenKey(sessionId), true, LAST_SEEN_INTERVAL);
+};
+
+/**
+ * Mark a session as revoked
+ * 只處理登入階段本身，refresh token 的撤銷由 tokenService 負責
+ * @param {string} sessionId - Session ID
+ * @param {string} reason - Revocation reason
+ * @returns {Promise<void>}
+ */
+exports.markSessionRevoked = async (sessionId, reason = 'revoked') => {
+  if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+    return;
+  }
+
+  await Session.updateOne(
+    { _id: sessionId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+  await setCache(statusKey(sessionId), false, SESSION_STATUS_TTL);
+};
+
+/**
+ * Mark every session of a user as revoked
+ * 用戶的 access token 已由 token 版本失效，這裡只需更新登入階段記錄
+ * @param {string} userId - User ID
+ * @param {string} reason - Revocation reason
+ * @returns {Promise<number>} - Number of revoked sessions
+ */
+exports.markUserSessionsRevoked = async (userId, reason = 'revoked') => {
+  const result = await Session.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+
+  return result.modifiedCount;
+};
+
+/**
+ * List the active sessions of a user
+ * @param {string} userId - User ID
+ * @returns {Promise<Array<Object>>} - Sessions, most recently used first
+ */
+exports.getUserSessions = async (userId) => {
+  return Session.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .select('deviceName userAgent ip lastSeenAt createdAt')
+    .sort({ lastSeenAt: -1 })
+    .lean();
+};
+
+/**
+ * Get an active session that belongs to a user
+ * @param {string} sessionId - Session ID
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - Session
+ */
+exports.getUserSession = async (sessionId, userId) => {
+  const session = mongoose.Types.ObjectId.isValid(sessionId)
+    ? await Session.findOne({ _id: sessionId, user: userId, revokedAt: null }).lean()
+    : null;
+
+  if (!session) {
+    throw new ErrorResponse(`Session not found with id of ${sessionId}`, 404);
+  }
+
+  return session;
+};
@@ -1,17 +1,24 @@
-const jwt = require('jsonwebtoken');
 const config = require('../config');
 const User = require('../models/User');
 const Conversation = require('../models/Conversation');
 const Message = require('../models/Message');
+const { verifyAccessToken } = require('./tokenService');
+const { USER_SUMMARY_FIELDS, getRecipientIds } = require('../utils/chatUtils');
+const { assertCanMessage } = require('./contactService');
 
 // Store online users
 const onlineUsers = new Map();
 
+// socket.io server instance, set once initializeSocket is called
+let ioInstance = null;
+
 /**
  * Initialize socket.io server
  * @param {Object} io - socket.io server instance
  */
 const initializeSocket = (io) => {
+  ioInstance = io;
+
   // Authenticate socket connection using JWT
   io.use(async (socket, next) => {
     try {
@@ -21,16 +28,24 @@ const initializeSocket = (io) => {
         return next(new Error('Authentication error: Token not provided'));
       }
 
-      // Verify token
-      const decoded = jwt.verify(token, config.jwtSecret);
+      // Verify token (blacklist, signature and token version)
+      const decoded = await verifyAccessToken(token);
+      if (!decoded) {
+        return next(new Error('Authentication error: Invalid or expired token'));
+      }
       socket.user = decoded;
 
-      // Check if user exists
-      const user = await User.findById(decoded.id).select('-password');
+      // Check if user exists (已刪除的帳號視為不存在)
+      const user = await User.findOne({ _id: decoded.id, deletedAt: null }).select('-password');
       if (!user) {
         return next(new Error('User not found'));
       }
 
+      // 啟用電子郵件驗證時，未驗證的帳號不能使用聊天
+      if (config.requireEmailVerification && !user.emailVerified) {
+        return next(new Error('Email not verified'));
+      }
+
       next();
     } catch (error) {
       next(new Error('Authentication error: ' + error.message));
@@ -41,6 +56,14 @@ const initializeSocket = (io) => {
     console.log(`User connected: ${socket.user.id}`); // Add user to online users
     onlineUsers.set(socket.user.id, socket.id);
 
+    // Join a per-user room so the server can reach every socket of a user
+    socket.join(`user:${socket.user.id}`);
+
+    // 同一登入階段的連線加入同一房間，撤銷登入階段時一併中斷
+    if (socket.user.sid) {
+      socket.join(`session:${socket.user.sid}`);
+    }
+
     // Join user to their conversations
     joinUserRooms(socket);
 
@@ -86,6 +109,16 @@ const initializeSocket = (io) => {
           return;
         }
 
+        // 檢查封鎖與對方的訊息設定
+        try {
+          for (const recipientId of getRecipientIds(conversation, socket.user.id)) {
+            await assertCanMessage(socket.user.id, recipientId);
+          }
+        } catch (err) {
+          socket.emit('error', { message: err.statusCode === 403 ? err.message : '發送訊息失敗' });
+          return;
+        }
+
         try {
           // Create new message
           const message = await Message.create({
@@ -101,7 +134,7 @@ const initializeSocket = (io) => {
           }); // Populate message data
           const populatedMessage = await Message.findById(message._id).populate({
             path: 'sender',
-            select: 'name email',
+            select: USER_SUMMARY_FIELDS,
           });
 
           if (!populatedMessage) {
@@ -131,14 +164,14 @@ const initializeSocket = (io) => {
                 const updatedConversation = await Conversation.findById(conversationId)
                   .populate({
                     path: 'participants',
-                    select: 'name email',
+                    select: USER_SUMMARY_FIELDS,
                   })
                   .populate({
                     path: 'lastMessage',
                     select: 'content readBy createdAt sender',
                     populate: {
                       path: 'sender',
-                      select: 'name email',
+                      select: USER_SUMMARY_FIELDS,
                     },
                   });
 
@@ -284,4 +317,39 @@ const joinUserRooms = async (socket) => {
   }
 };
 
+/**
+ * Force-disconnect every live socket of a user
+ * @param {string} userId - User ID
+ */
+const disconnectUser = (userId) => {
+  if (!ioInstance) return;
+
+  ioInstance.in(`user:${userId}`).disconnectSockets(true);
+};
+
+/**
+ * Force-disconnect every live socket opened with a session
+ * @param {string} sessionId - Session ID
+ */
+const disconnectSession = (sessionId) => {
+  if (!ioInstance) return;
+
+  ioInstance.in(`session:${sessionId}`).disconnectSockets(true);
+};
+
+/**
+ * Emit an event to every live socket of a user
+ * @param {string} userId - User ID
+ * @param {string} event - Event name
+ * @param {Object} payload - Event data
+ */
+const notifyUser = (userId, event, payload) => {
+  if (!ioInstance) return;
+
+  ioInstance.to(`user:${userId}`).emit(event, payload);
+};
+
 module.exports = initializeSocket;
+module.exports.disconnectUser = disconnectUser;
+module.exports.disconnectSession = disconnectSession;
+module.exports.notifyUser = notifyUser;
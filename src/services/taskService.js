@@ -1,82 +1,716 @@
+const mongoose = require('mongoose');
 const Task = require('../models/Task');
+const User = require('../models/User');
+const Project = require('../models/Project');
 const ErrorResponse = require('../utils/errorResponse');
 const { withCache, deleteCache, clearCachePattern } = require('../utils/cacheUtils');
-const { findOne, find, paginate, update, remove } = require('../utils/dbUtils');
+const { findOne, find, paginate, cursorPaginate, update, remove } = require('../utils/dbUtils');
+const { encodeCursor } = require('../utils/cursorUtils');
+const { createListQueryParser } = require('../utils/queryParser');
+const { USER_SUMMARY_FIELDS } = require('../utils/chatUtils');
+const { notifyUser } = require('./socketService');
+const policyService = require('./policyService');
+
+// GET /api/tasks 可使用的篩選、排序與欄位
+const TASK_FILTER_FIELDS = [
+  'status',
+  'priority',
+  'dueDate',
+  'parent',
+  'progress',
+  'createdAt',
+  'updatedAt',
+];
+const TASK_SORT_FIELDS = [
+  'title',
+  'status',
+  'priority',
+  'dueDate',
+  'progress',
+  'createdAt',
+  'updatedAt',
+];
+const TASK_SELECT_FIELDS = [
+  'title',
+  'description',
+  'status',
+  'priority',
+  'dueDate',
+  'user',
+  'project',
+  'parent',
+  'checklist',
+  'progress',
+  'autoComplete',
+  'assignees',
+  'watchers',
+  'createdAt',
+  'updatedAt',
+];
+
+// 任務列表的檢視：只接受 me，對應建立者、被指派者與關注者
+const TASK_VIEWS = {
+  createdBy: 'user',
+  assignedTo: 'assignees',
+  watchedBy: 'watchers',
+};
+
+// 每個任務最多的被指派者與關注者人數
+const MAX_TASK_PARTICIPANTS = 20;
+
+// PUT /api/tasks/:id 可更新的欄位，其他欄位 (例如 user) 一律拒絕
+const TASK_UPDATE_FIELDS = [
+  'title',
+  'description',
+  'status',
+  'priority',
+  'dueDate',
+  'project',
+  'parent',
+  'autoComplete',
+];
+
+// 被指派者只能更新的欄位
+const ASSIGNEE_FIELDS = ['status'];
+
+// 子任務最多的層數 (頂層任務為第 0 層)
+const MAX_TASK_DEPTH = 5;
+
+// 每個任務最多的檢查清單項目
+const MAX_CHECKLIST_ITEMS = 50;
+
+// 被指派者只能更新的檢查清單欄位
+const ASSIGNEE_CHECKLIST_FIELDS = ['done'];
+
+// GET /api/tasks/:id 的 include 參數可用的值
+const TASK_INCLUDES = ['subtree'];
+
+// 參與者與權限判斷需要的欄位
+const TASK_ACCESS_FIELDS = 'title user project parent assignees watchers';
+
+// include=subtree 時每個子任務回傳的欄位
+const SUBTREE_FIELDS = [
+  'title',
+  'status',
+  'priority',
+  'dueDate',
+  'progress',
+  'checklist',
+  'autoComplete',
+  'parent',
+  'user',
+  'assignees',
+  'createdAt',
+  'updatedAt',
+];
+
+const parseTaskQuery = createListQueryParser(Task, {
+  filters: TASK_FILTER_FIELDS,
+  sort: TASK_SORT_FIELDS,
+  select: TASK_SELECT_FIELDS,
+  defaultSelect: 'title status priority dueDate progress parent createdAt updatedAt user',
+  defaultSort: { createdAt: -1 },
+  defaultLimit: 25,
+  maxLimit: 100,
+  cursor: true,
+});
+
+const TASK_POPULATE = {
+  path: 'user',
+  select: 'name email',
+};
+
+const toId = (value) => (value && value._id ? value._id : value).toString();
+
+/**
+ * Get every user involved in a task (creator, assignees and watchers)
+ * @param {Object} task - Task with user, assignees and watchers
+ * @returns {Array<string>} - User IDs
+ */
+const getParticipantIds = (task) => {
+  const ids = new Set();
+
+  if (task.user) ids.add(toId(task.user));
+  (task.assignees || []).forEach((id) => ids.add(toId(id)));
+  (task.watchers || []).forEach((id) => ids.add(toId(id)));
+
+  return Array.from(ids);
+};
+
+/**
+ * Get the relation of a user to a task
+ * @param {Object} task - Task with user, assignees and watchers
+ * @param {string} userId - User ID
+ * @returns {string|null} - creator, assignee, watcher or null
+ */
+const getTaskRole = (task, userId) => {
+  if (task.user && toId(task.user) === userId) return 'creator';
+  if ((task.assignees || []).some((id) => toId(id) === userId)) return 'assignee';
+  if ((task.watchers || []).some((id) => toId(id) === userId)) return 'watcher';
+  return null;
+};
+
+/**
+ * Clear the cached task lists of every affected user and project
+ * @param {Array<string>} userIds - User IDs
+ * @param {Array<string>} projectIds - Project IDs
+ */
+const clearTaskListCaches = async (userIds, projectIds = []) => {
+  await Promise.all([
+    ...Array.from(new Set(userIds.map(String))).map((userId) =>
+      clearCachePattern(`tasks:${userId}:*`)
+    ),
+    ...Array.from(new Set(projectIds.filter(Boolean).map(String))).map((projectId) =>
+      clearCachePattern(`tasks:project:${projectId}:*`)
+    ),
+  ]);
+};
+
+/**
+ * Clear the cached lists affected by a task
+ * @param {Object} task - Task with user, project, assignees and watchers
+ * @param {Array<string>} extraUserIds - Users not (or no longer) on the task
+ * @param {Array<string>} extraProjectIds - Projects the task moved from or to
+ */
+const clearTaskCaches = (task, extraUserIds = [], extraProjectIds = []) =>
+  clearTaskListCaches(
+    [...getParticipantIds(task), ...extraUserIds],
+    [task.project, ...extraProjectIds]
+  );
+
+/**
+ * Get the role of a user in a project
+ * @param {string} projectId - Project ID
+ * @param {string} userId - User ID
+ * @returns {Promise<string|null>} - owner, editor, viewer or null
+ */
+const getProjectRole = async (projectId, userId) => {
+  if (!projectId) return null;
+
+  const project = await Project.findOne(
+    { _id: toId(projectId), 'members.user': userId },
+    { 'members.$': 1 }
+  ).lean();
+
+  return project ? project.members[0].role : null;
+};
+
+/**
+ * Work out what a user may do with a task
+ * 建立者與專案 editor 以上可以修改及刪除，被指派者只能更新狀態，
+ * 其他參與者與專案成員可以查看；具備 <action>.any 權限者不受限制。
+ * 子任務沿用上層任務的權限：可以查看上層任務者可以查看，可以修改上層任務者可以修改及刪除
+ * @param {Object} task - Task with user, project, parent, assignees and watchers
+ * @param {Object} user - Acting user ({ id, role })
+ * @returns {Promise<Object>} - { role, projectRole, read, update, updateStatus, delete }
+ */
+const getTaskAccess = async (task, user) => {
+  const role = getTaskRole(task, user.id);
+  const projectRole = await getProjectRole(task.project, user.id);
+  const isEditor = policyService.hasProjectRole(projectRole, 'editor');
+  const ownerId = task.user && toId(task.user);
+
+  const access = {
+    role,
+    projectRole,
+    read: Boolean(role || projectRole) || policyService.can(user, 'task.read', ownerId),
+    update: isEditor || policyService.can(user, 'task.update', ownerId),
+    updateStatus: role === 'assignee',
+    delete: isEditor || policyService.can(user, 'task.delete', ownerId),
+  };
+
+  if (task.parent && !(access.read && access.update && access.delete)) {
+    const parent = await Task.findById(toId(task.parent)).select(TASK_ACCESS_FIELDS).lean();
+
+    if (parent) {
+      const parentAccess = await getTaskAccess(parent, user);
+      access.read = access.read || parentAccess.read;
+      access.update = access.update || parentAccess.update;
+      access.delete = access.delete || parentAccess.update;
+    }
+  }
+
+  return access;
+};
+
+/**
+ * Calculate the progress of a task
+ * 每個子任務與檢查清單項目各佔一份，子任務依其完成百分比計算；已完成的任務為 100
+ * @param {Object} task - Task with status and checklist
+ * @param {Array<Object>} children - Direct subtasks with status and progress
+ * @returns {number} - Percentage complete (0-100)
+ */
+const calculateProgress = (task, children) => {
+  if (task.status === 'completed') return 100;
+
+  const checklist = task.checklist || [];
+  const parts = children.length + checklist.length;
+  if (parts === 0) return 0;
+
+  const done =
+    children.reduce(
+      (sum, child) => sum + (child.status === 'completed' ? 1 : (child.progress || 0) / 100),
+      0
+    ) + checklist.filter((item) => item.done).length;
+
+  return Math.round((done / parts) * 100);
+};
+
+/**
+ * Get every subtask below a task
+ * @param {string} id - Task ID
+ * @param {Object} project - Fields to return, as a $project stage
+ * @returns {Promise<Array<Object>>} - Descendants with depth (0 for direct subtasks)
+ */
+const getDescendants = async (id, project = { _id: 1, parent: 1 }) => {
+  const [root] = await Task.aggregate([
+    { $match: { _id: new mongoose.Types.ObjectId(toId(id)) } },
+    {
+      $graphLookup: {
+        from: Task.collection.name,
+        startWith: '$_id',
+        connectFromField: '_id',
+        connectToField: 'parent',
+        as: 'descendants',
+        maxDepth: MAX_TASK_DEPTH,
+        depthField: 'depth',
+      },
+    },
+    { $project: { descendants: { ...project, depth: 1 } } },
+  ]);
+
+  return root ? root.descendants : [];
+};
+
+/**
+ * Get the depth of a task (0 for top-level tasks)
+ * @param {Object} task - Task with parent
+ * @returns {Promise<number>}
+ */
+const getTaskDepth = async (task) => {
+  let depth = 0;
+  let parentId = task.parent;
+
+  while (parentId && depth <= MAX_TASK_DEPTH) {
+    const parent = await Task.findById(toId(parentId)).select('parent').lean();
+    if (!parent) break;
+    depth += 1;
+    parentId = parent.parent;
+  }
+
+  return depth;
+};
+
+/**
+ * Validate the parent of a new or moved task
+ * 上層任務需可以被修改，與任務屬於同一個專案，不能形成循環且不能超過層數上限
+ * @param {string} parentId - Parent task ID
+ * @param {Object} user - Acting user ({ id, role })
+ * @param {Object} options - { project, task } where task is the task being moved;
+ *     project undefined means the task takes the project of its parent
+ * @returns {Promise<Object>} - Parent task
+ */
+const resolveParent = async (parentId, user, { project, task = null } = {}) => {
+  const parent = mongoose.Types.ObjectId.isValid(parentId)
+    ? await Task.findById(parentId).select(TASK_ACCESS_FIELDS).lean()
+    : null;
+
+  if (!parent) {
+    throw new ErrorResponse(`Parent task not found with id of ${parentId}`, 404);
+  }
+
+  if (!(await getTaskAccess(parent, user)).update) {
+    throw new ErrorResponse('Not authorized to add subtasks to this task', 401);
+  }
+
+  if (project !== undefined && String(parent.project || '') !== String(project || '')) {
+    throw new ErrorResponse('Subtasks must belong to the same project as their parent', 400);
+  }
+
+  let height = 0;
+  if (task) {
+    const descendants = await getDescendants(task._id);
+
+    if (
+      toId(parent._id) === toId(task._id) ||
+      descendants.some((descendant) => toId(descendant._id) === toId(parent._id))
+    ) {
+      throw new ErrorResponse('A task cannot be moved under itself or its subtasks', 400);
+    }
+
+    height = descendants.reduce((max, descendant) => Math.max(max, descendant.depth + 1), 0);
+  }
+
+  if ((await getTaskDepth(parent)) + 1 + height > MAX_TASK_DEPTH) {
+    throw new ErrorResponse(`Subtasks can be nested at most ${MAX_TASK_DEPTH} levels deep`, 400);
+  }
+
+  return parent;
+};
+
+/**
+ * Get the member IDs of a project, checking the acting user is an editor
+ * @param {string} projectId - Project ID
+ * @param {string} userId - Acting user ID
+ * @returns {Promise<Array<string>>} - Member IDs
+ */
+const getEditableProjectMembers = async (projectId, userId) => {
+  const project = mongoose.Types.ObjectId.isValid(projectId)
+    ? await Project.findById(projectId).select('members').lean()
+    : null;
+
+  if (!project) {
+    throw new ErrorResponse(`Project not found with id of ${projectId}`, 404);
+  }
+
+  const member = project.members.find((m) => m.user.toString() === userId);
+  policyService.authorizeProjectRole(
+    member && member.role,
+    'editor',
+    'Not authorized to add tasks to this project'
+  );
+
+  return project.members.map((m) => m.user.toString());
+};
+
+/**
+ * Notify task participants through socket.io, skipping the acting user
+ * @param {Array<string>} userIds - Recipients
+ * @param {string} event - Event name
+ * @param {Object} payload - Event data
+ * @param {string} actorId - User who made the change
+ */
+const notifyParticipants = (userIds, event, payload, actorId) => {
+  new Set(userIds.map(String)).forEach((userId) => {
+    if (userId !== String(actorId)) {
+      notifyUser(userId, event, { ...payload, by: actorId });
+    }
+  });
+};
+
+/**
+ * Recalculate the progress of a task and roll it up to its ancestors
+ * 從變更的任務往上更新，進度沒有變化時停止；
+ * 子任務剛完成且所有子任務都已完成時，設定 autoComplete 的上層任務會自動完成，
+ * 之後有子任務重新開啟 (或新增未完成的子任務) 時還原為自動完成前的狀態
+ * @param {string} id - ID of the task whose subtasks, checklist or status changed
+ * @param {string} actorId - User who made the change
+ * @param {Object} options - { completed } whether the task was just completed
+ */
+const refreshProgress = async (id, actorId, { completed = false } = {}) => {
+  let taskId = id;
+  let childCompleted = false;
+
+  for (let depth = 0; taskId && depth <= MAX_TASK_DEPTH; depth += 1) {
+    const task = await Task.findById(toId(taskId))
+      .select(`${TASK_ACCESS_FIELDS} status checklist progress autoComplete autoCompletedFrom`)
+      .lean();
+    if (!task) return;
+
+    const children = await Task.find({ parent: task._id }).select('status progress').lean();
+    const changes = {};
+
+    if (
+      childCompleted &&
+      task.autoComplete &&
+      task.status !== 'completed' &&
+      children.every((child) => child.status === 'completed')
+    ) {
+      changes.status = 'completed';
+      changes.autoCompletedFrom = task.status;
+    } else if (
+      task.status === 'completed' &&
+      task.autoCompletedFrom &&
+      children.some((child) => child.status !== 'completed')
+    ) {
+      changes.status = task.autoCompletedFrom;
+      changes.autoCompletedFrom = null;
+    }
+
+    const progress = calculateProgress({ ...task, ...changes }, children);
+    if (progress !== task.progress) {
+      changes.progress = progress;
+    }
+
+    // 起點的任務即使沒有變化，上層任務的進度仍可能改變 (例如新增或刪除子任務)
+    if (Object.keys(changes).length > 0) {
+      await update(Task, task._id, changes);
+      await clearTaskCaches(task);
+    } else if (depth > 0) {
+      return;
+    }
+
+    if (changes.status) {
+      const flag = changes.status === 'completed' ? 'autoCompleted' : 'autoReopened';
+      notifyParticipants(
+        getParticipantIds(task),
+        'task:updated',
+        { taskId: task._id, title: task.title, changes: ['status'], [flag]: true },
+        actorId
+      );
+    }
+
+    childCompleted = changes.status === 'completed' || (depth === 0 && completed);
+    taskId = task.parent;
+  }
+};
+
+/**
+ * Validate checklist items of a new task
+ * @param {Array<Object>} items - Checklist items ({ text, done })
+ * @returns {Array<Object>} - Items to store
+ */
+const resolveChecklist = (items) => {
+  if (items === undefined) return [];
+
+  if (!Array.isArray(items)) {
+    throw new ErrorResponse('checklist must be an array of items', 400);
+  }
+
+  if (items.length > MAX_CHECKLIST_ITEMS) {
+    throw new ErrorResponse(`A task can have at most ${MAX_CHECKLIST_ITEMS} checklist items`, 400);
+  }
+
+  return items.map((item) => {
+    const { text, done = false } = typeof item === 'string' ? { text: item } : item || {};
+    return {
+      text: resolveChecklistText(text),
+      done: Boolean(done),
+      completedAt: done ? new Date() : null,
+    };
+  });
+};
+
+/**
+ * Validate the text of a checklist item
+ * @param {*} text - Item text
+ * @returns {string} - Trimmed text
+ */
+const resolveChecklistText = (text) => {
+  if (typeof text !== 'string' || text.trim() === '') {
+    throw new ErrorResponse('Please add checklist item text', 400);
+  }
+
+  if (text.trim().length > 200) {
+    throw new ErrorResponse('Checklist item cannot be more than 200 characters', 400);
+  }
+
+  return text.trim();
+};
+
+/**
+ * Load a task with its checklist or throw 404
+ * @param {string} id - Task ID
+ * @returns {Promise<Object>} - Task
+ */
+const loadTaskChecklist = async (id) => {
+  const task = mongoose.Types.ObjectId.isValid(id)
+    ? await Task.findById(id).select(`${TASK_ACCESS_FIELDS} status checklist`).lean()
+    : null;
+
+  if (!task) {
+    throw new ErrorResponse(`Task not found with id of ${id}`, 404);
+  }
+
+  return task;
+};
+
+/**
+ * Clear caches, notify participants and refresh progress after a checklist change
+ * @param {Object} task - Task before the change
+ * @param {Object} user - Acting user ({ id, role })
+ * @param {boolean} progressChanged - Whether items were added, removed, checked or unchecked
+ * @returns {Promise<Task>} - Updated task
+ */
+const finishChecklistChange = async (task, user, progressChanged) => {
+  if (progressChanged) {
+    await refreshProgress(task._id, user.id);
+  }
+
+  await clearTaskCaches(task);
+  notifyParticipants(
+    getParticipantIds(task),
+    'task:updated',
+    { taskId: task._id, title: task.title, changes: ['checklist'] },
+    user.id
+  );
+
+  return Task.findById(task._id);
+};
+
+/**
+ * Validate a list of user IDs for assignees or watchers
+ * 專案中的任務只能指派給專案成員
+ * @param {Array<string>} ids - User IDs
+ * @param {string} field - Field name used in error messages
+ * @param {Array<string>} memberIds - Project member IDs, null for personal tasks
+ * @returns {Promise<Array<string>>} - Unique user IDs
+ */
+const resolveParticipants = async (ids, field, memberIds = null) => {
+  if (ids === undefined) return [];
+
+  if (!Array.isArray(ids)) {
+    throw new ErrorResponse(`${field} must be an array of user IDs`, 400);
+  }
+
+  const unique = Array.from(new Set(ids.map(String)));
+
+  if (unique.length > MAX_TASK_PARTICIPANTS) {
+    throw new ErrorResponse(`A task can have at most ${MAX_TASK_PARTICIPANTS} ${field}`, 400);
+  }
+
+  const invalid = unique.filter((id) => !mongoose.Types.ObjectId.isValid(id));
+  const found = invalid.length
+    ? []
+    : await User.find({ _id: { $in: unique }, deletedAt: null })
+        .select('_id')
+        .lean();
+
+  if (invalid.length || found.length !== unique.length) {
+    throw new ErrorResponse(`${field} contains unknown users`, 400);
+  }
+
+  if (memberIds && unique.some((id) => !memberIds.includes(id))) {
+    throw new ErrorResponse(`${field} must be members of the project`, 400);
+  }
+
+  return unique;
+};
+
+/**
+ * Load the fields needed for authorization
+ * @param {string} id - Task ID
+ * @returns {Promise<Object>} - Task
+ */
+const loadTaskParticipants = async (id) => {
+  const task = mongoose.Types.ObjectId.isValid(id)
+    ? await Task.findById(id).select(TASK_ACCESS_FIELDS).lean()
+    : null;
+
+  if (!task) {
+    throw new ErrorResponse(`Task not found with id of ${id}`, 404);
+  }
+
+  return task;
+};
+
+/**
+ * Throw unless a user may manage assignees and watchers of a task
+ * 可以修改任務的用戶 (建立者、專案 editor 以上或具備 task.update.any 權限者)
+ * @param {Object} access - Result of getTaskAccess
+ */
+const authorizeManage = (access) => {
+  if (!access.update) {
+    throw new ErrorResponse('Not authorized to manage this task', 401);
+  }
+};
+
+/**
+ * Get the member IDs of the project a task belongs to
+ * @param {Object} task - Task with project
+ * @returns {Promise<Array<string>|null>} - Member IDs, null for personal tasks
+ */
+const getTaskProjectMembers = async (task) => {
+  if (!task.project) return null;
+
+  const project = await Project.findById(task.project).select('members.user').lean();
+  return project ? project.members.map((m) => m.user.toString()) : null;
+};
 
 /**
  * Get all tasks with filtering, sorting and pagination
+ * 查詢語法見 utils/queryParser，無效的查詢會回傳 400。
+ * 帶有 after/before 游標時使用游標分頁，否則使用頁碼分頁；依 createdAt 排序時兩者都會回傳游標。
+ * 預設列出用戶建立、被指派或關注的任務，createdBy/assignedTo/watchedBy=me 可縮小範圍；
+ * 指定專案時列出專案中的所有任務，權限需由呼叫者確認
  * @param {Object} queryParams - Query parameters for filtering, sorting,
  *     pagination
  * @param {Object} userId - User ID to filter tasks by
+ * @param {Object} options - { projectId }
  * @returns {Promise<Object>} - Tasks and pagination data
  */
-exports.getTasks = async (queryParams, userId) => {
-  // 為了緩存，創建一個能標識查詢獨特性的鍵
-  const cacheKey = `tasks:${userId || 'all'}:${JSON.stringify(queryParams)}`;
+exports.getTasks = async (queryParams, userId, { projectId = null } = {}) => {
+  const { createdBy, assignedTo, watchedBy, ...filters } = queryParams;
+  const views = { createdBy, assignedTo, watchedBy };
+
+  // 先解析查詢，無效的查詢不會進入緩存
+  const { conditions, select, sort, page, limit, cursor } = parseTaskQuery(filters);
+
+  const invalidViews = Object.keys(TASK_VIEWS).filter(
+    (view) => views[view] !== undefined && views[view] !== 'me'
+  );
+  if (invalidViews.length > 0) {
+    throw new ErrorResponse(`Invalid query: ${invalidViews.join(', ')} only supports "me"`, 400);
+  }
+
+  // 添加用戶篩選
+  if (userId) {
+    const requested = Object.keys(TASK_VIEWS).filter((view) => views[view] === 'me');
+
+    if (requested.length > 0) {
+      requested.forEach((view) => {
+        conditions[TASK_VIEWS[view]] = userId;
+      });
+    } else if (!projectId) {
+      conditions.$or = Object.values(TASK_VIEWS).map((field) => ({ [field]: userId }));
+    }
+  }
+
+  if (projectId) {
+    conditions.project = projectId;
+  }
+
+  // 為了緩存，以解析後的查詢作為鍵，語意相同的查詢共用緩存；專案任務列表在任務變更時整批清除
+  const cacheScope = projectId ? `project:${projectId}` : userId || 'all';
+  const cacheKey = `tasks:${cacheScope}:${JSON.stringify({
+    conditions,
+    select,
+    sort,
+    page,
+    limit,
+    cursor,
+  })}`;
 
   // 使用緩存包裝器，過期時間設為 5 分鐘
   return withCache(
     cacheKey,
     async () => {
-      // 準備查詢條件
-      const conditions = {};
+      if (cursor) {
+        const result = await cursorPaginate(Task, conditions, {
+          ...cursor,
+          limit,
+          order: sort.createdAt,
+          select,
+          populate: TASK_POPULATE,
+        });
 
-      // 添加用戶篩選
-      if (userId) {
-        conditions.user = userId;
+        return {
+          tasks: result.data,
+          count: result.data.length,
+          pagination: result.pagination,
+        };
       }
 
-      // 處理高級篩選條件 ($gt, $gte 等)
-      Object.keys(queryParams).forEach((key) => {
-        // 跳過分頁、排序和選擇參數
-        if (['select', 'sort', 'page', 'limit'].includes(key)) return;
-
-        // 處理比較運算符
-        if (typeof queryParams[key] === 'string') {
-          const match = queryParams[key].match(/\b(gt|gte|lt|lte|in)\b:(.*)/);
-          if (match) {
-            const operator = `$${match[1]}`;
-            const value = match[2];
-            conditions[key] = { [operator]: value };
-          } else {
-            conditions[key] = queryParams[key];
-          }
-        } else {
-          conditions[key] = queryParams[key];
-        }
-      });
-
       // 準備選項
       const options = {
-        page: parseInt(queryParams.page, 10) || 1,
-        limit: parseInt(queryParams.limit, 10) || 25,
-        select: queryParams.select || 'title status priority dueDate createdAt updatedAt user',
-        populate: {
-          path: 'user',
-          select: 'name email',
-        },
+        page,
+        limit,
+        select,
+        sort,
+        populate: TASK_POPULATE,
         lean: true,
       };
 
-      // 處理排序
-      if (queryParams.sort) {
-        options.sort = {};
-        const sortFields = queryParams.sort.split(',');
-
-        sortFields.forEach((field) => {
-          if (field.startsWith('-')) {
-            options.sort[field.substring(1)] = -1;
-          } else {
-            options.sort[field] = 1;
-          }
-        });
-      } else {
-        options.sort = { createdAt: -1 };
-      }
-
       // 使用 dbUtils 的 paginate 函數進行優化查詢
       const result = await paginate(Task, conditions, options);
 
+      // 依 createdAt 排序時附上游標，客戶端可以從任一頁改用游標繼續載入
+      const { data, pagination } = result;
+      if (Object.keys(sort).join() === 'createdAt' && data.length > 0 && data[0].createdAt) {
+        pagination.nextCursor = pagination.hasNextPage ? encodeCursor(data[data.length - 1]) : null;
+        pagination.prevCursor = pagination.hasPrevPage ? encodeCursor(data[0]) : null;
+      }
+
       return {
         tasks: result.data,
         count: result.data.length,
@@ -88,21 +722,73 @@ exports.getTasks = async (queryParams, userId) => {
   ); // 5分鐘緩存
 };
 
+/**
+ * Build the nested subtasks of a task
+ * 同一層的子任務依建立時間排序
+ * @param {Object} task - Root task
+ * @returns {Promise<Array<Object>>} - Subtasks, each with its own subtasks
+ */
+const buildSubtree = async (task) => {
+  const descendants = await getDescendants(
+    task._id,
+    Object.fromEntries(SUBTREE_FIELDS.map((field) => [field, 1]))
+  );
+
+  const childrenByParent = new Map();
+  descendants
+    .sort((a, b) => a.createdAt - b.createdAt || toId(a._id).localeCompare(toId(b._id)))
+    .forEach(({ depth, ...descendant }) => {
+      const parentId = toId(descendant.parent);
+      if (!childrenByParent.has(parentId)) {
+        childrenByParent.set(parentId, []);
+      }
+      childrenByParent.get(parentId).push(descendant);
+    });
+
+  const attach = (node) => ({
+    ...node,
+    subtasks: (childrenByParent.get(toId(node._id)) || []).map(attach),
+  });
+
+  return (childrenByParent.get(toId(task._id)) || []).map(attach);
+};
+
 /**
  * Get a specific task by ID
  * @param {string} id - Task ID
- * @param {string} userId - Optional user ID for authorization
+ * @param {Object} user - Optional acting user ({ id, role }) for authorization
+ * @param {Object} options - { include } comma separated, "subtree" adds nested subtasks
  * @returns {Promise<Task>} - Task object
  */
-exports.getTaskById = async (id, userId = null) => {
+exports.getTaskById = async (id, user = null, { include } = {}) => {
+  const includes =
+    include === undefined
+      ? []
+      : String(include)
+          .split(',')
+          .map((value) => value.trim())
+          .filter(Boolean);
+
+  if (includes.some((value) => !TASK_INCLUDES.includes(value))) {
+    throw new ErrorResponse(
+      `Invalid query: include only supports ${TASK_INCLUDES.join(', ')}`,
+      400
+    );
+  }
+
   // 使用 Redis 緩存單個任務查詢，設置 10 分鐘過期時間
-  return withCache(
+  const task = await withCache(
     `task:${id}`,
     async () => {
       // 使用 dbUtils 的 findOne 函數代替直接 Mongoose 查詢
       const task = await findOne(Task, id, {
-        populate: 'user',
-        select: 'title description status priority dueDate user createdAt updatedAt',
+        populate: [
+          { path: 'user', select: USER_SUMMARY_FIELDS },
+          { path: 'assignees', select: USER_SUMMARY_FIELDS },
+          { path: 'watchers', select: USER_SUMMARY_FIELDS },
+        ],
+        select:
+          'title description status priority dueDate user project parent checklist progress autoComplete assignees watchers createdAt updatedAt',
         lean: true,
       });
 
@@ -110,90 +796,580 @@ exports.getTaskById = async (id, userId = null) => {
         throw new ErrorResponse(`Task not found with id of ${id}`, 404);
       }
 
-      // Check if user is authorized to access this task
-      if (userId && task.user._id.toString() !== userId) {
-        throw new ErrorResponse('Not authorized to access this task', 401);
-      }
-
       return task;
     },
     600
   ); // 10分鐘緩存
+
+  // 權限檢查放在緩存之外，緩存命中時同樣會檢查；參與者與專案成員也可以查看
+  if (user && !(await getTaskAccess(task, user)).read) {
+    throw new ErrorResponse('Not authorized to access this task', 401);
+  }
+
+  // 子樹不緩存，避免子任務變更後需要逐層清除上層任務的緩存
+  if (includes.includes('subtree')) {
+    return { ...task, subtasks: await buildSubtree(task) };
+  }
+
+  return task;
 };
 
 /**
  * Create a new task
- * @param {Object} taskData - Task data
- * @param {string} userId - User ID
+ * 在專案中建立任務需為專案 editor 以上，被指派者與關注者需為專案成員；
+ * 子任務需可以修改上層任務，未指定專案時沿用上層任務的專案
+ * @param {Object} taskData - Task data, may include project, parent, checklist, assignees and watchers
+ * @param {Object} user - Acting user ({ id, role })
  * @returns {Promise<Task>} - Created task object
  */
-exports.createTask = async (taskData, userId) => {
+exports.createTask = async (taskData, user) => {
+  const userId = user.id;
+
   // Add user to taskData
   taskData.user = userId;
 
+  if (taskData.parent) {
+    const parent = await resolveParent(taskData.parent, user, { project: taskData.project });
+    taskData.project = parent.project || undefined;
+  }
+
+  const memberIds = taskData.project
+    ? await getEditableProjectMembers(taskData.project, userId)
+    : null;
+  taskData.assignees = await resolveParticipants(taskData.assignees, 'assignees', memberIds);
+  taskData.watchers = await resolveParticipants(taskData.watchers, 'watchers', memberIds);
+  taskData.checklist = resolveChecklist(taskData.checklist);
+
+  // 進度由子任務與檢查清單計算，不接受客戶端設定
+  taskData.progress = calculateProgress(taskData, []);
+
   // 使用 dbUtils.create 優化創建操作
   // create 函數會自動處理緩存清除
   const newTask = await Task.create(taskData);
 
+  await clearTaskCaches(newTask);
+  notifyParticipants(
+    newTask.assignees,
+    'task:assigned',
+    { taskId: newTask._id, title: newTask.title },
+    userId
+  );
+
+  if (newTask.parent) {
+    await refreshProgress(newTask._id, userId, { completed: newTask.status === 'completed' });
+  }
+
   // 返回新建任務
   return findOne(Task, newTask._id, { lean: true });
 };
 
 /**
  * Update a task
+ * 建立者、專案 editor 以上與具備 task.update.any 權限者可以更新所有欄位，被指派者只能更新狀態；
+ * 狀態或上層任務變更時重新計算進度
  * @param {string} id - Task ID
  * @param {Object} updateData - Data to update
- * @param {string} userId - User ID for authorization
- * @param {string} role - User role for authorization
+ * @param {Object} user - Acting user ({ id, role }) for authorization
  * @returns {Promise<Task>} - Updated task object
  */
-exports.updateTask = async (id, updateData, userId, role) => {
+exports.updateTask = async (id, updateData, user) => {
   // 首先檢查任務是否存在，只獲取必要字段以提高性能
-  let task = await findOne(Task, id, { select: 'user', lean: true });
+  let task = await findOne(Task, id, {
+    select: `${TASK_ACCESS_FIELDS} status`,
+    lean: true,
+  });
 
   if (!task) {
     throw new ErrorResponse(`Task not found with id of ${id}`, 404);
   }
 
-  // Make sure user is task owner or admin
-  if (task.user.toString() !== userId && role !== 'admin') {
-    throw new ErrorResponse('Not authorized to update this task', 401);
+  // 被指派與關注名單需透過專用 API 管理，以便通知相關用戶
+  if ('assignees' in updateData || 'watchers' in updateData) {
+    throw new ErrorResponse(
+      'Use the assignees and watchers endpoints to change task participants',
+      400
+    );
+  }
+
+  if ('checklist' in updateData) {
+    throw new ErrorResponse('Use the checklist endpoints to change checklist items', 400);
   }
 
+  if ('progress' in updateData) {
+    throw new ErrorResponse('progress is calculated from subtasks and checklist items', 400);
+  }
+
+  const unknownFields = Object.keys(updateData).filter(
+    (field) => !TASK_UPDATE_FIELDS.includes(field)
+  );
+
+  if (unknownFields.length > 0) {
+    throw new ErrorResponse(`Unknown task field(s): ${unknownFields.join(', ')}`, 400);
+  }
+
+  // Make sure user may edit the task; assignees may only change the status
+  const fields = Object.keys(updateData);
+  const access = await getTaskAccess(task, user);
+  const isAssigneeUpdate =
+    access.updateStatus && fields.every((field) => ASSIGNEE_FIELDS.includes(field));
+
+  if (!access.update && !isAssigneeUpdate) {
+    throw new ErrorResponse(
+      access.updateStatus
+        ? `Assignees can only update: ${ASSIGNEE_FIELDS.join(', ')}`
+        : 'Not authorized to update this task',
+      401
+    );
+  }
+
+  // 移動到其他專案需為目標專案 editor 以上，且現有參與者都需為目標專案成員
+  const movedFrom =
+    'project' in updateData && String(updateData.project || '') !== String(task.project || '')
+      ? task.project
+      : undefined;
+
+  if ('project' in updateData && updateData.project) {
+    const memberIds = await getEditableProjectMembers(updateData.project, user.id);
+    const participants = [...(task.assignees || []), ...(task.watchers || [])].map(toId);
+
+    if (participants.some((participant) => !memberIds.includes(participant))) {
+      throw new ErrorResponse(
+        'All assignees and watchers must be members of the target project',
+        400
+      );
+    }
+  }
+
+  // 子任務必須與上層任務屬於同一個專案，移動專案時子樹需一起移動，因此只能移動沒有子任務的任務
+  const parentChanged =
+    'parent' in updateData && String(updateData.parent || '') !== String(task.parent || '');
+  const project = 'project' in updateData ? updateData.project : task.project;
+
+  if (parentChanged && updateData.parent) {
+    await resolveParent(updateData.parent, user, { project: project || null, task });
+  }
+
+  if (movedFrom !== undefined) {
+    if (await Task.exists({ parent: task._id })) {
+      throw new ErrorResponse('A task with subtasks cannot be moved to another project', 400);
+    }
+
+    if (!parentChanged && task.parent) {
+      throw new ErrorResponse('Subtasks must belong to the same project as their parent', 400);
+    }
+  }
+
+  const statusChanged = 'status' in updateData && updateData.status !== task.status;
+
+  // 手動設定狀態後不再視為自動完成，子任務重新開啟時不會還原
   // 使用 dbUtils 的 update 函數代替直接 Mongoose 查詢
-  task = await update(Task, id, updateData);
+  let updated = await update(
+    Task,
+    id,
+    'status' in updateData ? { ...updateData, autoCompletedFrom: null } : updateData
+  );
+
+  // 重新計算此任務、新的上層任務與原本的上層任務的進度
+  if (updated && (statusChanged || parentChanged)) {
+    await refreshProgress(id, user.id, {
+      completed: updateData.status === 'completed' && task.status !== 'completed',
+    });
+    if (parentChanged && task.parent) {
+      await refreshProgress(task.parent, user.id);
+    }
+    updated = await Task.findById(id);
+  }
 
   // 更新任務後，刪除相關緩存已由 dbUtils 處理
-  // dbUtils.update 已經會自動清除實體和列表緩存
+  // dbUtils.update 已經會自動清除實體和列表緩存；各參與者與專案的任務列表需另外清除
+  await clearTaskCaches(updated || task, getParticipantIds(task), [movedFrom]);
+  notifyParticipants(
+    getParticipantIds(task),
+    'task:updated',
+    { taskId: task._id, title: updated ? updated.title : task.title, changes: fields },
+    user.id
+  );
 
-  return task;
+  return updated;
 };
 
 /**
- * Delete a task
+ * Delete a task and its subtasks
  * @param {string} id - Task ID
- * @param {string} userId - User ID for authorization
- * @param {string} role - User role for authorization
+ * @param {Object} user - Acting user ({ id, role }) for authorization
  * @returns {Promise<boolean>} - True if delete successful
  */
-exports.deleteTask = async (id, userId, role) => {
-  // 只獲取用戶ID以驗證權限，提高查詢性能
-  const task = await findOne(Task, id, { select: 'user', lean: true });
+exports.deleteTask = async (id, user) => {
+  // 只獲取參與者以驗證權限及清除緩存，提高查詢性能
+  const task = await findOne(Task, id, {
+    select: TASK_ACCESS_FIELDS,
+    lean: true,
+  });
 
   if (!task) {
     throw new ErrorResponse(`Task not found with id of ${id}`, 404);
   }
 
-  // Make sure user is task owner or admin
-  if (task.user.toString() !== userId && role !== 'admin') {
+  // Make sure user is task owner, a project editor or has task.delete.any (assignees cannot delete)
+  if (!(await getTaskAccess(task, user)).delete) {
     throw new ErrorResponse('Not authorized to delete this task', 401);
   }
 
+  // 子任務一併刪除
+  const subtasks = await getDescendants(task._id, { user: 1, assignees: 1, watchers: 1 });
+  if (subtasks.length > 0) {
+    await Task.deleteMany({ _id: { $in: subtasks.map((subtask) => subtask._id) } });
+  }
+
   // 使用 dbUtils 的 remove 函數
   await remove(Task, id);
 
   // 刪除相關緩存已由 dbUtils 處理
-  // dbUtils.remove 已經會自動清除實體和列表緩存
+  // dbUtils.remove 已經會自動清除實體和列表緩存；各參與者與專案的任務列表需另外清除
+  await clearTaskCaches(task, subtasks.flatMap(getParticipantIds));
+  notifyParticipants(
+    getParticipantIds(task),
+    'task:deleted',
+    { taskId: task._id, title: task.title, subtasks: subtasks.length },
+    user.id
+  );
+
+  if (task.parent) {
+    await refreshProgress(task.parent, user.id);
+  }
 
   return true;
 };
+
+/**
+ * Assign a user to a task
+ * @param {string} id - Task ID
+ * @param {string} assigneeId - User to assign
+ * @param {Object} user - Acting user ({ id, role })
+ * @returns {Promise<Task>} - Updated task
+ */
+exports.addAssignee = async (id, assigneeId, user) => {
+  const task = await loadTaskParticipants(id);
+  authorizeManage(await getTaskAccess(task, user));
+
+  const [userId] = await resolveParticipants(
+    [assigneeId],
+    'assignees',
+    await getTaskProjectMembers(task)
+  );
+
+  if ((task.assignees || []).some((existing) => existing.toString() === userId)) {
+    throw new ErrorResponse('User is already assigned to this task', 400);
+  }
+
+  if ((task.assignees || []).length >= MAX_TASK_PARTICIPANTS) {
+    throw new ErrorResponse(`A task can have at most ${MAX_TASK_PARTICIPANTS} assignees`, 400);
+  }
+
+  const updated = await update(Task, id, { $addToSet: { assignees: userId } });
+
+  await clearTaskCaches(task, [userId]);
+  notifyUser(userId, 'task:assigned', { taskId: task._id, title: task.title, by: user.id });
+  notifyParticipants(
+    getParticipantIds(task),
+    'task:assignees',
+    { taskId: task._id, title: task.title, added: [userId], removed: [] },
+    user.id
+  );
+
+  return updated;
+};
+
+/**
+ * Remove an assignee from a task
+ * 被指派者可以自行退出
+ * @param {string} id - Task ID
+ * @param {string} assigneeId - User to unassign
+ * @param {Object} user - Acting user ({ id, role })
+ * @returns {Promise<Task>} - Updated task
+ */
+exports.removeAssignee = async (id, assigneeId, user) => {
+  const task = await loadTaskParticipants(id);
+
+  if (String(assigneeId) !== user.id) {
+    authorizeManage(await getTaskAccess(task, user));
+  }
+
+  if (!(task.assignees || []).some((existing) => existing.toString() === String(assigneeId))) {
+    throw new ErrorResponse(`User ${assigneeId} is not assigned to this task`, 404);
+  }
+
+  const updated = await update(Task, id, { $pull: { assignees: assigneeId } });
+
+  await clearTaskCaches(task);
+  notifyParticipants(
+    getParticipantIds(task),
+    'task:assignees',
+    { taskId: task._id, title: task.title, added: [], removed: [String(assigneeId)] },
+    user.id
+  );
+  if (String(assigneeId) !== user.id) {
+    notifyUser(String(assigneeId), 'task:unassigned', {
+      taskId: task._id,
+      title: task.title,
+      by: user.id,
+    });
+  }
+
+  return updated;
+};
+
+/**
+ * Add a watcher to a task
+ * 可以查看任務的用戶可以關注任務，為其他人加入關注需具備管理權限
+ * @param {string} id - Task ID
+ * @param {string} watcherId - User to add, defaults to the acting user
+ * @param {Object} user - Acting user ({ id, role })
+ * @returns {Promise<Task>} - Updated task
+ */
+exports.addWatcher = async (id, watcherId, user) => {
+  const task = await loadTaskParticipants(id);
+  const targetId = watcherId ? String(watcherId) : user.id;
+
+  const access = await getTaskAccess(task, user);
+
+  if (targetId === user.id) {
+    if (!access.read) {
+      throw new ErrorResponse('Not authorized to access this task', 401);
+    }
+  } else {
+    authorizeManage(access);
+  }
+
+  const [userId] = await resolveParticipants(
+    [targetId],
+    'watchers',
+    await getTaskProjectMembers(task)
+  );
+
+  if ((task.watchers || []).some((existing) => existing.toString() === userId)) {
+    throw new ErrorResponse('User is already watching this task', 400);
+  }
+
+  if ((task.watchers || []).length >= MAX_TASK_PARTICIPANTS) {
+    throw new ErrorResponse(`A task can have at most ${MAX_TASK_PARTICIPANTS} watchers`, 400);
+  }
+
+  const updated = await update(Task, id, { $addToSet: { watchers: userId } });
+
+  await clearTaskCaches(task, [userId]);
+  if (userId !== user.id) {
+    notifyUser(userId, 'task:watching', { taskId: task._id, title: task.title, by: user.id });
+  }
+
+  return updated;
+};
+
+/**
+ * Remove a watcher from a task
+ * @param {string} id - Task ID
+ * @param {string} watcherId - User to remove
+ * @param {Object} user - Acting user ({ id, role })
+ * @returns {Promise<Task>} - Updated task
+ */
+exports.removeWatcher = async (id, watcherId, user) => {
+  const task = await loadTaskParticipants(id);
+
+  if (String(watcherId) !== user.id) {
+    authorizeManage(await getTaskAccess(task, user));
+  }
+
+  if (!(task.watchers || []).some((existing) => existing.toString() === String(watcherId))) {
+    throw new ErrorResponse(`User ${watcherId} is not watching this task`, 404);
+  }
+
+  const updated = await update(Task, id, { $pull: { watchers: watcherId } });
+
+  await clearTaskCaches(task);
+
+  return updated;
+};
+
+/**
+ * Add an item to the checklist of a task
+ * @param {string} id - Task ID
+ * @param {Object} data - { text, done, position } where position defaults to the end
+ * @param {Object} user - Acting user ({ id, role })
+ * @returns {Promise<Task>} - Updated task
+ */
+exports.addChecklistItem = async (id, { text, done = false, position } = {}, user) => {
+  const task = await loadTaskChecklist(id);
+  authorizeManage(await getTaskAccess(task, user));
+
+  if ((task.checklist || []).length >= MAX_CHECKLIST_ITEMS) {
+    throw new ErrorResponse(`A task can have at most ${MAX_CHECKLIST_ITEMS} checklist items`, 400);
+  }
+
+  if (position !== undefined && (!Number.isInteger(position) || position < 0)) {
+    throw new ErrorResponse('position must be a non-negative integer', 400);
+  }
+
+  const [item] = resolveChecklist([{ text, done }]);
+
+  await update(Task, id, {
+    $push: {
+      checklist: position === undefined ? item : { $each: [item], $position: position },
+    },
+  });
+
+  return finishChecklistChange(task, user, true);
+};
+
+/**
+ * Update a checklist item
+ * 被指派者只能勾選或取消勾選項目
+ * @param {string} id - Task ID
+ * @param {string} itemId - Checklist item ID
+ * @param {Object} data - { text, done }
+ * @param {Object} user - Acting user ({ id, role })
+ * @returns {Promise<Task>} - Updated task
+ */
+exports.updateChecklistItem = async (id, itemId, data, user) => {
+  const task = await loadTaskChecklist(id);
+  const item = (task.checklist || []).find((existing) => existing._id.toString() === itemId);
+
+  if (!item) {
+    throw new ErrorResponse(`Checklist item not found with id of ${itemId}`, 404);
+  }
+
+  const fields = Object.keys(data);
+  if (fields.length === 0 || fields.some((field) => !['text', 'done'].includes(field))) {
+    throw new ErrorResponse('Checklist items only accept: text, done', 400);
+  }
+
+  const access = await getTaskAccess(task, user);
+  if (
+    !access.update &&
+    !(access.updateStatus && fields.every((field) => ASSIGNEE_CHECKLIST_FIELDS.includes(field)))
+  ) {
+    throw new ErrorResponse(
+      access.updateStatus
+        ? `Assignees can only update checklist items: ${ASSIGNEE_CHECKLIST_FIELDS.join(', ')}`
+        : 'Not authorized to update this task',
+      401
+    );
+  }
+
+  const changes = {};
+  if ('text' in data) {
+    changes['checklist.$.text'] = resolveChecklistText(data.text);
+  }
+
+  const doneChanged = 'done' in data && Boolean(data.done) !== item.done;
+  if (doneChanged) {
+    changes['checklist.$.done'] = Boolean(data.done);
+    changes['checklist.$.completedAt'] = data.done ? new Date() : null;
+  }
+
+  await update(Task, { _id: task._id, 'checklist._id': item._id }, { $set: changes });
+
+  return finishChecklistChange(task, user, doneChanged);
+};
+
+/**
+ * Remove a checklist item
+ * @param {string} id - Task ID
+ * @param {string} itemId - Checklist item ID
+ * @param {Object} user - Acting user ({ id, role })
+ * @returns {Promise<Task>} - Updated task
+ */
+exports.removeChecklistItem = async (id, itemId, user) => {
+  const task = await loadTaskChecklist(id);
+  authorizeManage(await getTaskAccess(task, user));
+
+  const item = (task.checklist || []).find((existing) => existing._id.toString() === itemId);
+  if (!item) {
+    throw new ErrorResponse(`Checklist item not found with id of ${itemId}`, 404);
+  }
+
+  await update(Task, id, { $pull: { checklist: { _id: item._id } } });
+
+  return finishChecklistChange(task, user, true);
+};
+
+/**
+ * Reorder the checklist of a task
+ * @param {string} id - Task ID
+ * @param {Array<string>} itemIds - Every checklist item ID in the new order
+ * @param {Object} user - Acting user ({ id, role })
+ * @returns {Promise<Task>} - Updated task
+ */
+exports.reorderChecklist = async (id, itemIds, user) => {
+  const task = await loadTaskChecklist(id);
+  authorizeManage(await getTaskAccess(task, user));
+
+  const itemsById = new Map((task.checklist || []).map((item) => [item._id.toString(), item]));
+
+  if (
+    !Array.isArray(itemIds) ||
+    itemIds.length !== itemsById.size ||
+    new Set(itemIds.map(String)).size !== itemIds.length ||
+    itemIds.some((itemId) => !itemsById.has(String(itemId)))
+  ) {
+    throw new ErrorResponse('itemIds must list every checklist item exactly once', 400);
+  }
+
+  await update(Task, id, {
+    $set: { checklist: itemIds.map((itemId) => itemsById.get(String(itemId))) },
+  });
+
+  return finishChecklistChange(task, user, false);
+};
+
+/**
+ * Remove a user from the assignees and watchers of every task (used when purging an account)
+ * @param {string} userId - User ID
+ */
+exports.removeUserFromTasks = async (userId) => {
+  const tasks = await Task.find({ $or: [{ assignees: userId }, { watchers: userId }] })
+    .select('user project assignees watchers')
+    .lean();
+
+  if (tasks.length === 0) return;
+
+  await Task.updateMany(
+    { _id: { $in: tasks.map((task) => task._id) } },
+    { $pull: { assignees: userId, watchers: userId } }
+  );
+
+  await clearTaskListCaches(
+    tasks.flatMap(getParticipantIds),
+    tasks.map((task) => task.project)
+  );
+  await clearCachePattern('task:*');
+};
+
+/**
+ * Repair the task tree after tasks were deleted in bulk (used when purging an account)
+ * 被刪除任務的子任務改為頂層任務，並重新計算仍存在的上層任務的進度
+ * @param {Array<Object>} tasks - Deleted tasks with _id and parent
+ */
+exports.detachDeletedTasks = async (tasks) => {
+  if (tasks.length === 0) return;
+
+  const deletedIds = new Set(tasks.map((task) => task._id.toString()));
+
+  await Task.updateMany(
+    { parent: { $in: tasks.map((task) => task._id) } },
+    { $set: { parent: null } }
+  );
+
+  const parentIds = new Set(
+    tasks
+      .filter((task) => task.parent && !deletedIds.has(task.parent.toString()))
+      .map((task) => task.parent.toString())
+  );
+  for (const parentId of parentIds) {
+    await refreshProgress(parentId, null);
+  }
+
+  await clearCachePattern('task:*');
+};
+
+exports.clearTaskListCaches = clearTaskListCaches;
+exports.getTaskAccess = getTaskAccess;
@@ -0,0 +1,324 @@
+const crypto = require('crypto');
+const config = require('../config');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const ErrorResponse = require('../utils/errorResponse');
+const { getCache, setCache, clearCachePattern } = require('../utils/cacheUtils');
+const { invalidateLogin } = require('./loginCacheService');
+const sessionService = require('./sessionService');
+const {
+  generateOptimizedToken,
+  verifyToken,
+  verifyTokenWithCache,
+  isTokenBlacklisted,
+} = require('../utils/jwtUtils');
+
+// Refresh token 的隨機位元組長度
+const REFRESH_TOKEN_BYTES = 48;
+
+// Token 版本快取時間（秒）
+const TOKEN_VERSION_CACHE_TTL = 3600;
+
+// 單一用途 token 的 audience 前綴
+const PURPOSE_AUDIENCE_PREFIX = 'ntut-madd-api:';
+
+/**
+ * Hash a raw refresh token for storage and lookup
+ * @param {string} token - Raw refresh token
+ * @returns {string} - SHA-256 hex digest
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Generate a short-lived access token for a user
+ * @param {Object} user - User document or lean object
+ * @param {string} sessionId - Session the token belongs to
+ * @returns {string} - Signed JWT
+ */
+exports.generateAccessToken = (user, sessionId) => {
+  return generateOptimizedToken(
+    { id: user._id, tv: user.tokenVersion || 0, sid: sessionId },
+    { expiresIn: config.jwtExpire }
+  );
+};
+
+/**
+ * Sign a single-purpose token (e.g. email verification)
+ * 使用獨立的 audience，確保這類 token 無法被當作 access token 使用
+ * @param {Object} payload - Token payload
+ * @param {string} purpose - Token purpose
+ * @param {string|number} expiresIn - Token lifetime
+ * @returns {string} - Signed JWT
+ */
+exports.signPurposeToken = (payload, purpose, expiresIn) => {
+  return generateOptimizedToken(
+    { ...payload, purpose },
+    {
+      expiresIn,
+      audience: `${PURPOSE_AUDIENCE_PREFIX}${purpose}`,
+    }
+  );
+};
+
+/**
+ * Verify a single-purpose token
+ * @param {string} token - Token to verify
+ * @param {string} purpose - Expected purpose
+ * @returns {Object|null} - Decoded payload or null if invalid
+ */
+exports.verifyPurposeToken = (token, purpose) => {
+  try {
+    const decoded = verifyToken(token, { audience: `${PURPOSE_AUDIENCE_PREFIX}${purpose}` });
+
+    return decoded.purpose === purpose ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Get the current token version of a user
+ * @param {string} userId - User ID
+ * @returns {Promise<number|null>} - Token version or null if user not found
+ */
+exports.getTokenVersion = async (userId) => {
+  const cacheKey = `auth:tokenVersion:${userId}`;
+  const cached = await getCache(cacheKey);
+
+  if (cached !== null) {
+    return cached;
+  }
+
+  const user = await User.findById(userId).select('tokenVersion').lean();
+
+  if (!user) {
+    return null;
+  }
+
+  const version = user.tokenVersion || 0;
+  await setCache(cacheKey, version, TOKEN_VERSION_CACHE_TTL);
+
+  return version;
+};
+
+/**
+ * Verify an access token against the blacklist, its signature, the
+ * user's current token version and the state of its session
+ * @param {string} token - JWT access token
+ * @returns {Promise<Object|null>} - Decoded token or null if rejected
+ */
+exports.verifyAccessToken = async (token) => {
+  if (await isTokenBlacklisted(token)) {
+    return null;
+  }
+
+  const decoded = await verifyTokenWithCache(token);
+
+  if (!decoded) {
+    return null;
+  }
+
+  const currentVersion = await exports.getTokenVersion(decoded.id);
+
+  if (currentVersion === null || (decoded.tv || 0) !== currentVersion) {
+    return null;
+  }
+
+  // 所屬登入階段被撤銷後，尚未過期的 access token 也立即失效
+  if (decoded.sid) {
+    if (!(await sessionService.isSessionActive(decoded.sid))) {
+      return null;
+    }
+
+    await sessionService.touchSession(decoded.sid);
+  }
+
+  return decoded;
+};
+
+/**
+ * Create and persist a new refresh token
+ * @param {string} userId - User ID
+ * @param {string} family - Token family the new token belongs to
+ * @param {Object} meta - Client metadata ({ ip, userAgent })
+ * @returns {Promise<Object>} - Raw token and its hash
+ */
+const createRefreshToken = async (userId, family, meta = {}) => {
+  const token = crypto.randomBytes(REFRESH_TOKEN_BYTES).toString('hex');
+  const tokenHash = hashToken(token);
+
+  await RefreshToken.create({
+    user: userId,
+    tokenHash,
+    family,
+    expiresAt: new Date(Date.now() + config.refreshTokenExpireDays * 24 * 60 * 60 * 1000),
+    createdByIp: meta.ip,
+    userAgent: meta.userAgent,
+  });
+
+  return { token, tokenHash };
+};
+
+/**
+ * Start a new session and issue its access and refresh tokens
+ * 登入階段的 ID 同時作為 refresh token family
+ * @param {Object} user - User document or lean object
+ * @param {Object} meta - Client metadata ({ ip, userAgent, deviceName })
+ * @returns {Promise<Object>} - { token, refreshToken, sessionId }
+ */
+exports.issueTokens = async (user, meta = {}) => {
+  const session = await sessionService.createSession(user._id, meta);
+  const sessionId = session._id.toString();
+  const { token: refreshToken } = await createRefreshToken(user._id, sessionId, meta);
+
+  return {
+    token: exports.generateAccessToken(user, sessionId),
+    refreshToken,
+    sessionId,
+  };
+};
+
+/**
+ * Exchange a refresh token for a new token pair
+ * 已使用過或已撤銷的 token 再次出現時視為重放攻擊，撤銷整個 token family
+ * @param {string} rawToken - Refresh token presented by the client
+ * @param {Object} meta - Client metadata ({ ip, userAgent })
+ * @returns {Promise<Object>} - { user, token, refreshToken }
+ */
+exports.rotateRefreshToken = async (rawToken, meta = {}) => {
+  const tokenHash = hashToken(rawToken);
+  const stored = await RefreshToken.findOne({ tokenHash }).lean();
+
+  if (!stored) {
+    throw new ErrorResponse('Invalid refresh token', 401);
+  }
+
+  if (stored.revokedAt) {
+    // 已被輪換過的 token 再次出現代表可能遭竊，撤銷同一 family 的所有 token
+    if (stored.revokedReason === 'rotated') {
+      await exports.revokeTokenFamily(stored.family, 'reuse-detected');
+      throw new ErrorResponse('Refresh token reuse detected, please log in again', 401);
+    }
+
+    throw new ErrorResponse('Refresh token has been revoked', 401);
+  }
+
+  if (stored.expiresAt <= new Date()) {
+    throw new ErrorResponse('Refresh token expired', 401);
+  }
+
+  if (!(await sessionService.isSessionActive(stored.family))) {
+    throw new ErrorResponse('Session has been revoked', 401);
+  }
+
+  const user = await User.findById(stored.user)
+    .select('name email role emailVerified tokenVersion createdAt updatedAt')
+    .lean();
+
+  if (!user) {
+    throw new ErrorResponse('User not found', 401);
+  }
+
+  const next = await createRefreshToken(stored.user, stored.family, meta);
+
+  // 以條件更新保證同一個 token 只能被輪換一次，並發請求中只有一個會成功
+  const consumed = await RefreshToken.findOneAndUpdate(
+    { _id: stored._id, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: 'rotated', replacedBy: next.tokenHash }
+  );
+
+  if (!consumed) {
+    await exports.revokeTokenFamily(stored.family, 'reuse-detected');
+    throw new ErrorResponse('Refresh token reuse detected, please log in again', 401);
+  }
+
+  await sessionService.touchSession(stored.family, meta, true);
+
+  const { tokenVersion, ...userData } = user;
+
+  return {
+    user: userData,
+    token: exports.generateAccessToken(user, stored.family),
+    refreshToken: next.token,
+  };
+};
+
+/**
+ * Revoke the token family a refresh token belongs to
+ * @param {string} rawToken - Refresh token presented by the client
+ * @param {string} userId - Owner of the token
+ * @returns {Promise<boolean>} - True if a matching token was found
+ */
+exports.revokeRefreshToken = async (rawToken, userId) => {
+  const stored = await RefreshToken.findOne({ tokenHash: hashToken(rawToken), user: userId })
+    .select('family')
+    .lean();
+
+  if (!stored) {
+    return false;
+  }
+
+  await exports.revokeTokenFamily(stored.family, 'logout');
+  return true;
+};
+
+/**
+ * Revoke every refresh token in a family together with its session
+ * @param {string} family - Token family (session ID)
+ * @param {string} reason - Revocation reason
+ * @returns {Promise<number>} - Number of revoked tokens
+ */
+exports.revokeTokenFamily = async (family, reason = 'revoked') => {
+  const [result] = await Promise.all([
+    RefreshToken.updateMany(
+      { family, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: reason }
+    ),
+    sessionService.markSessionRevoked(family, reason),
+  ]);
+
+  return result.modifiedCount;
+};
+
+/**
+ * Revoke every refresh token issued to a user
+ * @param {string} userId - User ID
+ * @param {string} reason - Revocation reason
+ * @returns {Promise<number>} - Number of revoked tokens
+ */
+exports.revokeUserRefreshTokens = async (userId, reason = 'revoked') => {
+  const result = await RefreshToken.updateMany(
+    { user: userId, revokedAt: null },
+    { revokedAt: new Date(), revokedReason: reason }
+  );
+
+  return result.modifiedCount;
+};
+
+/**
+ * Invalidate every access and refresh token issued to a user
+ * @param {string} userId - User ID
+ * @param {string} reason - Revocation reason
+ * @returns {Promise<number>} - The new token version
+ */
+exports.revokeAllTokens = async (userId, reason = 'logout-all') => {
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { $inc: { tokenVersion: 1 } },
+    { new: true, projection: 'email tokenVersion credentialVersion' }
+  ).lean();
+
+  if (!user) {
+    throw new ErrorResponse(`User not found with id of ${userId}`, 404);
+  }
+
+  await Promise.all([
+    setCache(`auth:tokenVersion:${userId}`, user.tokenVersion, TOKEN_VERSION_CACHE_TTL),
+    exports.revokeUserRefreshTokens(userId, reason),
+    sessionService.markUserSessionsRevoked(userId, reason),
+    clearCachePattern(`auth:verify:${userId}:*`),
+    invalidateLogin(user),
+  ]);
+
+  return user.tokenVersion;
+};
@@ -0,0 +1,241 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const config = require('../config');
+const User = require('../models/User');
+const ErrorResponse = require('../utils/errorResponse');
+const { deleteCache } = require('../utils/cacheUtils');
+const { generateSecret, verifyTOTP, buildOtpauthURI } = require('../utils/totp');
+const { invalidateLogin } = require('./loginCacheService');
+
+const TWO_FACTOR_FIELDS =
+  '+twoFactorSecret +twoFactorPendingSecret +twoFactorRecoveryCodes +twoFactorLastUsedStep';
+
+// 復原碼的 bcrypt 輪數；復原碼本身是隨機值，且確認啟用時需一次雜湊整組
+const RECOVERY_CODE_SALT_ROUNDS = 8;
+
+const normalizeRecoveryCode = (code) => String(code).toLowerCase().replace(/[\s-]/g, '');
+
+/**
+ * Normalize and hash a recovery code
+ * @param {string} code - Recovery code
+ * @returns {Promise<string>} - Salted bcrypt hash
+ */
+const hashRecoveryCode = (code) =>
+  bcrypt.hash(normalizeRecoveryCode(code), RECOVERY_CODE_SALT_ROUNDS);
+
+/**
+ * Find the stored hash matching a recovery code
+ * @param {Array<string>} hashes - Stored recovery code hashes
+ * @param {string} code - Recovery code as entered by the user
+ * @returns {Promise<string|null>} - Matching hash or null
+ */
+const findRecoveryCode = async (hashes, code) => {
+  const normalized = normalizeRecoveryCode(code);
+
+  for (const hash of hashes) {
+    if (await bcrypt.compare(normalized, hash)) {
+      return hash;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Generate a fresh set of recovery codes
+ * @returns {Array<string>} - Plain recovery codes, e.g. 'a1b2c-3d4e5'
+ */
+const generateRecoveryCodes = () => {
+  const codes = [];
+
+  for (let i = 0; i < config.twoFactor.recoveryCodeCount; i++) {
+    const raw = crypto.randomBytes(5).toString('hex');
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+
+  return codes;
+};
+
+/**
+ * Persist a 2FA state change and invalidate cached login data
+ * 兩步驟驗證狀態屬於憑證的一部分，變更時遞增憑證版本，確保登入快取不會略過第二步驟
+ * @param {Object} user - User document
+ */
+const saveCredentialChange = async (user) => {
+  user.credentialVersion = (user.credentialVersion || 0) + 1;
+  await user.save({ validateBeforeSave: false });
+
+  await deleteCache(`user:${user._id}:profile`);
+  await invalidateLogin(user);
+};
+
+/**
+ * Load a user with 2FA fields
+ * @param {string} userId - User ID
+ * @param {string} extraFields - Additional hidden fields to select
+ * @returns {Promise<User>} - User document
+ */
+const loadUser = async (userId, extraFields = '') => {
+  const user = await User.findById(userId).select(`${TWO_FACTOR_FIELDS} ${extraFields}`.trim());
+
+  if (!user) {
+    throw new ErrorResponse(`User not found with id of ${userId}`, 404);
+  }
+
+  return user;
+};
+
+/**
+ * Load a user with 2FA fields after re-checking the password
+ * @param {string} userId - User ID
+ * @param {string} password - Current password
+ * @returns {Promise<User>} - User document
+ */
+const loadUserWithPassword = async (userId, password) => {
+  const user = await loadUser(userId, '+password');
+
+  if (!(await user.matchPassword(password))) {
+    throw new ErrorResponse('Password is incorrect', 401);
+  }
+
+  return user;
+};
+
+/**
+ * Start 2FA enrolment by generating a pending secret
+ * @param {string} userId - User ID
+ * @param {string} password - Current password
+ * @returns {Promise<Object>} - { secret, otpauthUri }
+ */
+exports.startEnrolment = async (userId, password) => {
+  const user = await loadUserWithPassword(userId, password);
+
+  if (user.twoFactorEnabled) {
+    throw new ErrorResponse('Two-factor authentication is already enabled', 400);
+  }
+
+  // 確認前只保存在 pending 欄位，未完成確認不會影響登入
+  const secret = generateSecret();
+  user.twoFactorPendingSecret = secret;
+  await user.save({ validateBeforeSave: false });
+
+  return {
+    secret,
+    otpauthUri: buildOtpauthURI(secret, user.email, config.twoFactor.issuer),
+  };
+};
+
+/**
+ * Confirm enrolment with a code from the authenticator app
+ * @param {string} userId - User ID
+ * @param {string} password - Current password
+ * @param {string} code - TOTP code
+ * @returns {Promise<Array<string>>} - Plain recovery codes, shown only once
+ */
+exports.confirmEnrolment = async (userId, password, code) => {
+  const user = await loadUserWithPassword(userId, password);
+
+  if (user.twoFactorEnabled) {
+    throw new ErrorResponse('Two-factor authentication is already enabled', 400);
+  }
+
+  if (!user.twoFactorPendingSecret) {
+    throw new ErrorResponse('Please start two-factor setup first', 400);
+  }
+
+  const step = verifyTOTP(user.twoFactorPendingSecret, code);
+
+  if (step === null) {
+    throw new ErrorResponse('Invalid verification code', 400);
+  }
+
+  const recoveryCodes = generateRecoveryCodes();
+
+  user.twoFactorEnabled = true;
+  user.twoFactorSecret = user.twoFactorPendingSecret;
+  user.twoFactorPendingSecret = undefined;
+  user.twoFactorRecoveryCodes = await Promise.all(recoveryCodes.map(hashRecoveryCode));
+  user.twoFactorLastUsedStep = step;
+  await saveCredentialChange(user);
+
+  return recoveryCodes;
+};
+
+/**
+ * Verify a second factor for a user document loaded with 2FA fields
+ * 驗證碼與復原碼擇一，復原碼使用後即失效
+ * @param {Object} user - User document
+ * @param {Object} factor - { code } or { recoveryCode }
+ * @returns {Promise<boolean>} - True if the factor is valid
+ */
+const verifySecondFactor = async (user, { code, recoveryCode }) => {
+  if (recoveryCode) {
+    const codes = user.twoFactorRecoveryCodes || [];
+    const hash = await findRecoveryCode(codes, recoveryCode);
+
+    if (!hash) {
+      return false;
+    }
+
+    user.twoFactorRecoveryCodes = codes.filter((item) => item !== hash);
+    await user.save({ validateBeforeSave: false });
+    return true;
+  }
+
+  const step = verifyTOTP(user.twoFactorSecret, code);
+
+  // 拒絕已使用過的時間步長，避免驗證碼在有效期內被重放
+  if (step === null || (user.twoFactorLastUsedStep && step <= user.twoFactorLastUsedStep)) {
+    return false;
+  }
+
+  user.twoFactorLastUsedStep = step;
+  await user.save({ validateBeforeSave: false });
+  return true;
+};
+
+/**
+ * Verify the second login step for a user
+ * @param {string} userId - User ID
+ * @param {Object} factor - { code } or { recoveryCode }
+ * @returns {Promise<User>} - User document on success
+ */
+exports.verifyLogin = async (userId, factor) => {
+  const user = await loadUser(userId);
+
+  if (!user.twoFactorEnabled) {
+    throw new ErrorResponse('Two-factor authentication is not enabled', 400);
+  }
+
+  if (!(await verifySecondFactor(user, factor))) {
+    throw new ErrorResponse('Invalid verification code', 401);
+  }
+
+  return user;
+};
+
+/**
+ * Disable 2FA after re-checking the password and a second factor
+ * @param {string} userId - User ID
+ * @param {string} password - Current password
+ * @param {Object} factor - { code } or { recoveryCode }
+ * @returns {Promise<void>}
+ */
+exports.disable = async (userId, password, factor) => {
+  const user = await loadUserWithPassword(userId, password);
+
+  if (!user.twoFactorEnabled) {
+    throw new ErrorResponse('Two-factor authentication is not enabled', 400);
+  }
+
+  if (!(await verifySecondFactor(user, factor))) {
+    throw new ErrorResponse('Invalid verification code', 401);
+  }
+
+  user.twoFactorEnabled = false;
+  user.twoFactorSecret = undefined;
+  user.twoFactorPendingSecret = undefined;
+  user.twoFactorRecoveryCodes = undefined;
+  user.twoFactorLastUsedStep = undefined;
+  await saveCredentialChange(user);
+};
@@ -0,0 +1,185 @@
+/**
+ * User Directory Service
+ * 用戶搜尋：名稱前綴與全文搜尋，電子郵件只比對包含 @ 的前綴，避免逐字列舉所有信箱。
+ * 搜尋結果遵守每位用戶的 discoverability 設定，聯絡人與曾經對話過的用戶排在前面，封鎖了搜尋者的用戶不會出現。
+ */
+
+const User = require('../models/User');
+const Conversation = require('../models/Conversation');
+const ErrorResponse = require('../utils/errorResponse');
+const { getAcceptedContactIds, getBlockedByIds } = require('./contactService');
+
+const { EMAIL_PATTERN } = User;
+
+// 每種搜尋方式最多取出的候選數量，合併排序後再分頁
+const MAX_CANDIDATES = 200;
+
+// 搜尋結果回傳的欄位，電子郵件只回傳給聯絡人
+const RESULT_FIELDS = 'name email displayName avatar statusMessage';
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Get the IDs of the viewer's contacts and users the viewer has talked to
+ * @param {string} userId - Viewer ID
+ * @returns {Promise<Array<string>>} - Contact user IDs
+ */
+const getContactIds = async (userId) => {
+  const [conversations, acceptedIds] = await Promise.all([
+    Conversation.find({ participants: userId }).select('participants').lean(),
+    getAcceptedContactIds(userId),
+  ]);
+
+  const contactIds = new Set(acceptedIds);
+  conversations.forEach((conversation) => {
+    conversation.participants.forEach((participant) => {
+      if (participant.toString() !== userId.toString()) {
+        contactIds.add(participant.toString());
+      }
+    });
+  });
+
+  return Array.from(contactIds);
+};
+
+/**
+ * Build the conditions for users the viewer is allowed to find
+ * 未設定 discoverability 的用戶視為 everyone
+ * @param {string} viewerId - Viewer ID
+ * @param {Array<string>} contactIds - Contacts of the viewer
+ * @param {Array<string>} blockedByIds - Users who have blocked the viewer
+ * @returns {Object} - MongoDB conditions
+ */
+const visibleTo = (viewerId, contactIds, blockedByIds = []) => ({
+  _id: { $nin: [viewerId, ...blockedByIds] },
+  deletedAt: null,
+  $or: [
+    { discoverability: { $nin: ['contacts', 'nobody'] } },
+    { discoverability: 'contacts', _id: { $in: contactIds } },
+  ],
+});
+
+/**
+ * Remove private fields from a search result
+ * @param {Object} user - User document
+ * @param {Set<string>} contacts - Contact IDs of the viewer
+ * @returns {Object} - Search result
+ */
+const toResult = (user, contacts) => {
+  const isContact = contacts.has(user._id.toString());
+  const { email, score, ...result } = user;
+
+  return isContact ? { ...result, email, isContact } : { ...result, isContact };
+};
+
+/**
+ * Search users by name or email
+ * @param {string} viewerId - ID of the searching user
+ * @param {Object} params - { q, page, limit }
+ * @returns {Promise<Object>} - { users, pagination }
+ */
+exports.searchUsers = async (viewerId, { q, page = 1, limit = 20 } = {}) => {
+  const query = typeof q === 'string' ? q.trim() : '';
+
+  if (query.length < 2 || query.length > 100) {
+    throw new ErrorResponse('Search query must be between 2 and 100 characters', 400);
+  }
+
+  const [contactIds, blockedByIds] = await Promise.all([
+    getContactIds(viewerId),
+    getBlockedByIds(viewerId),
+  ]);
+  const contacts = new Set(contactIds);
+  const visibility = visibleTo(viewerId, contactIds, blockedByIds);
+  const prefix = new RegExp(`^${escapeRegExp(query)}`, 'i');
+
+  // 電子郵件只在查詢包含 @ 時比對，避免以單一字元列舉信箱；
+  // 信箱以小寫保存，比對小寫的前綴即可使用索引
+  const prefixConditions = [{ name: prefix }, { displayName: prefix }];
+  if (query.includes('@')) {
+    prefixConditions.push({ email: new RegExp(`^${escapeRegExp(query.toLowerCase())}`) });
+  }
+
+  const [prefixMatches, textMatches] = await Promise.all([
+    User.find({ $and: [visibility, { $or: prefixConditions }] })
+      .select(RESULT_FIELDS)
+      .limit(MAX_CANDIDATES)
+      .lean(),
+    // 使用 name 的文字索引進行全文搜尋
+    User.find({ $and: [visibility, { $text: { $search: query } }] })
+      .select(RESULT_FIELDS)
+      .select({ score: { $meta: 'textScore' } })
+      .sort({ score: { $meta: 'textScore' } })
+      .limit(MAX_CANDIDATES)
+      .lean(),
+  ]);
+
+  // 合併結果：聯絡人優先，其次為前綴符合，再依全文分數與名稱排序
+  const candidates = new Map();
+  prefixMatches.forEach((user) => {
+    candidates.set(user._id.toString(), { user, prefix: true, score: 0 });
+  });
+  textMatches.forEach((user) => {
+    const key = user._id.toString();
+    const existing = candidates.get(key);
+    if (existing) {
+      existing.score = user.score;
+    } else {
+      candidates.set(key, { user, prefix: false, score: user.score });
+    }
+  });
+
+  const ranked = Array.from(candidates.values()).sort((a, b) => {
+    const contactOrder =
+      Number(contacts.has(b.user._id.toString())) - Number(contacts.has(a.user._id.toString()));
+    if (contactOrder !== 0) return contactOrder;
+    if (a.prefix !== b.prefix) return a.prefix ? -1 : 1;
+    if (a.score !== b.score) return b.score - a.score;
+    return a.user.name.localeCompare(b.user.name);
+  });
+
+  const total = ranked.length;
+  const totalPages = Math.ceil(total / limit);
+  const users = ranked
+    .slice((page - 1) * limit, page * limit)
+    .map(({ user }) => toResult(user, contacts));
+
+  return {
+    users,
+    pagination: {
+      total,
+      page,
+      limit,
+      totalPages,
+      hasNextPage: page < totalPages,
+      hasPrevPage: page > 1,
+    },
+  };
+};
+
+/**
+ * Find a discoverable user by exact email
+ * @param {string} viewerId - ID of the searching user
+ * @param {string} email - Full email to look up (case-insensitive)
+ * @returns {Promise<Object|null>} - User or null
+ */
+exports.findByEmail = async (viewerId, email) => {
+  const normalized = String(email).trim().toLowerCase();
+
+  if (!EMAIL_PATTERN.test(normalized)) {
+    throw new ErrorResponse('Please provide a full email address', 400);
+  }
+
+  const [contactIds, blockedByIds] = await Promise.all([
+    getContactIds(viewerId),
+    getBlockedByIds(viewerId),
+  ]);
+
+  return User.findOne({
+    $and: [visibleTo(viewerId, contactIds, blockedByIds), { email: normalized }],
+  })
+    .select('name email displayName avatar statusMessage createdAt')
+    .lean();
+};
+
+exports.getContactIds = getContactIds;
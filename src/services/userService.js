@@ -1,6 +1,46 @@
+const fs = require('fs');
+const path = require('path');
 const User = require('../models/User');
+const File = require('../models/File');
 const ErrorResponse = require('../utils/errorResponse');
-const { withCache, deleteCache, clearCachePattern } = require('../utils/cacheUtils');
+const { withCache, deleteCache } = require('../utils/cacheUtils');
+
+const { PROFILE_FIELDS } = User;
+
+// 個人檔案 API 回傳的欄位
+const PROFILE_SELECT =
+  'name email role emailVerified displayName bio avatar locale timezone statusMessage discoverability messagePolicy createdAt updatedAt';
+
+/**
+ * Clear cached user data after a change
+ * user:<id>:profile 由驗證中介軟體使用，user:<id>:details 為完整的個人檔案
+ * @param {string} id - User ID
+ */
+const clearUserCache = async (id) => {
+  await deleteCache(`user:${id}:profile`);
+  await deleteCache(`user:${id}:details`);
+};
+
+/**
+ * Delete a file record and its file on disk
+ * @param {string} fileId - File ID
+ */
+const removeFile = async (fileId) => {
+  const file = await File.findByIdAndDelete(fileId);
+
+  if (!file) {
+    return;
+  }
+
+  try {
+    const filePath = path.resolve(file.filePath);
+    if (fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+    }
+  } catch (err) {
+    console.error('刪除實體檔案失敗:', err);
+  }
+};
 
 /**
  * Find user by ID
@@ -10,12 +50,10 @@ const { withCache, deleteCache, clearCachePattern } = require('../utils/cacheUti
 exports.findUserById = async (id) => {
   // 使用 Redis 緩存用戶數據，設置 30 分鐘過期時間
   return withCache(
-    `user:${id}:profile`,
+    `user:${id}:details`,
     async () => {
       // 使用 lean() 提高查詢性能，並只選擇必要字段
-      const user = await User.findById(id)
-        .select('name email role createdAt updatedAt')
-        .lean({ virtuals: true });
+      const user = await User.findById(id).select(PROFILE_SELECT).lean({ virtuals: true });
 
       if (!user) {
         throw new ErrorResponse(`User not found with id of ${id}`, 404);
@@ -33,62 +71,125 @@ exports.findUserById = async (id) => {
  */
 exports.findUserByEmail = async (email) => {
   // 使用 lean() 提高查詢性能，並只選擇必要字段
-  const user = await User.findOne({ email })
-    .select('name email role createdAt updatedAt')
-    .lean({ virtuals: true });
+  const user = await User.findOne({ email }).select(PROFILE_SELECT).lean({ virtuals: true });
 
   return user;
 };
 
 /**
  * Update user profile
+ * 只接受 PROFILE_FIELDS 中的欄位，其他欄位 (例如 role) 一律拒絕
  * @param {string} id - User ID
  * @param {Object} updateData - Data to update
  * @returns {Promise<User>} - Updated user object
  */
 exports.updateUser = async (id, updateData) => {
-  // Don't allow role to be updated through this method for security
-  if (updateData.role) {
-    delete updateData.role;
+  const unknownFields = Object.keys(updateData).filter((key) => !PROFILE_FIELDS.includes(key));
+
+  if (unknownFields.length > 0) {
+    throw new ErrorResponse(`Unknown profile field(s): ${unknownFields.join(', ')}`, 400);
   }
 
-  const user = await User.findByIdAndUpdate(id, updateData, {
-    new: true,
-    runValidators: true,
-    lean: true, // 使用 lean 提高查詢性能
-    // 只返回必要字段
-    fields: 'name email role createdAt updatedAt',
+  const $set = {};
+  const $unset = {};
+
+  PROFILE_FIELDS.forEach((field) => {
+    if (!(field in updateData)) return;
+
+    const value = updateData[field];
+
+    if (value !== null && typeof value !== 'string') {
+      throw new ErrorResponse(`${field} must be a string`, 400);
+    }
+
+    // 可選欄位傳入 null 或空字串表示清除
+    if ((value === null || value === '') && field !== 'name') {
+      $unset[field] = 1;
+    } else {
+      $set[field] = value;
+    }
   });
 
+  const user = await User.findByIdAndUpdate(
+    id,
+    { $set, $unset },
+    {
+      new: true,
+      runValidators: true,
+      lean: true, // 使用 lean 提高查詢性能
+      // 只返回必要字段
+      fields: PROFILE_SELECT,
+    }
+  );
+
   if (!user) {
     throw new ErrorResponse(`User not found with id of ${id}`, 404);
   }
 
   // 更新用戶後，刪除相關緩存
-  await deleteCache(`user:${id}:profile`);
+  await clearUserCache(id);
   await deleteCache(`auth:token:${id}`);
 
   return user;
 };
 
 /**
- * Delete user account
+ * Set the avatar of a user from an uploaded image
+ * 頭像會建立為公開檔案，並刪除先前的頭像
  * @param {string} id - User ID
- * @returns {Promise<boolean>} - True if delete successful
+ * @param {Object} uploadedFile - File from multer (req.file)
+ * @returns {Promise<User>} - Updated user object
  */
-exports.deleteUser = async (id) => {
-  // 直接使用 findByIdAndDelete 減少查詢次數
-  const result = await User.findByIdAndDelete(id);
+exports.setAvatar = async (id, uploadedFile) => {
+  const file = await File.create({
+    name: 'avatar',
+    originalName: uploadedFile.originalname,
+    fileType: uploadedFile.mimetype,
+    fileSize: uploadedFile.size,
+    filePath: uploadedFile.path,
+    user: id,
+    isPublic: true, // 其他用戶需要能在聊天中看到頭像
+  });
 
-  if (!result) {
+  const previous = await User.findByIdAndUpdate(id, { avatar: file._id }, { fields: 'avatar' });
+
+  if (!previous) {
+    await removeFile(file._id);
     throw new ErrorResponse(`User not found with id of ${id}`, 404);
   }
 
-  // 刪除用戶相關的所有緩存
-  await deleteCache(`user:${id}:profile`);
-  await deleteCache(`auth:token:${id}`);
-  // 刪除可能與此用戶相關的任務緩存
-  await clearCachePattern('tasks:*');
+  if (previous.avatar) {
+    await removeFile(previous.avatar);
+  }
+
+  await clearUserCache(id);
+
+  return exports.findUserById(id);
+};
+
+/**
+ * Remove the avatar of a user
+ * @param {string} id - User ID
+ * @returns {Promise<User>} - Updated user object
+ */
+exports.removeAvatar = async (id) => {
+  const previous = await User.findByIdAndUpdate(
+    id,
+    { $unset: { avatar: 1 } },
+    { fields: 'avatar' }
+  );
 
-  return true;
+  if (!previous) {
+    throw new ErrorResponse(`User not found with id of ${id}`, 404);
+  }
+
+  if (previous.avatar) {
+    await removeFile(previous.avatar);
+  }
+
+  await clearUserCache(id);
+
+  return exports.findUserById(id);
 };
+
+exports.clearUserCache = clearUserCache;
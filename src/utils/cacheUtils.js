@@ -105,6 +105,33 @@ const clearCachePattern = async (pattern) => {
   }
 };
 
+/**
+ * 遞增計數器
+ * 第一次遞增時設定過期時間，之後的遞增不會延長計數器的有效期
+ * @param {string} key - 快取鍵名
+ * @param {number} expiration - 過期時間（秒）
+ * @returns {Promise<number|null>} - 遞增後的值，失敗時為 null
+ */
+const incrementCache = async (key, expiration = DEFAULT_EXPIRATION) => {
+  const client = await redisPool.connect();
+  try {
+    const incrAsync = promisify(client.incr).bind(client);
+    const expireAsync = promisify(client.expire).bind(client);
+
+    const value = await incrAsync(key);
+    if (value === 1) {
+      await expireAsync(key, expiration);
+    }
+
+    return value;
+  } catch (error) {
+    console.error('Redis increment error:', error);
+    return null;
+  } finally {
+    redisPool.release(client);
+  }
+};
+
 /**
  * 使用快取包裝器函數
  * 如果快取中存在數據，直接返回
@@ -149,6 +176,7 @@ module.exports = {
   setCache,
   deleteCache,
   clearCachePattern,
+  incrementCache,
   withCache,
 
   // 添加特定模型的緩存管理函數
@@ -2,6 +2,9 @@
  * Utility functions for chat-related operations
  */
 
+// 聊天中 participants 與 sender 顯示的用戶欄位
+exports.USER_SUMMARY_FIELDS = 'name email displayName avatar statusMessage';
+
 /**
  * Format conversation data for client response
  * @param {Object} conversation - The conversation document
@@ -0,0 +1,103 @@
+/**
+ * Cursor pagination helpers
+ * 游標以 (createdAt, _id) 為鍵並編碼為不透明字串，新增資料不會使已取得的頁面位移或重複。
+ */
+
+const mongoose = require('mongoose');
+const ErrorResponse = require('./errorResponse');
+
+// 游標參數，產生連結時會被取代
+const CURSOR_PARAMS = ['after', 'before', 'page'];
+
+/**
+ * Encode the position of a document as a cursor
+ * @param {Object} doc - Document with createdAt and _id
+ * @returns {string} - Opaque cursor
+ */
+const encodeCursor = (doc) =>
+  Buffer.from(JSON.stringify([new Date(doc.createdAt).getTime(), String(doc._id)])).toString(
+    'base64url'
+  );
+
+/**
+ * Decode a cursor created by encodeCursor
+ * @param {string} cursor - Opaque cursor
+ * @returns {Object} - { createdAt, _id }
+ * @throws {ErrorResponse} - 400 when the cursor is malformed
+ */
+const decodeCursor = (cursor) => {
+  try {
+    const [time, id] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+
+    if (!Number.isInteger(time) || !mongoose.Types.ObjectId.isValid(id)) {
+      throw new Error('Malformed cursor');
+    }
+
+    return { createdAt: new Date(time), _id: new mongoose.Types.ObjectId(id) };
+  } catch (err) {
+    throw new ErrorResponse('Invalid pagination cursor', 400);
+  }
+};
+
+/**
+ * Parse cursor pagination query parameters
+ * @param {Object} query - Request query
+ * @param {Object} options - { defaultLimit, maxLimit }
+ * @returns {Object} - { after, before, limit }
+ * @throws {ErrorResponse} - 400 on invalid input
+ */
+const parseCursorQuery = (query, { defaultLimit = 25, maxLimit = 100 } = {}) => {
+  const { after, before } = query;
+
+  if (after !== undefined && before !== undefined) {
+    throw new ErrorResponse('Use either after or before, not both', 400);
+  }
+
+  let limit = defaultLimit;
+  if (query.limit !== undefined && query.limit !== '') {
+    limit = Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > maxLimit) {
+      throw new ErrorResponse(`limit must be an integer between 1 and ${maxLimit}`, 400);
+    }
+  }
+
+  return {
+    after: after !== undefined ? decodeCursor(after) : null,
+    before: before !== undefined ? decodeCursor(before) : null,
+    limit,
+  };
+};
+
+/**
+ * Build next and prev links for a cursor page
+ * 保留原本的查詢參數，只替換游標
+ * @param {Object} req - Express request
+ * @param {Object} pagination - { nextCursor, prevCursor }
+ * @returns {Object} - { next, prev }
+ */
+const buildCursorLinks = (req, { nextCursor, prevCursor }) => {
+  const link = (name, cursor) => {
+    if (!cursor) return null;
+
+    const params = new URLSearchParams();
+    Object.entries(req.query).forEach(([key, value]) => {
+      if (CURSOR_PARAMS.includes(key)) return;
+      (Array.isArray(value) ? value : [value]).forEach((item) => params.append(key, item));
+    });
+    params.set(name, cursor);
+
+    return `${req.baseUrl}${req.path}?${params.toString()}`;
+  };
+
+  return {
+    next: link('after', nextCursor),
+    prev: link('before', prevCursor),
+  };
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  parseCursorQuery,
+  buildCursorLinks,
+};
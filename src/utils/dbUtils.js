@@ -5,6 +5,7 @@
 
 const mongoose = require('mongoose');
 const { withModelCache, clearEntityCache, clearModelCache } = require('./cacheUtils');
+const { encodeCursor } = require('./cursorUtils');
 
 /**
  * 獲取單筆資料（帶緩存）
@@ -160,7 +161,8 @@ const paginate = async (model, condition = {}, options = {}) => {
   // 使用緩存包裝查詢
   return await withModelCache(
     modelName,
-    { ...condition, _page: page, _limit: limit },
+    // 排序與欄位不同時結果也不同，需納入緩存鍵
+    { ...condition, _page: page, _limit: limit, _sort: sort, _select: select },
     async () => {
       // 執行查詢並獲取總數
       const [total, data] = await Promise.all([
@@ -187,6 +189,97 @@ const paginate = async (model, condition = {}, options = {}) => {
   );
 };
 
+/**
+ * 游標分頁查詢（不使用緩存）
+ * 以 (createdAt, _id) 排序並從游標位置繼續查詢，查詢期間新增的資料不會造成重複或遺漏
+ *
+ * @param {mongoose.Model} model - Mongoose模型
+ * @param {Object} condition - 查詢條件
+ * @param {Object} options - 查詢選項
+ * @param {Object} options.after - 已解碼的游標，取得列表中位於其後的資料
+ * @param {Object} options.before - 已解碼的游標，取得列表中位於其前的資料
+ * @param {number} options.limit - 每頁數量
+ * @param {number} options.order - 列表順序，-1 為新到舊，1 為舊到新
+ * @param {boolean} options.fromEnd - 沒有游標時從列表末端開始（例如聊天室最新的訊息）
+ * @param {string} options.populate - 要填充的字段
+ * @param {string} options.select - 要選擇的字段
+ * @returns {Promise<Object>} - 分頁結果
+ */
+const cursorPaginate = async (model, condition = {}, options = {}) => {
+  const {
+    after = null,
+    before = null,
+    limit = 25,
+    order = -1,
+    fromEnd = false,
+    populate = '',
+    select = '',
+    lean = true,
+  } = options;
+
+  // 往回取資料時反向查詢，取得後再轉回列表順序
+  const backward = Boolean(before) || (!after && fromEnd);
+  const queryOrder = backward ? -order : order;
+  const cursor = after || before;
+
+  const query = { ...condition };
+  if (cursor) {
+    const operator = queryOrder === 1 ? '$gt' : '$lt';
+    query.$and = [
+      ...(condition.$and || []),
+      {
+        $or: [
+          { createdAt: { [operator]: cursor.createdAt } },
+          { createdAt: cursor.createdAt, _id: { [operator]: cursor._id } },
+        ],
+      },
+    ];
+  }
+
+  // 多取一筆以判斷是否還有下一頁
+  let queryBuilder = model
+    .find(query)
+    .sort({ createdAt: queryOrder, _id: queryOrder })
+    .limit(limit + 1);
+
+  if (populate) {
+    queryBuilder = queryBuilder.populate(populate);
+  }
+
+  if (select) {
+    // 產生游標需要 createdAt
+    queryBuilder = queryBuilder.select(
+      select.split(' ').includes('createdAt') ? select : `${select} createdAt`
+    );
+  }
+
+  if (lean) {
+    queryBuilder = queryBuilder.lean();
+  }
+
+  const docs = await queryBuilder.exec();
+  const hasMore = docs.length > limit;
+  const data = hasMore ? docs.slice(0, limit) : docs;
+
+  if (backward) {
+    data.reverse();
+  }
+
+  const hasNextPage = backward ? Boolean(before) : hasMore;
+  const hasPrevPage = backward ? hasMore : Boolean(after);
+
+  return {
+    data,
+    pagination: {
+      limit,
+      hasNextPage,
+      hasPrevPage,
+      nextCursor: hasNextPage && data.length > 0 ? encodeCursor(data[data.length - 1]) : null,
+      prevCursor: hasPrevPage && data.length > 0 ? encodeCursor(data[0]) : null,
+    },
+  };
+};
+
 /**
  * 創建資料並清除相關緩存
  *
@@ -298,6 +391,7 @@ module.exports = {
   findOne,
   find,
   paginate,
+  cursorPaginate,
   create,
   update,
   remove,
@@ -6,10 +6,10 @@
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
 const config = require('../config');
-const { getCache, setCache } = require('./cacheUtils');
+const { getCache, setCache, deleteCache } = require('./cacheUtils');
+const { getSigningKey, getVerificationKey } = require('./keyStore');
 
-// Token signature options
-const JWT_ALGORITHM = 'HS256'; // Fastest algorithm for JWT
+// Token signature options (演算法與金鑰由 keyStore 決定)
 const JWT_AUDIENCE = 'ntut-madd-api-users';
 const JWT_ISSUER = 'ntut-madd-api';
 
@@ -19,18 +19,19 @@ const JWT_VERIFICATION_CACHE_TTL = 1800; // 30 minutes
 /**
  * Generate a high-performance JWT token
  * @param {Object} payload - Token payload
- * @param {string} secret - Secret key for signing
  * @param {Object} options - JWT options
- * @returns {string} - JWT token
+ * @returns {string} - JWT token signed with the active key
  */
-const generateOptimizedToken = (payload, secret = config.jwtSecret, options = {}) => {
+const generateOptimizedToken = (payload, options = {}) => {
   // Create a token ID for revocation capability
   const jti = crypto.randomBytes(12).toString('hex');
+  const { kid, alg, privateKey } = getSigningKey();
 
   // Use meaningful default options for better security
   const tokenOptions = {
     expiresIn: options.expiresIn || config.jwtExpire,
-    algorithm: JWT_ALGORITHM,
+    algorithm: alg,
+    keyid: kid,
     jwtid: jti,
     audience: JWT_AUDIENCE,
     issuer: JWT_ISSUER,
@@ -38,34 +39,79 @@ const generateOptimizedToken = (payload, secret = config.jwtSecret, options = {}
   };
 
   // Generate token
-  return jwt.sign(payload, secret, tokenOptions);
+  return jwt.sign(payload, privateKey, tokenOptions);
+};
+
+/**
+ * Verify a token signature and standard claims
+ * 依 token 標頭的 kid 選擇驗證金鑰，且只接受該金鑰的演算法
+ * @param {string} token - JWT token
+ * @param {Object} options - jwt.verify options (e.g. audience)
+ * @returns {Object} - Decoded payload
+ * @throws {jwt.JsonWebTokenError} - If the token is invalid
+ */
+const verifyToken = (token, options = {}) => {
+  const decoded = jwt.decode(token, { complete: true });
+
+  if (!decoded) {
+    throw new jwt.JsonWebTokenError('jwt malformed');
+  }
+
+  const key = getVerificationKey(decoded.header.kid);
+
+  if (!key) {
+    throw new jwt.JsonWebTokenError('unknown signing key');
+  }
+
+  return jwt.verify(token, key.publicKey, {
+    algorithms: [key.alg],
+    audience: JWT_AUDIENCE,
+    issuer: JWT_ISSUER,
+    ...options,
+  });
+};
+
+/**
+ * Build the verification cache key for a token
+ * 以用戶 ID 作為前綴，讓登出所有裝置時可以依模式清除該用戶的驗證快取
+ * @param {string} token - JWT token
+ * @returns {string} - Cache key
+ */
+const getVerifyCacheKey = (token) => {
+  const decoded = jwt.decode(token);
+  const tokenHash = crypto.createHash('sha256').update(token).digest('hex');
+
+  if (decoded && decoded.id) {
+    return `auth:verify:${decoded.id}:${tokenHash}`;
+  }
+
+  return `auth:verify:${tokenHash}`;
 };
 
 /**
  * Verify JWT token with caching for improved performance
  * @param {string} token - JWT token to verify
- * @param {string} secret - Secret key for verification
  * @returns {Promise<Object|null>} - Decoded token or null if invalid
  */
-const verifyTokenWithCache = async (token, secret = config.jwtSecret) => {
+const verifyTokenWithCache = async (token) => {
   try {
     // Check if token has been verified before
-    const cacheKey = `auth:verify:${token}`;
+    const cacheKey = getVerifyCacheKey(token);
     const cachedResult = await getCache(cacheKey);
 
-    if (cachedResult) {
+    // 快取的驗證結果仍需檢查過期時間，避免短效 token 過期後仍被接受
+    if (cachedResult && (!cachedResult.exp || cachedResult.exp > Math.floor(Date.now() / 1000))) {
       return cachedResult;
     }
 
     // Perform verification
-    const decoded = jwt.verify(token, secret, {
-      algorithms: [JWT_ALGORITHM],
-      audience: JWT_AUDIENCE,
-      issuer: JWT_ISSUER,
-    });
+    const decoded = verifyToken(token);
 
-    // Cache the result
-    await setCache(cacheKey, decoded, JWT_VERIFICATION_CACHE_TTL);
+    // Cache the result, but never beyond the token's own expiry
+    const remaining = decoded.exp
+      ? decoded.exp - Math.floor(Date.now() / 1000)
+      : JWT_VERIFICATION_CACHE_TTL;
+    await setCache(cacheKey, decoded, Math.min(JWT_VERIFICATION_CACHE_TTL, remaining));
 
     return decoded;
   } catch (error) {
@@ -114,8 +160,7 @@ const blacklistToken = async (token) => {
     await setCache(blacklistKey, true, ttl);
 
     // Also invalidate verification cache
-    const cacheKey = `auth:verify:${token}`;
-    await getCache(cacheKey);
+    await deleteCache(getVerifyCacheKey(token));
 
     return true;
   } catch (error) {
@@ -126,7 +171,9 @@ const blacklistToken = async (token) => {
 
 module.exports = {
   generateOptimizedToken,
+  verifyToken,
   verifyTokenWithCache,
   isTokenBlacklisted,
   blacklistToken,
+  getVerifyCacheKey,
 };
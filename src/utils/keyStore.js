@@ -0,0 +1,173 @@
+/**
+ * JWT 金鑰管理
+ * HS256 使用 JWT_SECRET；RS256 / ES256 從 JWT_KEYS_DIR 讀取私鑰 (<kid>.pem)。
+ * 目錄中的所有金鑰都可用於驗證並公開於 JWKS，簽章只使用目前的金鑰 (JWT_ACTIVE_KID，
+ * 未設定時為 kid 排序最後的金鑰)。輪換時先加入新金鑰並切換，待舊 token 過期後再移除舊金鑰。
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+
+const SUPPORTED_ALGORITHMS = ['HS256', 'RS256', 'ES256'];
+
+// HS256 共用密鑰的 kid
+const HMAC_KID = 'hs256';
+
+// 已載入的金鑰，kid => { kid, alg, privateKey, publicKey }
+let keys = null;
+let activeKid = null;
+
+/**
+ * Determine the JWT algorithm for a private key
+ * @param {crypto.KeyObject} privateKey - Private key
+ * @returns {string} - RS256 or ES256
+ */
+const getKeyAlgorithm = (privateKey) => {
+  if (privateKey.asymmetricKeyType === 'rsa') return 'RS256';
+  if (
+    privateKey.asymmetricKeyType === 'ec' &&
+    privateKey.asymmetricKeyDetails.namedCurve === 'prime256v1'
+  ) {
+    return 'ES256';
+  }
+
+  throw new Error('Unsupported JWT key type, expected an RSA or P-256 EC private key');
+};
+
+/**
+ * Generate a new private key file
+ * @param {string} algorithm - RS256 or ES256
+ * @param {string} dir - Directory to write the key to
+ * @returns {string} - Key ID of the new key
+ */
+const generateKeyFile = (algorithm = config.jwtAlgorithm, dir = config.jwtKeysDir) => {
+  const { privateKey } =
+    algorithm === 'ES256'
+      ? crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' })
+      : crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+  // kid 以日期開頭，排序即為建立順序
+  const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+  const kid = `${date}-${crypto.randomBytes(4).toString('hex')}`;
+
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(
+    path.join(dir, `${kid}.pem`),
+    privateKey.export({ type: 'pkcs8', format: 'pem' }),
+    { mode: 0o600 }
+  );
+
+  return kid;
+};
+
+/**
+ * Load signing keys from configuration
+ */
+const loadKeys = () => {
+  const algorithm = config.jwtAlgorithm;
+
+  if (!SUPPORTED_ALGORITHMS.includes(algorithm)) {
+    throw new Error(`Unsupported JWT_ALGORITHM "${algorithm}"`);
+  }
+
+  keys = new Map();
+
+  if (algorithm === 'HS256') {
+    keys.set(HMAC_KID, {
+      kid: HMAC_KID,
+      alg: 'HS256',
+      privateKey: config.jwtSecret,
+      publicKey: config.jwtSecret,
+    });
+    activeKid = HMAC_KID;
+    return;
+  }
+
+  const dir = path.resolve(config.jwtKeysDir);
+  const listKeyFiles = () =>
+    fs.existsSync(dir) ? fs.readdirSync(dir).filter((file) => file.endsWith('.pem')) : [];
+
+  // 尚未建立任何金鑰時自動產生一把，正式環境建議事先以 npm run jwt:generate-key 建立
+  if (listKeyFiles().length === 0) {
+    const kid = generateKeyFile(algorithm, dir);
+    console.log(`Generated JWT signing key ${kid} in ${dir}`);
+  }
+
+  listKeyFiles()
+    .sort()
+    .forEach((file) => {
+      const kid = path.basename(file, '.pem');
+      const privateKey = crypto.createPrivateKey(fs.readFileSync(path.join(dir, file)));
+
+      keys.set(kid, {
+        kid,
+        alg: getKeyAlgorithm(privateKey),
+        privateKey,
+        publicKey: crypto.createPublicKey(privateKey),
+      });
+    });
+
+  activeKid = config.jwtActiveKid || Array.from(keys.keys()).pop();
+
+  if (!keys.has(activeKid)) {
+    throw new Error(`JWT_ACTIVE_KID "${activeKid}" not found in ${dir}`);
+  }
+};
+
+const ensureLoaded = () => {
+  if (!keys) {
+    loadKeys();
+  }
+};
+
+/**
+ * Get the key used to sign new tokens
+ * @returns {Object} - { kid, alg, privateKey }
+ */
+const getSigningKey = () => {
+  ensureLoaded();
+  const { kid, alg, privateKey } = keys.get(activeKid);
+  return { kid, alg, privateKey };
+};
+
+/**
+ * Get the key to verify a token signed with the given key ID
+ * 未帶 kid 的 token 視為由目前的金鑰簽發
+ * @param {string} kid - Key ID from the token header
+ * @returns {Object|null} - { alg, publicKey } or null for an unknown key
+ */
+const getVerificationKey = (kid) => {
+  ensureLoaded();
+  const key = keys.get(kid || activeKid);
+  return key ? { alg: key.alg, publicKey: key.publicKey } : null;
+};
+
+/**
+ * Get the public keys as a JSON Web Key Set
+ * HS256 的共用密鑰不會公開
+ * @returns {Object} - { keys: [...] }
+ */
+const getJwks = () => {
+  ensureLoaded();
+
+  return {
+    keys: Array.from(keys.values())
+      .filter((key) => key.alg !== 'HS256')
+      .map((key) => ({
+        ...key.publicKey.export({ format: 'jwk' }),
+        kid: key.kid,
+        alg: key.alg,
+        use: 'sig',
+      })),
+  };
+};
+
+module.exports = {
+  getSigningKey,
+  getVerificationKey,
+  getJwks,
+  generateKeyFile,
+  reloadKeys: loadKeys,
+};
@@ -0,0 +1,47 @@
+/**
+ * 密碼強度政策
+ * 依設定檢查密碼是否符合要求，規則可透過環境變數調整
+ */
+
+const config = require('../config');
+
+/**
+ * Validate a password against the configured policy
+ * @param {string} password - Plain text password
+ * @param {Object} policy - Policy overrides (defaults to config.passwordPolicy)
+ * @returns {Array<string>} - List of violated rules, empty if valid
+ */
+const validatePassword = (password, policy = config.passwordPolicy) => {
+  const errors = [];
+
+  if (typeof password !== 'string' || password.length < policy.minLength) {
+    errors.push(`Password must be at least ${policy.minLength} characters`);
+    return errors;
+  }
+
+  if (password.length > policy.maxLength) {
+    errors.push(`Password cannot be more than ${policy.maxLength} characters`);
+  }
+
+  if (policy.requireLowercase && !/[a-z]/.test(password)) {
+    errors.push('Password must contain a lowercase letter');
+  }
+
+  if (policy.requireUppercase && !/[A-Z]/.test(password)) {
+    errors.push('Password must contain an uppercase letter');
+  }
+
+  if (policy.requireNumber && !/\d/.test(password)) {
+    errors.push('Password must contain a number');
+  }
+
+  if (policy.requireSymbol && !/[^A-Za-z0-9]/.test(password)) {
+    errors.push('Password must contain a symbol');
+  }
+
+  return errors;
+};
+
+module.exports = {
+  validatePassword,
+};
@@ -0,0 +1,353 @@
+/**
+ * List Query Parser
+ * 將查詢字串轉換為 MongoDB 查詢條件，只接受白名單中的欄位，並依照 schema 型別轉換與驗證值。
+ *
+ * 語法：
+ *   field=value                 等於
+ *   field!=value                不等於 (field!=a,b 為不屬於)
+ *   field=op:value              op 為 eq ne gt gte lt lte in nin between exists
+ *   field=in:a,b                屬於其中之一
+ *   field=between:from,to       介於兩者之間 (含)
+ *   field=exists:true|false     是否有值
+ * 同一欄位可重複出現，例如 dueDate=gte:2026-01-01&dueDate=lt:2026-02-01
+ */
+
+const mongoose = require('mongoose');
+const ErrorResponse = require('./errorResponse');
+const { decodeCursor } = require('./cursorUtils');
+
+// 各型別可使用的運算子
+const TYPE_OPERATORS = {
+  String: ['eq', 'ne', 'in', 'nin', 'exists'],
+  ObjectId: ['eq', 'ne', 'in', 'nin', 'exists'],
+  Boolean: ['eq', 'ne', 'exists'],
+  Number: ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in', 'nin', 'between', 'exists'],
+  Date: ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in', 'nin', 'between', 'exists'],
+};
+
+const OPERATORS = ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in', 'nin', 'between', 'exists'];
+
+// 分頁、排序與欄位選擇參數
+const RESERVED_PARAMS = ['select', 'sort', 'page', 'limit'];
+
+// 游標分頁參數，只有 spec.cursor 為 true 時接受
+const CURSOR_PARAMS = ['after', 'before'];
+
+// in / nin 最多可列出的值
+const MAX_LIST_VALUES = 50;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d{1,3})?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+const NUMBER_PATTERN = /^-?\d+(\.\d+)?$/;
+
+/**
+ * Convert a raw query value to the type of a schema path
+ * @param {string} raw - Raw value
+ * @param {Object} field - { name, type, enumValues }
+ * @returns {*} - Converted value
+ * @throws {Error} - When the value does not match the field type
+ */
+const castValue = (raw, field) => {
+  const value = raw.trim();
+
+  switch (field.type) {
+    case 'Date': {
+      const date = new Date(value);
+      if (!DATE_PATTERN.test(value) || Number.isNaN(date.getTime())) {
+        throw new Error(`${field.name} must be an ISO 8601 date, got "${value}"`);
+      }
+      return date;
+    }
+    case 'Number':
+      if (!NUMBER_PATTERN.test(value)) {
+        throw new Error(`${field.name} must be a number, got "${value}"`);
+      }
+      return Number(value);
+    case 'Boolean':
+      if (!['true', 'false'].includes(value)) {
+        throw new Error(`${field.name} must be true or false, got "${value}"`);
+      }
+      return value === 'true';
+    case 'ObjectId':
+      if (!mongoose.Types.ObjectId.isValid(value)) {
+        throw new Error(`${field.name} must be a valid ID, got "${value}"`);
+      }
+      return new mongoose.Types.ObjectId(value);
+    default:
+      if (field.enumValues.length > 0 && !field.enumValues.includes(value)) {
+        throw new Error(
+          `${field.name} must be one of ${field.enumValues.join(', ')}, got "${value}"`
+        );
+      }
+      return value;
+  }
+};
+
+/**
+ * Split a comma separated list and cast every item
+ * @param {string} raw - Raw list
+ * @param {Object} field - Field definition
+ * @returns {Array} - Converted values
+ */
+const castList = (raw, field) => {
+  const items = raw
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+  if (items.length === 0) {
+    throw new Error(`${field.name} needs at least one value`);
+  }
+
+  if (items.length > MAX_LIST_VALUES) {
+    throw new Error(`${field.name} accepts at most ${MAX_LIST_VALUES} values`);
+  }
+
+  return items.map((item) => castValue(item, field));
+};
+
+/**
+ * Parse one filter expression into MongoDB operators
+ * @param {string} raw - Raw expression, e.g. "gte:2026-01-01"
+ * @param {Object} field - Field definition
+ * @param {boolean} negate - Whether the key used !=
+ * @returns {Object} - MongoDB operators, e.g. { $gte: Date }
+ */
+const parseExpression = (raw, field, negate) => {
+  let operator = 'eq';
+  let value = raw;
+
+  const match = raw.match(/^([a-z]+):(.*)$/i);
+  if (match && OPERATORS.includes(match[1])) {
+    operator = match[1];
+    value = match[2];
+  } else if (match && field.type !== 'String') {
+    throw new Error(`Unknown operator "${match[1]}" for ${field.name}`);
+  }
+
+  // field!=value 與 field!=a,b 分別轉換為 ne 與 nin
+  if (negate) {
+    if (operator === 'eq') {
+      operator = value.includes(',') ? 'nin' : 'ne';
+    } else if (operator === 'in') {
+      operator = 'nin';
+    } else {
+      throw new Error(`${field.name}!= only supports a value or a list of values`);
+    }
+  }
+
+  if (!field.operators.includes(operator)) {
+    throw new Error(`Operator "${operator}" is not supported for ${field.name}`);
+  }
+
+  switch (operator) {
+    case 'in':
+    case 'nin':
+      return { [`$${operator}`]: castList(value, field) };
+    case 'between': {
+      const bounds = castList(value, field);
+      if (bounds.length !== 2) {
+        throw new Error(`${field.name}=between: needs exactly two values`);
+      }
+      if (bounds[0] > bounds[1]) {
+        throw new Error(`${field.name}=between: the first value must not be after the second`);
+      }
+      return { $gte: bounds[0], $lte: bounds[1] };
+    }
+    case 'exists':
+      if (!['true', 'false'].includes(value.trim())) {
+        throw new Error(`${field.name}=exists: must be true or false`);
+      }
+      // 未設定的欄位可能不存在或為 null
+      return value.trim() === 'true' ? { $ne: null } : { $eq: null };
+    default:
+      return { [`$${operator}`]: castValue(value, field) };
+  }
+};
+
+/**
+ * Describe the filterable fields of a model
+ * @param {mongoose.Model} model - Mongoose model
+ * @param {Array<string>} names - Field names
+ * @returns {Map<string, Object>} - Field definitions
+ */
+const describeFields = (model, names) => {
+  const fields = new Map();
+
+  names.forEach((name) => {
+    const schemaType = model.schema.path(name);
+    if (!schemaType) {
+      throw new Error(`${model.modelName} has no field named ${name}`);
+    }
+
+    const type = schemaType.instance === 'Array' ? schemaType.caster.instance : schemaType.instance;
+
+    fields.set(name, {
+      name,
+      type,
+      enumValues: (schemaType.caster || schemaType).enumValues || [],
+      operators: TYPE_OPERATORS[type] || TYPE_OPERATORS.String,
+    });
+  });
+
+  return fields;
+};
+
+/**
+ * Parse a positive integer query parameter
+ * @param {*} raw - Raw value
+ * @param {string} name - Parameter name
+ * @param {number} defaultValue - Value when missing
+ * @param {number} max - Upper bound
+ * @param {Array<string>} errors - Collected errors
+ * @returns {number}
+ */
+const parsePositiveInt = (raw, name, defaultValue, max, errors) => {
+  if (raw === undefined || raw === '') return defaultValue;
+
+  const value = Number(raw);
+  if (typeof raw !== 'string' || !Number.isInteger(value) || value < 1 || value > max) {
+    errors.push(
+      max === Number.MAX_SAFE_INTEGER
+        ? `${name} must be a positive integer`
+        : `${name} must be an integer between 1 and ${max}`
+    );
+    return defaultValue;
+  }
+
+  return value;
+};
+
+/**
+ * Create a parser for the list endpoint of a model
+ * @param {mongoose.Model} model - Mongoose model
+ * @param {Object} spec - Allowed query options
+ * @param {Array<string>} spec.filters - Filterable fields
+ * @param {Array<string>} spec.sort - Sortable fields
+ * @param {Array<string>} spec.select - Selectable fields
+ * @param {string} spec.defaultSelect - Fields returned when select is missing
+ * @param {Object} spec.defaultSort - Sort used when sort is missing
+ * @param {number} spec.defaultLimit - Page size when limit is missing
+ * @param {number} spec.maxLimit - Largest allowed page size
+ * @param {boolean} spec.cursor - Accept after/before cursors (requires sorting by createdAt)
+ * @returns {Function} - (query) => { conditions, select, sort, page, limit, cursor }
+ */
+exports.createListQueryParser = (model, spec) => {
+  const fields = describeFields(model, spec.filters);
+
+  return (query = {}) => {
+    const errors = [];
+    const conditions = {};
+
+    Object.keys(query).forEach((key) => {
+      if (RESERVED_PARAMS.includes(key)) return;
+      if (spec.cursor && CURSOR_PARAMS.includes(key)) return;
+
+      // Express 會將 priority!=low 解析為鍵 "priority!"
+      const negate = key.endsWith('!');
+      const name = negate ? key.slice(0, -1) : key;
+      const field = fields.get(name);
+
+      if (!field) {
+        errors.push(`Unknown query parameter "${key}"`);
+        return;
+      }
+
+      const values = Array.isArray(query[key]) ? query[key] : [query[key]];
+
+      values.forEach((raw) => {
+        if (typeof raw !== 'string') {
+          errors.push(`${key} must be a string expression`);
+          return;
+        }
+
+        try {
+          const operators = parseExpression(raw, field, negate);
+          const existing = conditions[name] || {};
+
+          Object.keys(operators).forEach((operator) => {
+            if (operator in existing) {
+              throw new Error(`${name} uses ${operator.slice(1)} more than once`);
+            }
+          });
+
+          conditions[name] = { ...existing, ...operators };
+        } catch (err) {
+          errors.push(err.message);
+        }
+      });
+    });
+
+    // 欄位選擇
+    let select = spec.defaultSelect;
+    if (query.select !== undefined) {
+      const requested = String(query.select)
+        .split(',')
+        .map((field) => field.trim())
+        .filter(Boolean);
+      const unknown = requested.filter((field) => !spec.select.includes(field));
+
+      if (requested.length === 0 || unknown.length > 0) {
+        errors.push(`select only accepts: ${spec.select.join(', ')}`);
+      } else {
+        select = requested.join(' ');
+      }
+    }
+
+    // 排序
+    let sort = spec.defaultSort;
+    if (query.sort !== undefined) {
+      sort = {};
+      String(query.sort)
+        .split(',')
+        .map((field) => field.trim())
+        .filter(Boolean)
+        .forEach((field) => {
+          const name = field.startsWith('-') ? field.substring(1) : field;
+
+          if (!spec.sort.includes(name)) {
+            errors.push(`Cannot sort by "${name}", allowed fields: ${spec.sort.join(', ')}`);
+          } else if (name in sort) {
+            errors.push(`Sort field "${name}" is listed more than once`);
+          } else {
+            sort[name] = field.startsWith('-') ? -1 : 1;
+          }
+        });
+
+      if (Object.keys(sort).length === 0 && errors.length === 0) {
+        errors.push('sort needs at least one field');
+      }
+    }
+
+    const page = parsePositiveInt(query.page, 'page', 1, Number.MAX_SAFE_INTEGER, errors);
+    const limit = parsePositiveInt(query.limit, 'limit', spec.defaultLimit, spec.maxLimit, errors);
+
+    // 游標分頁，游標以 (createdAt, _id) 為鍵，因此只能依 createdAt 排序
+    let cursor = null;
+    if (spec.cursor && (query.after !== undefined || query.before !== undefined)) {
+      const sortFields = Object.keys(sort);
+
+      if (query.after !== undefined && query.before !== undefined) {
+        errors.push('Use either after or before, not both');
+      } else if (query.page !== undefined) {
+        errors.push('page cannot be combined with after or before');
+      } else if (sortFields.length !== 1 || sortFields[0] !== 'createdAt') {
+        errors.push('Cursor pagination only supports sort=createdAt or sort=-createdAt');
+      } else {
+        try {
+          cursor = {
+            after: query.after !== undefined ? decodeCursor(query.after) : null,
+            before: query.before !== undefined ? decodeCursor(query.before) : null,
+          };
+        } catch (err) {
+          errors.push(err.message);
+        }
+      }
+    }
+
+    if (errors.length > 0) {
+      throw new ErrorResponse(`Invalid query: ${errors.join('; ')}`, 400);
+    }
+
+    return { conditions, select, sort, page, limit, cursor };
+  };
+};
@@ -0,0 +1,23 @@
+/**
+ * JWT 簽章金鑰產生腳本
+ * 在 JWT_KEYS_DIR 中產生新的私鑰，用於金鑰輪換：
+ *   1. 執行此腳本產生新金鑰
+ *   2. 將 JWT_ACTIVE_KID 設為新的 kid（或不設定，自動使用最新的金鑰）並重新啟動伺服器
+ *   3. 待舊金鑰簽發的 token 全部過期後，刪除舊的 .pem 檔案
+ *
+ * Usage: node tools/generate-jwt-key.js [RS256|ES256]
+ */
+
+const config = require('../src/config');
+const { generateKeyFile } = require('../src/utils/keyStore');
+
+const algorithm =
+  process.argv[2] || (config.jwtAlgorithm === 'HS256' ? 'RS256' : config.jwtAlgorithm);
+
+if (!['RS256', 'ES256'].includes(algorithm)) {
+  console.log('用法: node tools/generate-jwt-key.js [RS256|ES256]');
+  process.exit(1);
+}
+
+const kid = generateKeyFile(algorithm, config.jwtKeysDir);
+console.log(`✅ 已產生 ${algorithm} 金鑰 ${kid}，位於 ${config.jwtKeysDir}`);
@@ -0,0 +1,144 @@
+/**
+ * 本機 OpenID Connect 測試用身分提供者
+ * 支援 discovery、JWKS、authorization code flow (PKCE) 與 RS256 簽章的 ID token。
+ * 授權頁面不需要登入，直接以 login_hint 指定的電子郵件核發授權碼。
+ *
+ * Usage: node tools/mock-oidc-provider.js
+ * 伺服器需設定：
+ *   OIDC_ISSUER=http://localhost:4000
+ *   OIDC_CLIENT_ID=mock-client
+ *   OIDC_CLIENT_SECRET=mock-secret
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+
+const PORT = parseInt(process.env.MOCK_OIDC_PORT, 10) || 4000;
+const ISSUER = process.env.MOCK_OIDC_ISSUER || `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.MOCK_OIDC_CLIENT_ID || 'mock-client';
+const CLIENT_SECRET = process.env.MOCK_OIDC_CLIENT_SECRET || 'mock-secret';
+const KEY_ID = 'mock-key-1';
+
+// 每次啟動產生新的簽章金鑰
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+// 尚未兌換的授權碼
+const codes = new Map();
+
+/**
+ * 建立測試用身分提供者
+ * @returns {Object} - Express app
+ */
+function createApp() {
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+
+  app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+      issuer: ISSUER,
+      authorization_endpoint: `${ISSUER}/authorize`,
+      token_endpoint: `${ISSUER}/token`,
+      jwks_uri: `${ISSUER}/jwks`,
+      response_types_supported: ['code'],
+      subject_types_supported: ['public'],
+      id_token_signing_alg_values_supported: ['RS256'],
+      code_challenge_methods_supported: ['S256'],
+    });
+  });
+
+  app.get('/jwks', (req, res) => {
+    res.json({
+      keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, use: 'sig', alg: 'RS256' }],
+    });
+  });
+
+  app.get('/authorize', (req, res) => {
+    const {
+      client_id,
+      redirect_uri,
+      response_type,
+      state,
+      nonce,
+      code_challenge,
+      code_challenge_method,
+    } = req.query;
+
+    if (client_id !== CLIENT_ID || response_type !== 'code' || code_challenge_method !== 'S256') {
+      return res.status(400).json({ error: 'invalid_request' });
+    }
+
+    const email = req.query.login_hint || 'oidc-user@example.com';
+    const code = crypto.randomBytes(16).toString('hex');
+
+    codes.set(code, {
+      redirectUri: redirect_uri,
+      nonce,
+      codeChallenge: code_challenge,
+      email,
+      emailVerified: req.query.email_verified !== 'false',
+    });
+
+    const params = new URLSearchParams({ code, state });
+    res.redirect(`${redirect_uri}?${params.toString()}`);
+  });
+
+  app.post('/token', (req, res) => {
+    const { grant_type, code, redirect_uri, client_id, client_secret, code_verifier } = req.body;
+    const pending = codes.get(code);
+    codes.delete(code);
+
+    if (grant_type !== 'authorization_code' || !pending) {
+      return res.status(400).json({ error: 'invalid_grant' });
+    }
+
+    if (client_id !== CLIENT_ID || client_secret !== CLIENT_SECRET) {
+      return res.status(401).json({ error: 'invalid_client' });
+    }
+
+    const challenge = crypto.createHash('sha256').update(String(code_verifier)).digest('base64url');
+
+    if (redirect_uri !== pending.redirectUri || challenge !== pending.codeChallenge) {
+      return res.status(400).json({ error: 'invalid_grant' });
+    }
+
+    const idToken = jwt.sign(
+      {
+        sub: crypto.createHash('sha256').update(pending.email).digest('hex').slice(0, 24),
+        email: pending.email,
+        email_verified: pending.emailVerified,
+        name: pending.email.split('@')[0],
+        nonce: pending.nonce,
+      },
+      privateKey,
+      { algorithm: 'RS256', keyid: KEY_ID, issuer: ISSUER, audience: CLIENT_ID, expiresIn: '5m' }
+    );
+
+    res.json({
+      access_token: crypto.randomBytes(16).toString('hex'),
+      token_type: 'Bearer',
+      id_token: idToken,
+    });
+  });
+
+  return app;
+}
+
+/**
+ * 啟動測試用身分提供者
+ * @returns {Promise<http.Server>} - HTTP server
+ */
+function start() {
+  return new Promise((resolve) => {
+    const server = createApp().listen(PORT, () => {
+      console.log(`Mock OIDC provider running at ${ISSUER}`);
+      resolve(server);
+    });
+  });
+}
+
+if (require.main === module) {
+  start();
+}
+
+module.exports = { start, ISSUER, CLIENT_ID, CLIENT_SECRET };
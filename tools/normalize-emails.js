@@ -0,0 +1,51 @@
+/**
+ * 電子郵件正規化腳本
+ * 電子郵件改為以小寫保存並以完全符合查詢，升級前建立的帳號需執行一次此腳本；
+ * 正規化後與其他帳號重複的信箱不會變更，需手動處理
+ *
+ * Usage: node tools/normalize-emails.js
+ */
+
+const mongoose = require('mongoose');
+const connectDB = require('../src/config/db');
+const User = require('../src/models/User');
+
+async function main() {
+  await connectDB();
+
+  let updated = 0;
+  const conflicts = [];
+
+  try {
+    // 直接讀取原始資料，避免查詢條件被轉為小寫
+    const users = await User.collection
+      .find({ email: /[A-Z\s]/ }, { projection: { email: 1 } })
+      .toArray();
+
+    for (const user of users) {
+      const email = user.email.trim().toLowerCase();
+
+      if (await User.collection.findOne({ email, _id: { $ne: user._id } })) {
+        conflicts.push(user.email);
+        continue;
+      }
+
+      await User.collection.updateOne({ _id: user._id }, { $set: { email } });
+      updated += 1;
+    }
+
+    console.log(`✅ 已正規化 ${updated} 個電子郵件`);
+    conflicts.forEach((email) => console.error(`❌ ${email} 與其他帳號重複，未變更`));
+    if (conflicts.length > 0) {
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    process.exit();
+  }
+}
+
+main();
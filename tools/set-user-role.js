@@ -0,0 +1,44 @@
+/**
+ * 用戶角色設定腳本
+ * 公開註冊無法建立管理員，可使用此腳本指派第一位管理員，變更同樣會寫入稽核記錄
+ *
+ * Usage: node tools/set-user-role.js <email> <role>
+ */
+
+const mongoose = require('mongoose');
+const connectDB = require('../src/config/db');
+const User = require('../src/models/User');
+const roleService = require('../src/services/roleService');
+
+async function main() {
+  const [email, role] = process.argv.slice(2);
+
+  if (!email || !role) {
+    console.log('用法: node tools/set-user-role.js <email> <role>');
+    console.log(`可用角色: ${roleService.ROLE_ORDER.join(', ')}`);
+    process.exit(1);
+  }
+
+  await connectDB();
+
+  const user = await User.findOne({ email }).select('_id').lean();
+
+  if (!user) {
+    console.error(`❌ 找不到用戶 ${email}`);
+    process.exit(1);
+  }
+
+  try {
+    // 由命令行執行的變更沒有操作者，稽核記錄中 actor 為空
+    const updated = await roleService.changeUserRole(user._id, role, null, { userAgent: 'cli' });
+    console.log(`✅ 已將 ${updated.email} 的角色設為 ${updated.role}`);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+    process.exit();
+  }
+}
+
+main();
@@ -0,0 +1,110 @@
+/**
+ * 登入快取安全性測試腳本
+ * 驗證密碼變更後，舊密碼即使在登入快取仍有效期間也會立即被拒絕
+ *
+ * Usage: node tools/test-login-cache.js (需先啟動伺服器與 Redis)
+ */
+
+const axios = require('axios');
+const API_URL = process.env.API_URL || 'http://localhost:3000/api';
+
+// 每次執行使用新的測試帳號，避免受到先前執行結果影響
+const testUser = {
+  name: '登入快取測試用戶',
+  email: `login-cache-${Date.now()}@example.com`,
+  password: 'oldPassword123',
+};
+const newPassword = 'newPassword456';
+
+let failures = 0;
+
+/**
+ * 斷言並輸出結果
+ */
+function check(condition, description) {
+  if (condition) {
+    console.log(`✅ ${description}`);
+  } else {
+    console.error(`❌ ${description}`);
+    failures++;
+  }
+}
+
+/**
+ * 嘗試登入並回傳 HTTP 狀態碼與回應內容
+ */
+async function login(email, password) {
+  try {
+    const response = await axios.post(`${API_URL}/auth/login`, { email, password });
+    return { status: response.status, data: response.data };
+  } catch (error) {
+    if (error.response) {
+      return { status: error.response.status, data: error.response.data };
+    }
+    throw error;
+  }
+}
+
+/**
+ * 運行所有測試
+ */
+async function runTests() {
+  console.log('=========================================');
+  console.log('開始登入快取安全性測試...');
+  console.log('=========================================\n');
+
+  await axios.post(`${API_URL}/auth/register`, testUser);
+  console.log(`已註冊測試用戶 ${testUser.email}`);
+
+  // 第一次登入寫入快取，第二次登入應從快取命中
+  const first = await login(testUser.email, testUser.password);
+  check(first.status === 200, '使用原密碼登入成功');
+
+  const second = await login(testUser.email, testUser.password);
+  check(second.status === 200, '使用原密碼再次登入成功（快取命中）');
+
+  // 快取命中時仍然必須驗證密碼
+  const wrong = await login(testUser.email, 'wrongPassword789');
+  check(wrong.status === 401, '快取命中時錯誤密碼仍被拒絕');
+
+  // 變更密碼
+  const update = await axios.put(
+    `${API_URL}/auth/updatepassword`,
+    { currentPassword: testUser.password, newPassword },
+    { headers: { Authorization: `Bearer ${second.data.token}` } }
+  );
+  check(update.status === 200, '密碼變更成功');
+
+  // 舊密碼必須立即失效
+  const stale = await login(testUser.email, testUser.password);
+  check(stale.status === 401, '密碼變更後舊密碼立即被拒絕');
+
+  const fresh = await login(testUser.email, newPassword);
+  check(fresh.status === 200, '密碼變更後可使用新密碼登入');
+
+  // 密碼變更前發放的 token 也必須失效
+  try {
+    await axios.get(`${API_URL}/auth/me`, {
+      headers: { Authorization: `Bearer ${first.data.token}` },
+    });
+    check(false, '密碼變更前的 token 已失效');
+  } catch (error) {
+    check(error.response && error.response.status === 401, '密碼變更前的 token 已失效');
+  }
+
+  console.log('\n=========================================');
+  if (failures === 0) {
+    console.log('✅ 所有測試通過');
+  } else {
+    console.error(`❌ ${failures} 項測試失敗`);
+  }
+  console.log('=========================================');
+
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+// 執行測試
+runTests().catch((error) => {
+  console.error('❌ 測試過程中發生錯誤:', error.response ? error.response.data : error.message);
+  process.exit(1);
+});
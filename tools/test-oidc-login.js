@@ -0,0 +1,119 @@
+/**
+ * OpenID Connect 登入測試腳本
+ * 在本機啟動測試用身分提供者，走完 authorization code flow，並驗證 state 無法重複使用。
+ *
+ * Usage: node tools/test-oidc-login.js
+ * 需先以下列設定啟動伺服器與 Redis：
+ *   OIDC_ISSUER=http://localhost:4000 OIDC_CLIENT_ID=mock-client OIDC_CLIENT_SECRET=mock-secret
+ */
+
+const axios = require('axios');
+const mockProvider = require('./mock-oidc-provider');
+
+const API_URL = process.env.API_URL || 'http://localhost:3000/api';
+
+let failures = 0;
+
+/**
+ * 斷言並輸出結果
+ */
+function check(condition, description) {
+  if (condition) {
+    console.log(`✅ ${description}`);
+  } else {
+    console.error(`❌ ${description}`);
+    failures++;
+  }
+}
+
+/**
+ * 發送請求但不跟隨重新導向，回傳狀態碼、Location 與回應內容
+ */
+async function request(url) {
+  const response = await axios.get(url, { maxRedirects: 0, validateStatus: () => true });
+  return { status: response.status, location: response.headers.location, data: response.data };
+}
+
+/**
+ * 從 API 開始登入，經過身分提供者後取得回呼網址
+ */
+async function authorize(email, extraParams = '') {
+  const start = await request(`${API_URL}/auth/oidc/oidc`);
+  if (start.status !== 302) {
+    throw new Error(`Unexpected status from /auth/oidc/oidc: ${start.status}`);
+  }
+
+  const provider = await request(
+    `${start.location}&login_hint=${encodeURIComponent(email)}${extraParams}`
+  );
+  return provider.location;
+}
+
+/**
+ * 運行所有測試
+ */
+async function runTests() {
+  const server = await mockProvider.start();
+
+  console.log('=========================================');
+  console.log('開始 OpenID Connect 登入測試...');
+  console.log('=========================================\n');
+
+  const providers = await axios.get(`${API_URL}/auth/oidc/providers`);
+  check(providers.data.data.includes('oidc'), '已啟用通用 OIDC 提供者');
+
+  // 新用戶透過外部帳號登入時自動建立帳號
+  const email = `oidc-${Date.now()}@example.com`;
+  const callbackUrl = await authorize(email);
+  const first = await request(callbackUrl);
+  check(first.status === 200 && first.data.token, '外部帳號登入成功');
+  check(first.data.data && first.data.data.emailVerified === true, '建立的帳號電子郵件已驗證');
+
+  // 同一個回呼網址不能再次使用
+  const replay = await request(callbackUrl);
+  check(replay.status === 400, '重複使用 state 被拒絕');
+
+  // 偽造的 state 被拒絕
+  const forged = await request(callbackUrl.replace(/state=[^&]+/, 'state=forged'));
+  check(forged.status === 400, '偽造的 state 被拒絕');
+
+  // 再次登入時使用已連結的帳號
+  const second = await request(await authorize(email));
+  check(
+    second.status === 200 && second.data.data._id === first.data.data._id,
+    '再次登入使用同一個帳號'
+  );
+
+  // 提供者未驗證的電子郵件不能建立或連結帳號
+  const unverified = await request(
+    await authorize(`oidc-unverified-${Date.now()}@example.com`, '&email_verified=false')
+  );
+  check(unverified.status === 400, '未驗證的電子郵件被拒絕');
+
+  // 本機尚未驗證電子郵件的帳號不會被自動連結
+  const localEmail = `oidc-local-${Date.now()}@example.com`;
+  await axios.post(`${API_URL}/auth/register`, {
+    name: 'OIDC 測試用戶',
+    email: localEmail,
+    password: 'localPassword123',
+  });
+  const conflict = await request(await authorize(localEmail));
+  check(conflict.status === 409, '不自動連結本機未驗證的帳號');
+
+  console.log('\n=========================================');
+  if (failures === 0) {
+    console.log('✅ 所有測試通過');
+  } else {
+    console.error(`❌ ${failures} 項測試失敗`);
+  }
+  console.log('=========================================');
+
+  server.close();
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+// 執行測試
+runTests().catch((error) => {
+  console.error('❌ 測試過程中發生錯誤:', error.response ? error.response.data : error.message);
+  process.exit(1);
+});